@@ -1,10 +1,14 @@
 /**
  * Dynamic Select Component for Tom-Select
- * Provides dynamic option creation with validation, persistence, and advanced features
+ * Provides dynamic option creation with validation, persistence, and advanced features.
+ * Created options persist through an OptionStorage adapter (`storageAdapter`:
+ * 'local', 'session', 'indexeddb', 'memory', 'rest' or a custom adapter).
  */
 import TomSelect from 'tom-select';
 import { OptionValidator } from '../utils/validator.js';
 import { OptionStorage } from '../utils/storage.js';
+import { offlineManager } from '../utils/offline.js';
+import { getTabSync, releaseTabSync } from '../utils/tab-sync.js';
 
 export class DynamicSelect {
   constructor(selector, options = {}) {
@@ -17,7 +21,10 @@ export class DynamicSelect {
     
     // Initialize utilities
     this.validator = new OptionValidator(options.validation);
-    this.storage = new OptionStorage(options.storageKey, options.storage);
+    this.storage = new OptionStorage(options.storageKey, {
+      adapter: options.storageAdapter,
+      ...options.storage
+    });
     
     // State management
     this.creationHistory = [];
@@ -25,6 +32,21 @@ export class DynamicSelect {
     this.maxHistorySize = options.maxHistory || 50;
     this.createdCount = 0;
     
+    // Backend sync: created tags go through the offline outbox
+    // ({ endpoint, headers, offlineManager })
+    this.sync = options.sync ? {
+      handler: `dynamic-select:${this.element.id}`,
+      headers: {},
+      ...options.sync
+    } : null;
+    this.offlineManager = this.sync ? (this.sync.offlineManager || offlineManager) : null;
+    
+    // Cross-tab sync (true, a channel name or a TabSync): created, edited and
+    // removed options follow other tabs, and the selection too with `syncSelection`
+    this.tabSync = options.tabSync ? getTabSync(options.tabSync) : null;
+    this.syncSelection = Boolean(this.tabSync && options.syncSelection);
+    this.applyingRemote = false;
+    
     // Configuration
     this.config = this.buildConfiguration(options);
     
@@ -80,7 +102,7 @@ export class DynamicSelect {
                   <span class="w-2 h-2 bg-green-500 rounded-full mr-2 flex-shrink-0"></span>
                   <span>${escape(data.text)}</span>
                 </span>
-                <span class="text-xs text-gray-500 ml-2">Created</span>
+                <span class="text-xs text-gray-500 ml-2">${data.synced === false ? 'Not synced' : 'Created'}</span>
               </div>
             `;
           }
@@ -169,8 +191,14 @@ export class DynamicSelect {
       // Initialize Tom-Select
       this.instance = new TomSelect(this.selector, this.config);
       
-      // Load persisted options
-      this.loadPersistedOptions();
+      // Load persisted options (storage is async; `ready` settles once they're in)
+      this.ready = this.loadPersistedOptions();
+      
+      // Replay tags created offline
+      this.setupSync();
+      
+      // Follow changes made in other tabs
+      this.setupTabSync();
       
       // Setup keyboard shortcuts
       this.setupKeyboardShortcuts();
@@ -195,7 +223,7 @@ export class DynamicSelect {
     }
   }
   
-  createOption(input, callback) {
+  async createOption(input, callback) {
     const startTime = performance.now();
     
     // Validate input
@@ -221,18 +249,26 @@ export class DynamicSelect {
       value: value,
       text: validation.cleaned,
       created: true,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      ...(this.sync ? { synced: false } : {})
     };
     
+    // Nothing is created unless it was saved
+    if (!(await this.persist(this.storage.addOption(optionData), `"${validation.cleaned}" could not be saved`))) {
+      return callback();
+    }
+    
     // Add to history for undo/redo
     this.addToHistory('create', optionData);
-    
-    // Persist if enabled
-    this.storage.addOption(optionData);
+    this.queueSync(optionData);
+    this.shareOption(optionData.value);
     
     // Create the option
     callback(optionData);
     
+    // Let virtualized lists merge the new option into their index
+    this.dispatchOptionEvent('create', optionData);
+    
     // Performance check
     const duration = performance.now() - startTime;
     if (duration > 50) {
@@ -250,7 +286,7 @@ export class DynamicSelect {
     this.notify(`Created "${validation.cleaned}"`, 'success');
   }
   
-  editCreatedOption(value) {
+  async editCreatedOption(value) {
     const option = this.instance.options[value];
     if (!option || !option.created) return;
     
@@ -279,25 +315,22 @@ export class DynamicSelect {
     // Update option
     this.instance.updateOption(value, { ...option, text: validation.cleaned });
     
+    this.dispatchOptionEvent('update', { ...option, text: validation.cleaned });
+    
     // Update storage
-    this.storage.removeOption(value);
-    this.storage.addOption({ ...option, text: validation.cleaned });
+    if (!(await this.persist(this.storage.updateOption(value, { text: validation.cleaned })))) return;
+    this.shareOption(value);
     
     this.notify(`Updated "${option.text}" to "${validation.cleaned}"`, 'success');
   }
   
-  loadPersistedOptions() {
-    const stored = this.storage.load();
+  async loadPersistedOptions() {
+    const stored = await this.storage.load();
     let loadedCount = 0;
     
     stored.forEach(item => {
       try {
-        this.instance.addOption({
-          value: item.value || item.id,
-          text: item.text,
-          created: true,
-          timestamp: item.timestamp
-        });
+        this.instance.addOption(this.toInstanceOption(item));
         loadedCount++;
       } catch (error) {
         console.warn('Failed to load persisted option:', item, error);
@@ -311,6 +344,20 @@ export class DynamicSelect {
     }
   }
   
+  /**
+   * Tom-Select option for a stored one
+   */
+  toInstanceOption(item) {
+    return {
+      value: item.value || item.id,
+      text: item.text,
+      created: true,
+      timestamp: item.timestamp,
+      synced: item.synced,
+      remoteId: item.remoteId
+    };
+  }
+  
   addToHistory(action, data) {
     // Remove any history after current position (for redo)
     this.creationHistory = this.creationHistory.slice(0, this.historyIndex + 1);
@@ -332,42 +379,51 @@ export class DynamicSelect {
     this.updateUndoRedoButtons();
   }
   
-  undo() {
+  async undo() {
     if (this.historyIndex < 0) {
       this.notify('Nothing to undo', 'info');
       return;
     }
     
-    const historyItem = this.creationHistory[this.historyIndex];
+    // Step back before awaiting storage, so a repeated undo takes the previous entry
+    const historyItem = this.creationHistory[this.historyIndex--];
     
     try {
       switch (historyItem.action) {
         case 'create':
           // Remove the created option
           this.instance.removeOption(historyItem.data.value);
-          this.storage.removeOption(historyItem.data.value);
-          this.createdCount--;
+          this.dispatchOptionEvent('delete', historyItem.data.value);
+          if (await this.persist(this.storage.removeOption(historyItem.data.value))) {
+            this.shareRemoval(historyItem.data.value);
+            this.createdCount--;
+          }
           this.announce(`Undone: removed "${historyItem.data.text}"`);
           break;
           
         case 'edit':
           // Restore old option
           this.instance.updateOption(historyItem.data.newOption.value, historyItem.data.oldOption);
-          this.storage.removeOption(historyItem.data.newOption.value);
-          this.storage.addOption(historyItem.data.oldOption);
+          this.dispatchOptionEvent('update', historyItem.data.oldOption);
+          if (await this.persist(this.storage.updateOption(historyItem.data.newOption.value, { text: historyItem.data.oldOption.text }))) {
+            this.shareOption(historyItem.data.oldOption.value);
+          }
           this.announce(`Undone: restored "${historyItem.data.oldOption.text}"`);
           break;
           
         case 'remove':
           // Restore removed option
           this.instance.addOption(historyItem.data);
-          this.storage.addOption(historyItem.data);
-          this.createdCount++;
+          this.dispatchOptionEvent('create', historyItem.data);
+          if (await this.persist(this.storage.addOption(historyItem.data))) {
+            this.queueSync(historyItem.data);
+            this.shareOption(historyItem.data.value);
+            this.createdCount++;
+          }
           this.announce(`Undone: restored "${historyItem.data.text}"`);
           break;
       }
       
-      this.historyIndex--;
       this.updateCreatedCounter();
       this.updateUndoRedoButtons();
       this.notify('Action undone', 'info');
@@ -378,7 +434,7 @@ export class DynamicSelect {
     }
   }
   
-  redo() {
+  async redo() {
     if (this.historyIndex >= this.creationHistory.length - 1) {
       this.notify('Nothing to redo', 'info');
       return;
@@ -392,24 +448,33 @@ export class DynamicSelect {
         case 'create':
           // Re-add the option
           this.instance.addOption(historyItem.data);
-          this.storage.addOption(historyItem.data);
-          this.createdCount++;
+          this.dispatchOptionEvent('create', historyItem.data);
+          if (await this.persist(this.storage.addOption(historyItem.data))) {
+            this.queueSync(historyItem.data);
+            this.shareOption(historyItem.data.value);
+            this.createdCount++;
+          }
           this.announce(`Redone: created "${historyItem.data.text}"`);
           break;
           
         case 'edit':
           // Re-apply the edit
           this.instance.updateOption(historyItem.data.oldOption.value, historyItem.data.newOption);
-          this.storage.removeOption(historyItem.data.oldOption.value);
-          this.storage.addOption(historyItem.data.newOption);
+          this.dispatchOptionEvent('update', historyItem.data.newOption);
+          if (await this.persist(this.storage.updateOption(historyItem.data.oldOption.value, { text: historyItem.data.newOption.text }))) {
+            this.shareOption(historyItem.data.newOption.value);
+          }
           this.announce(`Redone: updated to "${historyItem.data.newOption.text}"`);
           break;
           
         case 'remove':
           // Re-remove the option
           this.instance.removeOption(historyItem.data.value);
-          this.storage.removeOption(historyItem.data.value);
-          this.createdCount--;
+          this.dispatchOptionEvent('delete', historyItem.data.value);
+          if (await this.persist(this.storage.removeOption(historyItem.data.value))) {
+            this.shareRemoval(historyItem.data.value);
+            this.createdCount--;
+          }
           this.announce(`Redone: removed "${historyItem.data.text}"`);
           break;
       }
@@ -451,18 +516,29 @@ export class DynamicSelect {
     }
   }
   
-  onItemRemove(value) {
+  async onItemRemove(value) {
+    // Selections applied from another tab don't remove tags
+    if (this.applyingRemote) return;
+    
     const option = this.instance.options[value];
     if (option && option.created) {
       this.addToHistory('remove', option);
-      this.storage.removeOption(value);
-      this.createdCount--;
-      this.updateCreatedCounter();
+      this.dispatchOptionEvent('delete', value);
       this.announce(`Removed tag: ${option.text}`);
+      
+      if (await this.persist(this.storage.removeOption(value))) {
+        this.shareRemoval(value);
+        this.createdCount--;
+        this.updateCreatedCounter();
+      }
     }
   }
   
   onChange(value) {
+    if (this.syncSelection && !this.applyingRemote) {
+      this.tabSync.publish('selection', { id: this.element.id, value }, { key: `selection:${this.element.id}` });
+    }
+    
     // Custom event for integration
     this.element.dispatchEvent(new CustomEvent('dynamic-select:change', {
       detail: { 
@@ -477,6 +553,230 @@ export class DynamicSelect {
     // Could implement live validation feedback here
   }
   
+  // Backend sync
+  setupSync() {
+    if (!this.sync) return;
+    
+    this.offlineManager.registerReplayHandler(this.sync.handler, {
+      request: (payload) => this.buildSyncRequest(payload),
+      onSuccess: (data, entry) => this.markSynced(entry.payload.value, data?.data ?? data),
+      onConflict: async (response, entry) => {
+        // The tag already exists on the server: adopt it
+        const body = await response.json().catch(() => null);
+        const existing = body?.error?.existing;
+        
+        if (existing) {
+          this.markSynced(entry.payload.value, existing);
+        }
+        return existing || false;
+      }
+    });
+    
+    this.handleSyncFailed = (event) => {
+      if (event.entry.handler !== this.sync.handler) return;
+      
+      this.element.dispatchEvent(new CustomEvent('dynamic-select:sync', {
+        detail: {
+          value: event.entry.payload.value,
+          status: event.deadLettered ? 'failed' : 'retrying',
+          error: event.error,
+          retryIn: event.retryIn
+        }
+      }));
+      
+      if (event.deadLettered) {
+        this.notify(`Could not sync a tag: ${event.error.message}`, 'error');
+      }
+    };
+    this.offlineManager.addEventListener('failed', this.handleSyncFailed);
+  }
+  
+  /**
+   * Queue a created tag for the backend. The outbox sends it right away when
+   * online; the idempotency key is the tag's value, so replays never create
+   * it twice.
+   */
+  queueSync(option) {
+    if (!this.sync) return;
+    
+    this.offlineManager.enqueue(this.sync.handler, { value: option.value }, {
+      idempotencyKey: `tag-${option.value}`
+    });
+  }
+  
+  /**
+   * Request for a queued tag, using its current text (it may have been
+   * edited since). Tags removed or synced in the meantime send nothing.
+   */
+  async buildSyncRequest({ value }) {
+    const option = (await this.storage.load()).find(opt => opt.value === value);
+    if (!option || option.synced !== false) return null;
+    
+    return {
+      url: this.sync.endpoint,
+      options: {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...this.sync.headers },
+        body: JSON.stringify({ value: option.value, text: option.text })
+      }
+    };
+  }
+  
+  async markSynced(value, remote) {
+    const changes = { synced: true, remoteId: remote?.id ?? null };
+    const option = this.instance?.options[value];
+    
+    // A tag removed while its request was queued has nothing left to update
+    if (option) {
+      this.instance.updateOption(value, { ...option, ...changes });
+      
+      if (await this.persist(this.storage.updateOption(value, changes))) {
+        this.shareOption(value);
+      }
+    }
+    
+    this.element.dispatchEvent(new CustomEvent('dynamic-select:sync', {
+      detail: { value, status: 'synced', remote }
+    }));
+  }
+  
+  // Cross-tab sync
+  setupTabSync() {
+    if (!this.tabSync) return;
+    
+    this.handleTabMessage = this.handleTabMessage.bind(this);
+    ['option:upsert', 'option:delete', 'option:clear', 'selection'].forEach(type => {
+      this.tabSync.addEventListener(type, this.handleTabMessage);
+    });
+  }
+  
+  /**
+   * Send the stored copy of an option to other tabs
+   */
+  async shareOption(value) {
+    if (!this.tabSync || this.applyingRemote) return;
+    
+    const option = (await this.storage.load()).find(opt => (opt.value || opt.id) === value);
+    if (!option) return;
+    
+    this.tabSync.publish('option:upsert', { storageKey: this.storage.key, option }, {
+      key: `${this.storage.key}:${value}`
+    });
+  }
+  
+  shareRemoval(value) {
+    if (!this.tabSync || this.applyingRemote) return;
+    
+    this.tabSync.publish('option:delete', { storageKey: this.storage.key, value }, {
+      key: `${this.storage.key}:${value}`
+    });
+  }
+  
+  /**
+   * Apply a change made in another tab (TabSync already dropped changes
+   * older than ours) and dispatch `dynamic-select:remotechange`
+   */
+  async handleTabMessage(message) {
+    const { payload } = message;
+    const ours = message.type === 'selection'
+      ? this.syncSelection && payload.id === this.element.id
+      : payload.storageKey === this.storage.key;
+    
+    if (!ours) return;
+    
+    // Our stored copy may still be newer
+    if (message.type === 'option:upsert' && !(await this.storage.mergeOption(payload.option))) return;
+    
+    // Storage changes finish before applyingRemote is set, so no user action is ignored meanwhile
+    if (message.type === 'option:delete') {
+      await this.persist(this.storage.removeOption(payload.value));
+    } else if (message.type === 'option:clear') {
+      await this.persist(this.storage.clear());
+    }
+    
+    this.applyingRemote = true;
+    
+    try {
+      switch (message.type) {
+        case 'option:upsert':
+          this.applyRemoteOption(payload.option);
+          break;
+          
+        case 'option:delete':
+          if (!this.instance.options[payload.value]) return;
+          
+          this.instance.removeOption(payload.value, true);
+          this.dispatchOptionEvent('delete', payload.value);
+          this.createdCount--;
+          break;
+          
+        case 'option:clear': {
+          const values = this.getCreatedOptions().map(option => option.value);
+          
+          values.forEach(value => this.instance.removeOption(value, true));
+          this.dispatchOptionEvent('delete', values);
+          this.createdCount = 0;
+          break;
+        }
+          
+        case 'selection':
+          this.instance.setValue(payload.value, true);
+          break;
+      }
+    } finally {
+      this.applyingRemote = false;
+    }
+    
+    this.updateCreatedCounter();
+    
+    this.element.dispatchEvent(new CustomEvent('dynamic-select:remotechange', {
+      detail: {
+        action: message.type,
+        option: payload.option,
+        value: payload.value,
+        tabId: message.tabId
+      }
+    }));
+  }
+  
+  /**
+   * Show an option created or edited in another tab
+   */
+  applyRemoteOption(option) {
+    const data = this.toInstanceOption(option);
+    
+    if (this.instance.options[data.value]) {
+      this.instance.updateOption(data.value, data);
+      this.dispatchOptionEvent('update', data);
+    } else {
+      this.instance.addOption(data);
+      this.dispatchOptionEvent('create', data);
+      this.createdCount++;
+    }
+  }
+  
+  /**
+   * Announce a created option being added or changed (`detail.option`) or
+   * created options being deleted (`detail.values`), so virtualized lists
+   * can merge them into their index (see VirtualSelect#connectDynamicSelect)
+   */
+  dispatchOptionEvent(action, data) {
+    let detail;
+    
+    if (action === 'delete') {
+      const values = Array.isArray(data) ? data : [data];
+      if (values.length === 0) return;
+      
+      detail = { values };
+    } else {
+      // Tom-Select's bookkeeping fields aren't part of the option
+      const { $order, $id, ...option } = data;
+      detail = { option };
+    }
+    
+    this.element.dispatchEvent(new CustomEvent(`dynamic-select:${action}`, { detail }));
+  }
+  
   // Utility methods
   setupKeyboardShortcuts() {
     document.addEventListener('keydown', (e) => {
@@ -557,9 +857,24 @@ export class DynamicSelect {
     }
   }
   
-  exportOptions() {
+  /**
+   * Wait for a storage change and tell the user when it wasn't saved (a
+   * failed write, or an option storage refused). Resolves whether it was.
+   */
+  async persist(change, failureMessage = 'Your tags could not be saved') {
+    try {
+      if (await change) return true;
+    } catch (error) {
+      console.error('Storage failed:', error);
+    }
+    
+    this.notify(failureMessage, 'error');
+    return false;
+  }
+  
+  async exportOptions() {
     try {
-      this.storage.export();
+      await this.storage.export();
       this.notify('Tags exported successfully', 'success');
     } catch (error) {
       console.error('Export failed:', error);
@@ -580,16 +895,21 @@ export class DynamicSelect {
       try {
         const result = await this.storage.import(file);
         
-        // Add imported options to Tom-Select
-        result.options.filter(opt => opt.imported).forEach(option => {
+        // Add the options this import added (not earlier imports) to Tom-Select
+        result.addedOptions.forEach(option => {
+          this.shareOption(option.value || option.id);
+          
           try {
-            this.instance.addOption({
+            const data = {
               value: option.value || option.id,
               text: option.text,
               created: true,
               imported: true,
               timestamp: option.timestamp
-            });
+            };
+            
+            this.instance.addOption(data);
+            this.dispatchOptionEvent('create', data);
           } catch (error) {
             console.warn('Failed to add imported option:', option);
           }
@@ -664,27 +984,46 @@ export class DynamicSelect {
     return Object.values(this.instance.options).filter(opt => opt.created);
   }
   
-  getStats() {
+  async getStats() {
+    const stored = await this.storage.load();
+    
     return {
       total: Object.keys(this.instance.options).length,
       created: this.createdCount,
       selected: this.instance.items.length,
-      storage: this.storage.getStats()
+      storage: await this.storage.getStats(),
+      unsynced: this.sync ? stored.filter(opt => opt.synced === false).length : 0
     };
   }
   
-  clearCreated() {
+  async clearCreated() {
     const created = this.getCreatedOptions();
     created.forEach(option => {
       this.instance.removeOption(option.value);
     });
-    this.storage.clear();
+    this.dispatchOptionEvent('delete', created.map(option => option.value));
+    
+    if (!(await this.persist(this.storage.clear()))) return;
+    
+    this.tabSync?.publish('option:clear', { storageKey: this.storage.key });
     this.createdCount = 0;
     this.updateCreatedCounter();
     this.notify('All created tags cleared', 'info');
   }
   
   destroy() {
+    if (this.sync) {
+      this.offlineManager.unregisterReplayHandler(this.sync.handler);
+      this.offlineManager.removeEventListener('failed', this.handleSyncFailed);
+    }
+    
+    if (this.tabSync) {
+      ['option:upsert', 'option:delete', 'option:clear', 'selection'].forEach(type => {
+        this.tabSync.removeEventListener(type, this.handleTabMessage);
+      });
+      releaseTabSync(this.tabSync);
+    }
+    
     if (this.instance) {
       this.instance.destroy();
     }
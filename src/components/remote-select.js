@@ -7,6 +7,14 @@ import 'tom-select/dist/css/tom-select.css';
 import { ApiClient, ApiError } from '../utils/api-client.js';
 import { ResultCache } from '../utils/cache.js';
 import { OfflineManager } from '../utils/offline.js';
+import { getResponseSource } from '../utils/service-worker.js';
+import { OfflineCorpus } from '../utils/offline-corpus.js';
+import { getTabSync, releaseTabSync } from '../utils/tab-sync.js';
+import { parseQuery, matchesQuery, matchesText, narrowsQuery, toRequestParams } from '../utils/query-parser.js';
+import { normalizeFacetSelection, matchesFacets, countFacets, toFacetParams, getFacetKey } from '../utils/facets.js';
+import { FacetBar } from '../utils/facet-bar.js';
+import { isPastScrollThreshold, INFINITE_LOAD_COOLDOWN } from '../utils/scroll-manager.js';
+import { resolveResponseAdapter, extractItems } from '../utils/response-adapters.js';
 
 export class RemoteSelect {
   constructor(selector, options = {}) {
@@ -39,16 +47,45 @@ export class RemoteSelect {
       {
         timeout: options.timeout || 10000,
         retries: options.retries || 3,
-        rateLimit: options.rateLimit || 100
+        rateLimit: options.rateLimit || 100,
+        burst: options.burst
       }
     );
     
-    // Cache
+    // Tell the user when the server rate-limits us and we back off
+    this.handleRateLimit = this.handleRateLimit.bind(this);
+    this.apiClient.addEventListener?.('ratelimit', this.handleRateLimit);
+    
+    // Cross-tab sync (true, a channel name or a TabSync): cache writes made
+    // in other tabs replace ours, and the selection follows with `syncSelection`
+    this.tabSync = options.tabSync ? getTabSync(options.tabSync) : null;
+    this.syncSelection = Boolean(this.tabSync && options.syncSelection);
+    this.applyingRemote = false;
+    
+    // Cache: pages are served fresh until `cacheStaleAfter`, then served
+    // stale while being revalidated in the background until they expire
     this.cache = options.cache || new ResultCache({
       maxSize: options.cacheSize || 100,
-      ttl: options.cacheTTL || 5 * 60 * 1000, // 5 minutes
-      namespace: options.cacheNamespace || 'remote_select'
+      ttl: options.cacheExpireAfter || options.cacheTTL || 5 * 60 * 1000, // 5 minutes
+      staleAfter: options.cacheStaleAfter || 60 * 1000, // 1 minute
+      namespace: options.cacheNamespace || 'remote_select',
+      tabSync: this.tabSync
     });
+    this.staleWhileRevalidate = options.staleWhileRevalidate !== false;
+    this.revalidating = new Set(); // Cache keys being revalidated
+    this.revalidationStats = {
+      revalidations: 0,
+      notModified: 0,
+      updated: 0,
+      failed: 0
+    };
+    
+    // Requests answered by filtering a complete cached result of a broader query
+    this.savedRequests = 0;
+    
+    // Optional OfflineServiceWorker; responses it served from its cache are flagged
+    this.serviceWorker = options.serviceWorker || null;
+    this.responseSources = { network: 0, cache: 0, stale: 0 };
     
     // Offline Manager
     this.offlineManager = options.offlineManager || new OfflineManager({
@@ -61,20 +98,78 @@ export class RemoteSelect {
     this.currentRequest = null;
     this.requestHistory = [];
     
-    // Pagination
+    // Request shape: GET with query params by default. `requestBody(context)`
+    // builds a POST body from the query and facets instead; `graphqlQuery`
+    // posts { query, variables } (variables from `graphqlVariables(context)`).
+    this.requestBody = options.requestBody || null;
+    this.graphqlQuery = options.graphqlQuery || null;
+    this.graphqlVariables = options.graphqlVariables || null;
+    this.requestMethod = (options.requestMethod || (this.requestBody || this.graphqlQuery ? 'POST' : 'GET')).toUpperCase();
+    
+    // Pagination. The response adapter ('page', 'offset', 'cursor', 'link',
+    // 'jsonapi', 'graphql' or a custom { parse, nextRequest } object) reads
+    // items and the next-page token from each response.
+    this.responseAdapter = resolveResponseAdapter(
+      options.responseAdapter || (this.graphqlQuery ? 'graphql' : 'page'),
+      options.adapterOptions
+    );
     this.currentPage = 1;
     this.hasMore = true;
+    this.nextToken = null;
+    
+    // Infinite scroll: the next page loads when the dropdown is scrolled past
+    // `infiniteThreshold`, with the same cooldown as ScrollManager
+    this.infiniteScroll = options.infiniteScroll !== false;
+    this.infiniteThreshold = options.infiniteThreshold || 0.8;
+    this.pageSize = options.pageSize || options.maxOptions || 50;
+    this.isLoadingMore = false;
+    this.lastLoadTrigger = 0;
+    this.lastScrollTop = 0;
+    this.loadedQuery = '';
+    this.pageGeneration = 0;    // Bumped when the query changes; stale pages are dropped
+    this.loadingMoreRow = null;
+    this.handleDropdownScroll = this.handleDropdownScroll.bind(this);
     
     // Settings
     this.apiEndpoint = options.apiEndpoint || '/api/search';
     this.valueField = options.valueField || 'id';
     this.labelField = options.labelField || 'name';
+    
+    // Query language (`lang:rust stars:>10000 -deprecated`)
+    this.queryAliases = options.queryAliases || null;
+    this.queryParamNames = options.queryParamNames || {};
+    
+    // Facets (`[{ field: 'category', label: 'Category' }]`): chips with counts
+    // in the dropdown header; the selection is sent as `field=a,b` params
+    this.facetFields = (options.facets || []).map(facet => typeof facet === 'string' ? { field: facet, label: facet } : facet);
+    this.facetSelection = normalizeFacetSelection(options.facetSelection);
+    this.facetBar = null;
+    
+    // Fields `field:value` tokens may filter on (besides alias targets);
+    // other tokens with a colon, like URLs, are searched as text
+    this.queryFields = options.queryFields || [
+      ...[].concat(options.searchField || this.labelField),
+      ...this.facetFields.map(facet => facet.field)
+    ];
+    
+    // Every item received from the API, searched when offline. Starts from
+    // the pages persisted by the cache the first time.
+    this.corpus = new OfflineCorpus({
+      storageKey: `tom_select_corpus_${this.apiEndpoint}`,
+      valueField: this.valueField,
+      maxItems: options.offlineCorpusSize || 1000
+    });
+    if (this.corpus.size === 0) {
+      this.corpus.add(this.cache.getPersistedData?.().filter(Array.isArray).flat());
+    }
   }
 
   /**
    * Build Tom-Select configuration
    */
   buildConfig(options) {
+    const self = this;
+    
     return {
       // Core settings
       valueField: this.valueField,
@@ -82,10 +177,16 @@ export class RemoteSelect {
       searchField: options.searchField || [this.labelField],
       create: false,
       
+      // Filters were applied when loading; score loaded options on free text only
+      score: function(search) {
+        return this.getScoreFunction(self.parseQuery(search).text);
+      },
+      
       // Loading behavior
       preload: options.preload !== false,
       loadThrottle: options.loadThrottle || 300,
-      maxOptions: options.maxOptions || 50,
+      // Appended pages must not be cut off by Tom-Select's own limit
+      maxOptions: this.infiniteScroll ? null : this.pageSize,
       
       // Plugins
       plugins: options.plugins || {
@@ -136,6 +237,9 @@ export class RemoteSelect {
       // Setup offline event listeners
       this.setupOfflineListeners();
       
+      // Follow cache writes and selections made in other tabs
+      this.setupTabSync();
+      
       // Store instance globally for debugging
       window.tomSelectInstances = window.tomSelectInstances || {};
       window.tomSelectInstances[this.element.id] = this.tomselect;
@@ -157,97 +261,517 @@ export class RemoteSelect {
       return callback();
     }
     
+    // A new query starts over at page 1
+    const generation = ++this.pageGeneration;
+    this.currentPage = 1;
+    this.nextToken = null;
+    this.loadedQuery = query;
+    this.lastScrollTop = 0;
+    this.showLoadingMore(false);
+    
     try {
       // Cancel previous request if exists
       this.cancelCurrentRequest();
       
-      // Check cache first
-      const cacheKey = this.getCacheKey(query);
-      const cachedData = this.cache.get(cacheKey);
-      
-      if (cachedData) {
-        console.log(`Loading from cache: ${query}`);
-        callback(cachedData);
-        return;
-      }
-      
-      // Check if offline
-      if (!navigator.onLine || !this.offlineManager.isOnline) {
+      // Check if offline (cached pages, a broader cached result or the service worker's cache are still served)
+      const isOffline = !navigator.onLine || !this.offlineManager.isOnline;
+      if (isOffline && !this.serviceWorker?.isControlling() && !this.cache.get(this.getCacheKey(query, 1)) && !this.findCoveringResult(query)) {
         console.log('Offline mode - using fallback data');
-        const fallbackData = this.offlineManager.getFallbackData(query, {
-          limit: this.config.maxOptions,
-          searchFields: this.config.searchField
-        });
-        const transformed = this.transformApiResponse({ items: fallbackData });
-        callback(transformed);
+        callback(this.getFallbackResults(query));
         return;
       }
       
       // Show loading state
       this.showLoadingState(true);
       
-      // Build request parameters
-      const params = {
-        q: query,
-        limit: this.config.maxOptions,
-        page: this.currentPage
-      };
-      
-      // Make API request
-      this.currentRequest = this.apiClient.get(this.apiEndpoint, params);
-      const response = await this.currentRequest;
-      
-      // Transform response
-      const transformed = this.transformApiResponse(response.data);
-      
-      // Cache results
-      this.cache.set(cacheKey, transformed);
-      
-      // Update request history
-      this.requestHistory.push({
-        query,
-        timestamp: Date.now(),
-        responseTime: response.responseTime,
-        resultCount: transformed.length
-      });
+      const page = await this.fetchPage(query, 1);
       
       // Hide loading state
       this.showLoadingState(false);
       
+      if (generation !== this.pageGeneration) {
+        return callback();
+      }
+      
+      this.nextToken = page.next;
+      this.hasMore = page.next !== null;
+      this.updateFacetBar(page.facets, page.items);
+      
       // Return results
-      callback(transformed);
+      callback(page.items);
       
     } catch (error) {
       this.handleLoadError(error, query, callback);
+    }
+  }
+
+  /**
+   * Load one page of results, from the cache when possible. Pages after the
+   * first are requested with the previous page's `next` token.
+   * Resolves to { items, next, facets, stale }; each page is cached separately.
+   */
+  async fetchPage(query, page, next = null) {
+    const cacheKey = this.getCacheKey(query, page);
+    const cached = this.cache.getEntry(cacheKey);
+    
+    if (cached) {
+      console.log(`Loading from cache: ${query} (page ${page})${cached.stale ? ' - stale' : ''}`);
+      const meta = this.cache.get(`${cacheKey}_meta`) || {};
+      
+      // Stale-while-revalidate: answer now, refresh in the background
+      if (cached.stale && this.staleWhileRevalidate) {
+        this.revalidatePage(query, page, next, cached);
+      }
+      
+      return { items: cached.data, next: meta.next ?? null, facets: meta.facets || null, stale: cached.stale };
+    }
+    
+    // A broader query's complete result already holds every match
+    const covering = page === 1 ? this.findCoveringResult(query) : null;
+    
+    if (covering) {
+      const structured = this.parseQuery(query);
+      const items = covering.items.filter(item =>
+        matchesQuery(item, structured) && matchesText(item, structured, { fields: this.config.searchField, phrase: true })
+      );
+      
+      this.savedRequests++;
+      console.log(`Filtered "${query}" locally from cached "${covering.query}" (${items.length}/${covering.items.length})`);
+      
+      return { items, next: null, facets: null, stale: false };
+    }
+    
+    return this.requestPage(query, page, next);
+  }
+
+  /**
+   * Parse query-language input; only `queryFields` and alias targets
+   * become filters
+   */
+  parseQuery(query) {
+    return parseQuery(query, { aliases: this.queryAliases, fields: this.queryFields });
+  }
+
+  /**
+   * Find a fresh cached result for a shorter prefix of `query` that was
+   * complete (one page, nothing after it) and that `query` only narrows.
+   * Resolves to { query, items } or null.
+   */
+  findCoveringResult(query) {
+    const structured = this.parseQuery(query);
+    const candidates = new Map(); // meta cache key -> prefix
+    
+    for (let length = query.length - 1; length >= 0; length--) {
+      const prefix = query.slice(0, length);
+      
+      if (prefix !== prefix.trimEnd() || !narrowsQuery(structured, this.parseQuery(prefix))) continue;
+      
+      candidates.set(`${this.getCacheKey(prefix, 1)}_meta`, prefix);
+    }
+    
+    if (candidates.size === 0) return null;
+    
+    const meta = this.cache.findEntry([...candidates.keys()], entry => !entry.stale && entry.data?.next === null);
+    if (!meta) return null;
+    
+    const prefix = candidates.get(meta.key);
+    const page = this.cache.getEntry(this.getCacheKey(prefix, 1));
+    
+    return page && !page.stale ? { query: prefix, items: page.data } : null;
+  }
+
+  /**
+   * Request one page from the API and cache it. `validators` ({ etag,
+   * lastModified } of a cached page) make the request conditional; an
+   * unchanged page resolves to { notModified: true }.
+   */
+  async requestPage(query, page, next = null, { validators = null, background = false } = {}) {
+    const cacheKey = this.getCacheKey(query, page);
+    
+    // Build request parameters; field filters, ranges and sort become params
+    const structured = this.parseQuery(query);
+    const params = {
+      ...toRequestParams(structured, this.queryParamNames),
+      ...toFacetParams(this.facetSelection),
+      q: structured.text,
+      limit: this.pageSize
+    };
+    
+    // POST searches carry everything in the body
+    const body = this.buildRequestBody({
+      query,
+      text: structured.text,
+      filters: structured,
+      facets: this.facetSelection,
+      limit: this.pageSize,
+      page,
+      next,
+      params
+    });
+    
+    // Conditional request: the server may answer 304 Not Modified
+    const headers = {};
+    if (validators?.etag) {
+      headers['If-None-Match'] = validators.etag;
+    }
+    if (validators?.lastModified) {
+      headers['If-Modified-Since'] = validators.lastModified;
+    }
+    
+    // Make API request; aborting only cancels this instance's interest in it,
+    // since identical requests from other selects share the same fetch
+    const controller = new AbortController();
+    const request = this.apiClient.getPage(this.apiEndpoint, body === null ? params : {}, {
+      adapter: this.responseAdapter,
+      next,
+      method: this.requestMethod,
+      body,
+      headers,
+      graphql: Boolean(this.graphqlQuery),
+      signal: controller.signal
+    });
+    request.abort = () => controller.abort();
+    
+    // Background revalidations are not cancelled by typing or blur
+    if (!background) {
+      this.currentRequest = request;
+    }
+    
+    let response;
+    try {
+      response = await request;
     } finally {
-      this.currentRequest = null;
+      if (this.currentRequest === request) {
+        this.currentRequest = null;
+      }
+    }
+    
+    if (response.notModified) {
+      this.cache.refresh(cacheKey);
+      this.cache.refresh(`${cacheKey}_meta`);
+      return { notModified: true };
     }
+    
+    // Answered from the service worker's cache? Those items render as cached
+    const source = getResponseSource(response) || 'network';
+    const fromWorkerCache = source === 'cache' || source === 'stale';
+    this.responseSources[source] = (this.responseSources[source] || 0) + 1;
+    
+    if (fromWorkerCache) {
+      this.element.dispatchEvent(new CustomEvent('remote-select:source', {
+        detail: { query, page, source, cachedAt: Number(response.headers.get('X-SW-Cached-At')) || null }
+      }));
+    }
+    
+    // Transform response, enforcing filters the API may not support
+    const items = this.transformItems(response.items)
+      .filter(item => matchesQuery(item, structured) && matchesFacets(item, this.facetSelection))
+      .map(item => (fromWorkerCache ? { ...item, cached: true } : item));
+    
+    // Cache the page, with its facet counts and the token of the page after it.
+    // Pages from the worker's cache go stale at once so they get refreshed.
+    const meta = {
+      next: response.next,
+      facets: response.data?.facets || null
+    };
+    this.cache.set(cacheKey, items, undefined, {
+      staleAfter: fromWorkerCache ? 1 : undefined,
+      etag: response.headers?.get?.('ETag'),
+      lastModified: response.headers?.get?.('Last-Modified')
+    });
+    this.cache.set(`${cacheKey}_meta`, meta);
+    this.corpus.add(items);
+    
+    // Update request history
+    this.requestHistory.push({
+      query,
+      page,
+      timestamp: Date.now(),
+      responseTime: response.responseTime,
+      resultCount: items.length
+    });
+    
+    return { items, ...meta };
   }
 
   /**
-   * Transform API response to Tom-Select format
+   * Refresh a stale cached page and merge what changed into the dropdown
    */
-  transformApiResponse(data) {
-    // Handle different response formats
-    let items = data;
+  async revalidatePage(query, page, next, cached) {
+    const cacheKey = this.getCacheKey(query, page);
+    
+    if (this.revalidating.has(cacheKey) || !navigator.onLine || !this.offlineManager.isOnline) return;
+    
+    this.revalidating.add(cacheKey);
+    this.revalidationStats.revalidations++;
+    const generation = this.pageGeneration;
+    
+    try {
+      const result = await this.requestPage(query, page, next, { validators: cached, background: true });
+      
+      if (result.notModified) {
+        this.revalidationStats.notModified++;
+        return;
+      }
+      
+      this.revalidationStats.updated++;
+      
+      // The list moved on to another query; the fresh page stays cached
+      if (generation !== this.pageGeneration) return;
+      
+      const changes = this.mergeOptions(cached.data, result.items);
+      
+      if (page === this.currentPage) {
+        this.nextToken = result.next;
+        this.hasMore = result.next !== null;
+      }
+      if (page === 1) {
+        this.updateFacetBar(result.facets, result.items);
+      }
+      
+      console.log(`Revalidated "${query}" page ${page}:`, changes);
+      
+      this.element.dispatchEvent(new CustomEvent('remote-select:revalidate', {
+        detail: { query, page, ...changes }
+      }));
+    } catch (error) {
+      if (error.name !== 'AbortError' && !(error instanceof ApiError && error.code === 'ABORT')) {
+        this.revalidationStats.failed++;
+        console.warn('Background revalidation failed:', error);
+      }
+    } finally {
+      this.revalidating.delete(cacheKey);
+    }
+  }
+
+  /**
+   * Apply a refreshed page to the loaded options: add new ones, update
+   * changed ones and drop ones that disappeared (unless selected), keeping
+   * the highlighted option and the scroll position
+   */
+  mergeOptions(previous, items) {
+    const changes = { added: 0, updated: 0, removed: 0 };
+    const tomselect = this.tomselect;
+    if (!tomselect) return changes;
+    
+    const fresh = new Set();
+    
+    items.forEach(item => {
+      const value = String(item[this.valueField]);
+      const existing = tomselect.options[value];
+      fresh.add(value);
+      
+      if (!existing) {
+        tomselect.addOption(item);
+        changes.added++;
+      } else if (!sameOptionData(existing, item)) {
+        tomselect.updateOption(value, item);
+        changes.updated++;
+      }
+    });
     
-    // GitHub-style response
-    if (data.items && Array.isArray(data.items)) {
-      items = data.items;
+    previous.forEach(item => {
+      const value = String(item[this.valueField]);
+      
+      if (!fresh.has(value) && tomselect.options[value] && !tomselect.items.includes(value)) {
+        tomselect.removeOption(value);
+        changes.removed++;
+      }
+    });
+    
+    if (!tomselect.isOpen || !(changes.added || changes.updated || changes.removed)) {
+      return changes;
+    }
+    
+    const content = tomselect.dropdown_content;
+    const activeValue = tomselect.activeOption?.dataset.value ?? null;
+    const scrollTop = content.scrollTop;
+    
+    tomselect.refreshOptions(false);
+    
+    // refreshOptions keeps the highlight by value; restore it without scrolling if it moved
+    if (activeValue !== null && tomselect.activeOption?.dataset.value !== activeValue) {
+      const option = tomselect.getOption(activeValue);
+      if (option) {
+        tomselect.setActiveOption(option, false);
+      }
     }
     
-    // Paginated response
-    if (data.results && Array.isArray(data.results)) {
-      items = data.results;
-      this.hasMore = data.has_more || data.next_page || false;
+    content.scrollTop = scrollTop;
+    this.lastScrollTop = scrollTop;
+    
+    return changes;
+  }
+
+  /**
+   * Request body for the search, or null for GET requests: the result of
+   * `requestBody(context)`, the GraphQL query and variables, or the query
+   * params as JSON
+   */
+  buildRequestBody(context) {
+    if (this.requestMethod === 'GET') return null;
+    
+    if (this.requestBody) {
+      return this.requestBody(context);
     }
     
-    // Ensure array
-    if (!Array.isArray(items)) {
-      items = [];
+    if (this.graphqlQuery) {
+      const variables = this.graphqlVariables
+        ? this.graphqlVariables(context)
+        : { query: context.text, first: context.limit, ...context.facets };
+      
+      return { query: this.graphqlQuery, variables };
     }
     
-    // Transform to Tom-Select format
+    return { ...context.params };
+  }
+
+  /**
+   * Load the next page of the current query and append it to the dropdown
+   */
+  async loadMore() {
+    if (!this.tomselect || !this.hasMore || this.isLoadingMore) return false;
+    
+    const generation = this.pageGeneration;
+    const query = this.loadedQuery;
+    const nextPage = this.currentPage + 1;
+    
+    this.isLoadingMore = true;
+    this.showLoadingMore(true);
+    
+    try {
+      const page = await this.fetchPage(query, nextPage, this.nextToken);
+      
+      // The query changed while the page was loading
+      if (generation !== this.pageGeneration) return false;
+      
+      this.currentPage = nextPage;
+      this.nextToken = page.next;
+      this.hasMore = page.next !== null;
+      this.appendOptions(page.items);
+      
+      console.log(`Loaded page ${nextPage} (${page.items.length} items) for query: "${query}"`);
+      this.announce(`Loaded ${page.items.length} more results`);
+      
+      this.element.dispatchEvent(new CustomEvent('remote-select:pageload', {
+        detail: { query, page: nextPage, count: page.items.length, hasMore: this.hasMore }
+      }));
+      
+      return true;
+    } catch (error) {
+      if (error.name !== 'AbortError' && !(error instanceof ApiError && error.code === 'ABORT')) {
+        console.error('Load more error:', error);
+        const userMessage = error instanceof ApiError ? error.getUserMessage() : error.message;
+        this.showErrorNotification(userMessage, 'error');
+      }
+      return false;
+    } finally {
+      this.isLoadingMore = false;
+      this.showLoadingMore(false);
+    }
+  }
+
+  /**
+   * Add a page of options without losing the scroll position
+   */
+  appendOptions(items) {
+    const content = this.tomselect.dropdown_content;
+    const scrollTop = content.scrollTop;
+    
+    this.tomselect.addOptions(items);
+    this.tomselect.refreshOptions(false);
+    
+    // refreshOptions re-renders the list and scrolls the active option into view
+    content.scrollTop = scrollTop;
+    this.lastScrollTop = scrollTop;
+  }
+
+  /**
+   * Trigger loadMore near the bottom of the dropdown, following
+   * ScrollManager.checkInfiniteScroll: scrolling down, past the threshold,
+   * at most once per cooldown
+   */
+  handleDropdownScroll() {
+    const content = this.tomselect?.dropdown_content;
+    if (!content) return;
+    
+    const scrollingDown = content.scrollTop > this.lastScrollTop;
+    this.lastScrollTop = content.scrollTop;
+    
+    if (!scrollingDown || !this.hasMore || this.isLoadingMore) return;
+    if (!isPastScrollThreshold(content, this.infiniteThreshold)) return;
+    
+    const now = performance.now();
+    if (now - this.lastLoadTrigger > INFINITE_LOAD_COOLDOWN) {
+      this.lastLoadTrigger = now;
+      this.loadMore();
+    }
+  }
+
+  /**
+   * Offline results (never paginated): items seen online first, ranked like
+   * online results, then the static fallback data
+   */
+  getFallbackResults(query) {
+    const seen = this.corpus.search(query, {
+      queryAliases: this.queryAliases,
+      queryFields: this.queryFields,
+      rank: (items, text) => this.rankOfflineItems(items, text)
+    });
+    const fallbackData = this.offlineManager.getFallbackData(query, {
+      limit: this.pageSize,
+      searchFields: this.config.searchField,
+      queryAliases: this.queryAliases,
+      queryFields: this.queryFields
+    });
+    
+    const seenValues = new Set(seen.map(item => String(item[this.valueField])));
+    const results = [
+      ...seen.map(item => ({ ...item, cached: true })),
+      ...this.transformApiResponse({ items: fallbackData }).filter(item => !seenValues.has(String(item[this.valueField])))
+    ];
+    
+    this.hasMore = false;
+    this.nextToken = null;
+    this.updateFacetBar(null, results);
+    
+    return results
+      .filter(item => matchesFacets(item, this.facetSelection))
+      .slice(0, this.pageSize);
+  }
+
+  /**
+   * Order offline matches the way Tom-Select orders loaded options (its
+   * score function, best first), dropping the ones it would hide
+   */
+  rankOfflineItems(items, text) {
+    if (!text) return items;
+    
+    if (!this.tomselect) {
+      return items.filter(item => matchesText(item, { text }, { fields: this.config.searchField }));
+    }
+    
+    const score = this.tomselect.getScoreFunction(text);
+    
+    return items
+      .map((item, index) => ({ item, index, score: score(item) }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(entry => entry.item);
+  }
+
+  /**
+   * Transform API response to Tom-Select format
+   */
+  transformApiResponse(data) {
+    // Handle different response formats (bare array, items, results, data)
+    return this.transformItems(extractItems(data));
+  }
+
+  /**
+   * Map raw items to Tom-Select options
+   */
+  transformItems(items) {
     return items.map(item => ({
       [this.valueField]: item[this.valueField] || item.id,
       [this.labelField]: item[this.labelField] || item.name || item.title || '',
@@ -269,15 +793,10 @@ export class RemoteSelect {
       return callback();
     }
     
-    // Check if offline
-    if (!navigator.onLine || error.isNetworkError?.()) {
+    // Check if offline (the service worker answers 503 when it has no copy)
+    if (!navigator.onLine || error.isNetworkError?.() || (this.serviceWorker && error.status === 503)) {
       console.log('Network error - switching to offline mode');
-      const fallbackData = this.offlineManager.getFallbackData(query, {
-        limit: this.config.maxOptions,
-        searchFields: this.config.searchField
-      });
-      const transformed = this.transformApiResponse({ items: fallbackData });
-      callback(transformed);
+      callback(this.getFallbackResults(query));
       
       // Show offline notification
       this.showErrorNotification('Working offline - using cached data', 'warning');
@@ -292,6 +811,25 @@ export class RemoteSelect {
     callback();
   }
 
+  /**
+   * Show "rate limited, retrying in Ns" while the API client backs off
+   */
+  handleRateLimit(event) {
+    if (event.retrying) {
+      const seconds = Math.max(1, Math.ceil(event.retryAfter / 1000));
+      this.showErrorNotification(`Rate limited, retrying in ${seconds}s`, 'warning');
+    }
+    
+    this.element.dispatchEvent(new CustomEvent('remote-select:ratelimit', {
+      detail: {
+        status: event.status,
+        retryAfter: event.retryAfter,
+        retrying: event.retrying,
+        attempt: event.attempt
+      }
+    }));
+  }
+
   /**
    * Cancel current request
    */
@@ -309,8 +847,37 @@ export class RemoteSelect {
   /**
    * Generate cache key
    */
-  getCacheKey(query) {
-    return `${this.apiEndpoint}_${query}_page${this.currentPage}`;
+  getCacheKey(query, page = this.currentPage) {
+    const facetKey = getFacetKey(this.facetSelection);
+    return `${this.apiEndpoint}_${query}_page${page}${facetKey ? `_${facetKey}` : ''}`;
+  }
+
+  /**
+   * Add the facet bar to the top of the dropdown
+   */
+  setupFacetBar() {
+    if (!this.facetFields.length || !this.tomselect?.dropdown || this.facetBar) return;
+    
+    const container = document.createElement('div');
+    container.className = 'remote-facet-bar';
+    this.tomselect.dropdown.insertBefore(container, this.tomselect.dropdown.firstChild);
+    
+    this.facetBar = new FacetBar(container, {
+      fields: this.facetFields,
+      onChange: (selection) => this.setFacets(selection)
+    });
+    this.facetBar.render({}, this.facetSelection);
+  }
+
+  /**
+   * Redraw facet counts. Counts the API reported are used as-is; otherwise
+   * (offline, or an API without facets) they are counted from the loaded items.
+   */
+  updateFacetBar(facets, items = []) {
+    if (!this.facetBar) return;
+    
+    const counts = facets || countFacets(items, this.facetFields.map(facet => facet.field), this.facetSelection);
+    this.facetBar.render(counts, this.facetSelection);
   }
 
   /**
@@ -331,6 +898,25 @@ export class RemoteSelect {
     }
   }
 
+  /**
+   * Show/hide the "loading more" row at the end of the option list
+   */
+  showLoadingMore(show) {
+    const content = this.tomselect?.dropdown_content;
+    if (!content) return;
+    
+    if (show) {
+      if (!this.loadingMoreRow) {
+        const template = document.createElement('template');
+        template.innerHTML = this.renderLoadingMore().trim();
+        this.loadingMoreRow = template.content.firstElementChild;
+      }
+      content.appendChild(this.loadingMoreRow);
+    } else if (this.loadingMoreRow) {
+      this.loadingMoreRow.remove();
+    }
+  }
+
   /**
    * Show error notification
    */
@@ -360,6 +946,56 @@ export class RemoteSelect {
     });
   }
 
+  /**
+   * Listen for other tabs' cache invalidations (and selections)
+   */
+  setupTabSync() {
+    if (!this.tabSync) return;
+    
+    this.handleTabMessage = this.handleTabMessage.bind(this);
+    this.tabSync.addEventListener('cache:invalidate', this.handleTabMessage);
+    
+    if (this.syncSelection) {
+      this.tabSync.addEventListener('selection', this.handleTabMessage);
+    }
+  }
+
+  /**
+   * Apply another tab's change and dispatch `remote-select:remotechange`.
+   * The cache already dropped the invalidated entries.
+   */
+  handleTabMessage(message) {
+    const { payload } = message;
+    
+    if (message.type === 'cache:invalidate') {
+      if (payload.namespace !== this.cache.namespace) return;
+    } else {
+      if (payload.id !== this.element.id || !this.tomselect) return;
+      
+      this.applyingRemote = true;
+      try {
+        (payload.items || []).forEach(item => {
+          if (!this.tomselect.options[item[this.valueField]]) {
+            this.tomselect.addOption(item);
+          }
+        });
+        this.tomselect.setValue(payload.value, true);
+      } finally {
+        this.applyingRemote = false;
+      }
+    }
+    
+    this.element.dispatchEvent(new CustomEvent('remote-select:remotechange', {
+      detail: {
+        action: message.type,
+        cacheAction: payload.action,
+        keys: payload.keys,
+        value: payload.value,
+        tabId: message.tabId
+      }
+    }));
+  }
+
   // Render methods
 
   /**
@@ -504,6 +1140,22 @@ export class RemoteSelect {
     `;
   }
 
+  /**
+   * Render the "loading more" footer row
+   */
+  renderLoadingMore() {
+    return `
+      <div class="remote-loading-more flex items-center justify-center p-3 text-sm text-gray-500 border-t border-gray-100"
+           role="status">
+        <svg class="animate-spin mr-2 h-4 w-4 text-gray-500" fill="none" viewBox="0 0 24 24">
+          <circle cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4" class="opacity-25"/>
+          <path fill="currentColor" class="opacity-75" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z"/>
+        </svg>
+        <span>Loading more...</span>
+      </div>
+    `;
+  }
+
   /**
    * Render option create (if enabled)
    */
@@ -542,6 +1194,12 @@ export class RemoteSelect {
     if (this.tomselect.wrapper) {
       this.tomselect.wrapper.classList.add('remote-select');
     }
+    
+    this.setupFacetBar();
+    
+    if (this.infiniteScroll && this.tomselect.dropdown_content) {
+      this.tomselect.dropdown_content.addEventListener('scroll', this.handleDropdownScroll, { passive: true });
+    }
   }
 
   /**
@@ -595,6 +1253,22 @@ export class RemoteSelect {
   onChange(value) {
     console.log('Selection changed:', value);
     
+    // Selected items stay in the offline corpus longest
+    if (value) {
+      this.corpus.touch(value);
+    }
+    
+    if (this.syncSelection && !this.applyingRemote) {
+      const values = [].concat(value || []);
+      
+      // Other tabs may not have loaded the selected options
+      this.tabSync.publish('selection', {
+        id: this.element.id,
+        value,
+        items: values.map(item => this.tomselect.options[item]).filter(Boolean).map(({ $order, $id, ...item }) => item)
+      }, { key: `selection:${this.element.id}` });
+    }
+    
     // Trigger custom event
     this.element.dispatchEvent(new CustomEvent('remote-select:change', {
       detail: { value }
@@ -679,6 +1353,34 @@ export class RemoteSelect {
     }
   }
 
+  /**
+   * Narrow results to a facet selection ({ field: [values] }) and reload
+   */
+  setFacets(selection = {}) {
+    const facets = normalizeFacetSelection(selection);
+    if (getFacetKey(facets) === getFacetKey(this.facetSelection)) return;
+    
+    this.facetSelection = facets;
+    this.facetBar?.setSelection(facets, { silent: true });
+    this.currentPage = 1;
+    this.reload();
+    
+    this.element.dispatchEvent(new CustomEvent('remote-select:facetchange', {
+      detail: { selection: facets }
+    }));
+  }
+
+  /**
+   * Current facet selection
+   */
+  getFacets() {
+    return normalizeFacetSelection(this.facetSelection);
+  }
+
+  clearFacets() {
+    this.setFacets({});
+  }
+
   /**
    * Clear cache
    */
@@ -695,7 +1397,18 @@ export class RemoteSelect {
       api: this.apiClient.getStats(),
       cache: this.cache.getStats(),
       offline: this.offlineManager.getStatus(),
+      revalidation: { ...this.revalidationStats, pending: this.revalidating.size },
       requests: this.requestHistory.length,
+      savedRequests: this.savedRequests,
+      responseSources: { ...this.responseSources },
+      corpus: this.corpus.getStats(),
+      tabSync: this.tabSync?.getStats() || null,
+      pagination: {
+        query: this.loadedQuery,
+        page: this.currentPage,
+        hasMore: this.hasMore,
+        adapter: this.responseAdapter.name
+      },
       lastRequest: this.requestHistory[this.requestHistory.length - 1] || null
     };
   }
@@ -704,6 +1417,21 @@ export class RemoteSelect {
    * Destroy component
    */
   destroy() {
+    this.tomselect?.dropdown_content?.removeEventListener('scroll', this.handleDropdownScroll);
+    this.apiClient?.removeEventListener?.('ratelimit', this.handleRateLimit);
+    this.showLoadingMore(false);
+    
+    if (this.tabSync) {
+      this.tabSync.removeEventListener('cache:invalidate', this.handleTabMessage);
+      this.tabSync.removeEventListener('selection', this.handleTabMessage);
+      releaseTabSync(this.tabSync);
+    }
+    
+    if (this.facetBar) {
+      this.facetBar.destroy();
+      this.facetBar = null;
+    }
+    
     if (this.tomselect) {
       this.tomselect.destroy();
     }
@@ -712,9 +1440,19 @@ export class RemoteSelect {
       this.cache.destroy();
     }
     
+    this.corpus.flush();
+    
     // Note: Don't destroy shared offline manager
   }
 }
 
+/**
+ * Whether a loaded option already holds an item's data (Tom-Select adds
+ * its own `$order`/`$id` keys, so only the item's keys are compared)
+ */
+function sameOptionData(option, item) {
+  return Object.keys(item).every(key => JSON.stringify(option[key]) === JSON.stringify(item[key]));
+}
+
 // Export for use
 export default RemoteSelect;
\ No newline at end of file
@@ -9,6 +9,35 @@ import { VirtualScrollCore } from '../utils/virtual-core.js';
 import { ItemCache } from '../utils/item-cache.js';
 import { ScrollManager } from '../utils/scroll-manager.js';
 import { DataProvider } from '../utils/data-provider.js';
+import { FacetBar } from '../utils/facet-bar.js';
+import { normalizeFacetSelection, hasFacetSelection, getFacetKey } from '../utils/facets.js';
+
+/**
+ * Wrap the character ranges reported by the search worker (`_matches`) for a
+ * field in highlight markup, escaping everything else
+ */
+export function highlightMatches(data, field, escape) {
+  const value = String(data[field] ?? '');
+  const match = Array.isArray(data._matches)
+    ? data._matches.find(m => m.field === field && m.position === undefined)
+    : null;
+  
+  if (!match || !match.ranges.length) {
+    return escape(value);
+  }
+  
+  let html = '';
+  let cursor = 0;
+  
+  [...match.ranges].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+    if (start < cursor) return;
+    html += escape(value.slice(cursor, start));
+    html += `<mark class="search-highlight">${escape(value.slice(start, end))}</mark>`;
+    cursor = end;
+  });
+  
+  return html + escape(value.slice(cursor));
+}
 
 /**
  * Virtual Select - Main integration component that coordinates all virtual scrolling
@@ -30,6 +59,31 @@ export class VirtualSelect {
       preloadSize: 100,
       maxRenderedItems: 200,
       
+      // Grouping: items are sectioned by this field under sticky headers
+      // (list layout only)
+      groupField: null,
+      groupLabels: null,       // Optional { groupValue: 'Label' } map
+      collapsedGroups: [],     // Groups that start collapsed
+      
+      // Sorting: initial order, and the fields offered by the dropdown's sort
+      // control (e.g. [{ field: 'text', label: 'Name' }]; field null = default)
+      sortField: null,
+      sortOrder: 'asc',
+      sortOptions: null,
+      
+      // Facets: chips with counts in the dropdown header that narrow the
+      // results (e.g. [{ field: 'category', label: 'Category' }]). Counts come
+      // from the data provider, or from the API in server-paged mode.
+      facets: null,
+      facetSelection: {},
+      
+      // Layout: 'list' or 'grid' (icon/emoji/avatar pickers)
+      layout: 'list',
+      grid: {
+        columns: 'auto',     // Fixed column count, or 'auto' to fit minColumnWidth
+        minColumnWidth: 64
+      },
+      
       // Performance settings
       performanceMonitoring: true,
       targetFPS: 60,
@@ -37,13 +91,24 @@ export class VirtualSelect {
       
       // Data settings
       chunkSize: 1000,
-      searchWorker: true,
+      searchWorker: true, // Search local datasets above DataProvider's workerThreshold in a worker
+      searchSchema: null, // Field weights/modes shared by main-thread and worker search
+      queryAliases: null, // Extra query-language field aliases (e.g. { lang: 'language' })
+      queryFields: null, // Fields besides the schema's and facets' that `field:value` may filter on
       enableInfiniteScroll: true,
       
+      // IndexedDB chunk tier (see DataProvider). Opened when the source is first
+      // loaded; keeps URL, function and server-paged data between visits under
+      // datasetKey (default: the URL or endpoint) until datasetVersion changes
+      persistChunks: false,
+      datasetKey: null,
+      datasetVersion: null,
+      
       // Tom-Select integration
       tomSelectOptions: {},
       
-      // Data source
+      // Data source. An object with an `endpoint` switches to server-side
+      // paging: rows are fetched in chunks as they scroll into view.
       dataSource: null,
       
       // Custom renderers
@@ -51,7 +116,8 @@ export class VirtualSelect {
         option: null,
         item: null,
         loading: null,
-        noResults: null
+        noResults: null,
+        groupHeader: null
       },
       
       // Accessibility
@@ -77,6 +143,37 @@ export class VirtualSelect {
     this.isRendering = false;
     this.currentData = [];
     this.visibleItems = new Map();
+    this.optionSources = new Set();   // Disconnect functions of connected DynamicSelects
+    
+    // Group state: flattened header/item rows and one section per group
+    this.groupRows = null;
+    this.groupSections = [];
+    this.collapsedGroups = new Set(this.options.collapsedGroups || []);
+    
+    // Sort state: rows are read through an index permutation, data is never reordered
+    this.sort = { field: this.options.sortField || null, order: this.options.sortOrder === 'desc' ? 'desc' : 'asc' };
+    this.sortPermutation = null;
+    this.sortPermutations = new Map(); // 'field:order' -> permutation of sortedData
+    this.sortedData = null;
+    
+    // Facet state
+    this.facetSelection = normalizeFacetSelection(this.options.facetSelection);
+    this.facetBar = null;
+    this.facetRequest = null;         // AbortController of the pending facet count
+    this.currentQuery = '';
+    
+    // Server-side paging state
+    this.remotePaging = Boolean(this.options.dataSource && typeof this.options.dataSource === 'object' && this.options.dataSource.endpoint);
+    this.remoteInitialization = null;
+    this.remoteGeneration = 0;        // Bumped per query; stale chunk loads are ignored
+    this.pendingChunks = new Set();
+    
+    // Local sources (URL, array, items object, function) load once, on first use
+    this.localInitialization = null;
+    
+    if (this.options.groupField && this.options.layout === 'grid') {
+      console.warn('[VirtualSelect] groupField is ignored in the grid layout');
+    }
     
     // Performance tracking
     this.performance = {
@@ -112,9 +209,35 @@ export class VirtualSelect {
       this.dataProvider = new DataProvider({
         chunkSize: this.options.chunkSize,
         dataSource: this.options.dataSource,
-        enableWorker: this.options.searchWorker
+        enableWorker: this.options.searchWorker,
+        searchSchema: this.options.searchSchema,
+        queryAliases: this.options.queryAliases,
+        queryFields: [...(this.options.queryFields || []), ...this.getFacetFields().map(facet => facet.field)],
+        keyField: this.options.tomSelectOptions.valueField || 'value',
+        persistChunks: this.options.persistChunks,
+        datasetKey: this.options.datasetKey,
+        datasetVersion: this.options.datasetVersion
+      });
+      
+      // Surface worker index streaming so the UI can show progress
+      ['indexprogress', 'indexready'].forEach(type => {
+        this.dataProvider.addEventListener(type, ({ type: eventType, ...detail }) => {
+          this.element.dispatchEvent(new CustomEvent(`virtualselect:${eventType}`, { detail }));
+        });
       });
       
+      // Remote totals can change as later pages arrive
+      if (this.remotePaging) {
+        this.dataProvider.addEventListener('totalchange', ({ total }) => {
+          this.currentData.length = total;
+          this.syncVirtualRows(total);
+          
+          if (this.initialized) {
+            this.renderVirtualItems();
+          }
+        });
+      }
+      
       // Initialize item cache for DOM recycling
       this.itemCache = new ItemCache({
         maxCacheSize: this.options.maxRenderedItems,
@@ -125,7 +248,10 @@ export class VirtualSelect {
       this.virtualCore = new VirtualScrollCore(null, {
         itemHeight: this.options.itemHeight,
         bufferSize: this.options.bufferSize,
-        preloadSize: this.options.preloadSize
+        preloadSize: this.options.preloadSize,
+        layout: this.options.layout,
+        columns: this.options.grid?.columns ?? 'auto',
+        minColumnWidth: this.options.grid?.minColumnWidth ?? 64
       });
       
       // Initialize Tom-Select with virtual scrolling customizations
@@ -172,6 +298,10 @@ export class VirtualSelect {
       searchField: this.options.tomSelectOptions.searchField || ['text'],
       sortField: this.options.tomSelectOptions.sortField || null, // Let virtual system handle sorting
       
+      // Query-language filters are applied by the data provider; Tom-Select
+      // scores loaded options on the free text only
+      score: (search) => this.tomSelect.getScoreFunction(this.dataProvider.parseQuery(search).text),
+      
       // Loading configuration
       preload: true, // Always preload for virtual scrolling
       
@@ -239,28 +369,29 @@ export class VirtualSelect {
     try {
       console.log(`[VirtualSelect] Loading data for query: "${query}"`);
       
-      // Use data provider to search and load data
-      const results = await this.dataProvider.search(query, {
-        limit: this.options.preloadSize,
-        offset: 0
-      });
+      this.currentQuery = query;
       
-      // Validate results structure
-      if (!results || typeof results !== 'object') {
-        throw new Error('Invalid response from data provider');
+      if (this.remotePaging) {
+        const total = await this.loadRemoteResults(query);
+        
+        callback(this.currentData.slice(0, this.dataProvider.options.chunkSize).filter(Boolean));
+        
+        if (!this.initialized) {
+          this.initialized = true;
+          this.startVirtualRendering();
+        }
+        
+        this.updateFacets();
+        
+        console.log(`[VirtualSelect] Loaded first page, total: ${total}`);
+        return;
       }
       
-      const items = results.items || [];
-      const totalCount = results.totalCount || items.length;
-      
-      // Store current data reference
-      this.currentData = items;
-      
-      // Set total items in virtual core
-      this.virtualCore.setTotalItems(totalCount);
+      const items = await this.loadLocalResults(query);
       
-      // Execute callback with results
-      callback(items);
+      // Tom-Select only needs the first rows; the virtual list renders the rest
+      callback(items.slice(0, this.options.preloadSize));
+      this.updateFacets();
       
       // Start virtual rendering after initial load
       if (!this.initialized) {
@@ -268,10 +399,13 @@ export class VirtualSelect {
         this.startVirtualRendering();
       }
       
-      console.log(`[VirtualSelect] Loaded ${items.length} items, total: ${totalCount}`);
+      console.log(`[VirtualSelect] Loaded ${items.length} items`);
       
     } catch (error) {
-      console.error('[VirtualSelect] Data loading error:', error);
+      // Superseded by a newer query - that load will fill the dropdown
+      if (error.name !== 'AbortError') {
+        console.error('[VirtualSelect] Data loading error:', error);
+      }
       callback([]);
     }
   }
@@ -282,7 +416,10 @@ export class VirtualSelect {
   renderDropdown() {
     return `
       <div class="ts-dropdown virtual-dropdown">
+        ${this.getFacetFields().length ? '<div class="virtual-facet-bar"></div>' : ''}
+        ${this.renderSortControl()}
         <div class="virtual-scroll-container" style="position: relative; height: 300px; overflow-y: auto;">
+          <div class="virtual-sticky-header hidden" style="position: sticky; top: 0; height: 0; z-index: 2;"></div>
           <div class="virtual-content" style="position: relative;"></div>
           <div class="virtual-spacer" style="height: 0px;"></div>
         </div>
@@ -296,6 +433,29 @@ export class VirtualSelect {
     `;
   }
   
+  /**
+   * Sort buttons for the dropdown header (only with options.sortOptions).
+   * Clicking the active field flips its order.
+   */
+  renderSortControl() {
+    const sortOptions = this.options.sortOptions;
+    if (!Array.isArray(sortOptions) || sortOptions.length === 0) return '';
+    
+    const escape = (value) => this.itemCache.escapeHtml(value);
+    const buttons = sortOptions.map(({ field, label }) => `
+      <button type="button" class="virtual-sort-button px-2 py-1 rounded hover:bg-gray-200" data-sort-field="${escape(field ?? '')}" aria-pressed="false">
+        ${escape(label ?? field ?? 'Default')}<span class="sort-indicator ml-1" aria-hidden="true"></span>
+      </button>
+    `).join('');
+    
+    return `
+      <div class="virtual-sort-control flex items-center gap-1 px-3 py-2 border-b border-gray-200 bg-gray-50 text-xs" role="toolbar" aria-label="Sort options">
+        <span class="text-gray-500 mr-1">Sort:</span>
+        ${buttons}
+      </div>
+    `;
+  }
+  
   /**
    * Custom option renderer for virtual scrolling
    */
@@ -316,13 +476,14 @@ export class VirtualSelect {
   defaultOptionRenderer(data, escape) {
     const avatar = data.avatar ? `<img src="${data.avatar}" alt="" class="w-8 h-8 rounded mr-3" loading="lazy">` : '';
     const badge = data.badge ? `<span class="ml-auto px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded">${escape(data.badge)}</span>` : '';
-    const description = data.description ? `<div class="text-sm text-gray-600">${escape(data.description)}</div>` : '';
+    const description = data.description ? `<div class="text-sm text-gray-600">${highlightMatches(data, 'description', escape)}</div>` : '';
+    const title = data.text ? highlightMatches(data, 'text', escape) : escape(data.value || '');
     
     return `
       <div class="flex items-center p-3 hover:bg-gray-50 cursor-pointer transition-colors">
         ${avatar}
         <div class="flex-1 min-w-0">
-          <div class="font-medium truncate">${escape(data.text || data.value || '')}</div>
+          <div class="font-medium truncate">${title}</div>
           ${description}
         </div>
         ${badge}
@@ -330,6 +491,24 @@ export class VirtualSelect {
     `;
   }
   
+  /**
+   * Default group header renderer
+   */
+  defaultGroupHeaderRenderer(data, escape) {
+    return `
+      <div class="optgroup-header flex items-center justify-between px-3 py-2 bg-gray-100 border-b border-gray-200 cursor-pointer">
+        <div class="flex items-center">
+          <svg class="w-4 h-4 mr-2 transition-transform duration-200 ${data.collapsed ? '' : 'rotate-90'}"
+               fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"/>
+          </svg>
+          <span class="font-medium text-gray-800">${escape(data.label)}</span>
+        </div>
+        <span class="group-count text-sm text-gray-500">${data.count}</span>
+      </div>
+    `;
+  }
+  
   /**
    * Custom item renderer for selected items
    */
@@ -395,6 +574,7 @@ export class VirtualSelect {
     const scrollContainer = dropdown?.querySelector('.virtual-scroll-container');
     const contentContainer = dropdown?.querySelector('.virtual-content');
     const spacer = dropdown?.querySelector('.virtual-spacer');
+    this.stickyHeader = dropdown?.querySelector('.virtual-sticky-header') || null;
     
     if (!scrollContainer || !contentContainer || !spacer) {
       console.error('[VirtualSelect] Virtual scrolling elements not found in dropdown');
@@ -405,6 +585,34 @@ export class VirtualSelect {
     this.virtualCore.dropdown = scrollContainer;
     this.virtualCore.content = contentContainer;
     this.virtualCore.spacer = spacer;
+    contentContainer.classList.toggle('virtual-grid', this.virtualCore.isGrid());
+    
+    const facetContainer = dropdown.querySelector('.virtual-facet-bar');
+    if (facetContainer) {
+      this.facetBar = new FacetBar(facetContainer, {
+        fields: this.getFacetFields(),
+        onChange: (selection) => this.setFacets(selection)
+      });
+      this.updateFacets();
+    }
+    
+    this.sortControl = dropdown.querySelector('.virtual-sort-control');
+    if (this.sortControl) {
+      // Keep focus in the search input while clicking sort buttons
+      this.sortControl.addEventListener('mousedown', (event) => event.preventDefault());
+      this.sortControl.addEventListener('click', (event) => {
+        const button = event.target.closest('.virtual-sort-button');
+        if (!button) return;
+        
+        event.preventDefault();
+        event.stopPropagation();
+        
+        const field = button.dataset.sortField || null;
+        const order = field && field === this.sort.field && this.sort.order === 'asc' ? 'desc' : 'asc';
+        this.setSort(field, order);
+      });
+      this.updateSortControl();
+    }
     
     // Start scroll monitoring
     this.scrollManager.startMonitoring();
@@ -430,8 +638,20 @@ export class VirtualSelect {
     
     // Render visible items
     itemsToRender.forEach(itemInfo => {
-      const data = this.currentData[itemInfo.index];
-      if (!data) return;
+      const data = this.getSourceRow(itemInfo.sourceIndex);
+      if (!data) {
+        // Not fetched yet - hold the row with a skeleton until its chunk arrives
+        if (this.remotePaging) {
+          this.renderSkeletonRow(itemInfo);
+          this.requestRemoteChunk(Math.floor(itemInfo.sourceIndex / this.dataProvider.options.chunkSize));
+        }
+        return;
+      }
+      
+      if (data.isGroupHeader) {
+        this.renderGroupHeaderRow(data, itemInfo);
+        return;
+      }
       
       // Add virtual index and positioning info to data
       const virtualData = {
@@ -450,25 +670,11 @@ export class VirtualSelect {
       
       // Set virtual item attributes
       element.classList.add('virtual-option');
-      element.style.position = 'absolute';
-      element.style.top = `${itemInfo.offset}px`;
-      element.style.height = `${itemInfo.height}px`;
-      element.style.left = '0';
-      element.style.right = '0';
       
       // Add to visible items tracking
       this.visibleItems.set(itemInfo.index, element);
       
-      // Add to DOM
-      this.virtualCore.content.appendChild(element);
-      
-      // Measure actual height if needed
-      if (!this.virtualCore.itemHeights.has(itemInfo.index)) {
-        const actualHeight = element.offsetHeight;
-        if (actualHeight > 0) {
-          this.virtualCore.updateItemHeight(itemInfo.index, actualHeight);
-        }
-      }
+      this.placeVirtualElement(element, itemInfo);
     });
     
     // Update spacer height for total scroll area
@@ -477,6 +683,8 @@ export class VirtualSelect {
       this.virtualCore.spacer.style.height = `${totalHeight}px`;
     }
     
+    this.updateStickyHeader();
+    
     // Track performance
     const renderTime = performance.now() - renderStart;
     this.updatePerformanceMetrics(renderTime);
@@ -484,6 +692,605 @@ export class VirtualSelect {
     console.log(`[VirtualSelect] Rendered ${itemsToRender.length} virtual items in ${renderTime.toFixed(2)}ms`);
   }
   
+  /**
+   * Position a rendered row, add it to the DOM and measure it if needed
+   */
+  placeVirtualElement(element, itemInfo, measure = true) {
+    element.style.position = 'absolute';
+    element.style.top = `${itemInfo.offset}px`;
+    element.style.height = `${itemInfo.height}px`;
+    
+    if (this.virtualCore.isGrid()) {
+      const columnWidth = 100 / this.virtualCore.columnCount;
+      element.style.left = `${itemInfo.column * columnWidth}%`;
+      element.style.width = `${columnWidth}%`;
+      element.style.right = 'auto';
+    } else {
+      element.style.left = '0';
+      element.style.right = '0';
+      element.style.width = '';
+    }
+    
+    // Add to DOM
+    this.virtualCore.content.appendChild(element);
+    
+    // Measure actual height if needed
+    if (measure && !this.virtualCore.hasItemHeight(itemInfo.index)) {
+      const actualHeight = element.offsetHeight;
+      if (actualHeight > 0) {
+        this.virtualCore.updateItemHeight(itemInfo.index, actualHeight);
+      }
+    }
+  }
+  
+  /**
+   * Whether items are sectioned into groups
+   */
+  isGrouped() {
+    return Boolean(this.options.groupField) && this.options.layout !== 'grid' && !this.remotePaging;
+  }
+  
+  /**
+   * Set the current data for a query on a local source, initializing the
+   * data provider on first use. Without a query or facet selection the rows
+   * are the provider's whole dataset (so sorting reuses its permutations),
+   * or its first rows for function sources; otherwise the search results.
+   */
+  async loadLocalResults(query) {
+    if (!this.localInitialization) {
+      this.localInitialization = this.options.dataSource
+        ? this.dataProvider.initialize(this.options.dataSource)
+        : Promise.resolve();
+    }
+    await this.localInitialization;
+    
+    const provider = this.dataProvider;
+    let items;
+    
+    if (!query?.trim() && !hasFacetSelection(this.facetSelection)) {
+      // Drop a pending search so its results can't replace the full list
+      provider.cancelSearch();
+      items = provider.baseDataset
+        || await provider.getItemsInRange(0, Math.min(this.options.preloadSize, provider.totalItems) - 1);
+    } else {
+      items = await provider.search(query, {
+        limit: this.options.preloadSize,
+        offset: 0,
+        facets: this.facetSelection
+      });
+    }
+    
+    this.currentData = items;
+    this.syncVirtualRows();
+    
+    return items;
+  }
+  
+  /**
+   * Load the first page of a (possibly new) remote query and size the
+   * virtual list to the server's total. Rows beyond the first chunk are a
+   * sparse array filled in as their chunks arrive.
+   */
+  async loadRemoteResults(query) {
+    if (!this.remoteInitialization) {
+      // The initial sort goes out with the first request
+      this.remoteInitialization = this.dataProvider.initialize({
+        ...this.options.dataSource,
+        sort: this.sort.field ? { ...this.sort } : null,
+        facets: this.facetSelection
+      });
+    }
+    await this.remoteInitialization;
+    
+    const generation = ++this.remoteGeneration;
+    const total = await this.dataProvider.setRemoteQuery(query);
+    const firstChunk = await this.dataProvider.loadChunk(0);
+    
+    if (generation !== this.remoteGeneration) {
+      throw new DOMException('Superseded by a newer query', 'AbortError');
+    }
+    
+    this.pendingChunks.clear();
+    this.currentData = new Array(total);
+    this.fillRemoteChunk(0, firstChunk);
+    this.syncVirtualRows(total);
+    
+    return total;
+  }
+  
+  /**
+   * Fetch a chunk of remote rows once; re-render when it lands
+   */
+  requestRemoteChunk(chunkIndex) {
+    if (this.pendingChunks.has(chunkIndex)) return;
+    
+    this.pendingChunks.add(chunkIndex);
+    const generation = this.remoteGeneration;
+    
+    this.dataProvider.loadChunk(chunkIndex)
+      .then(items => {
+        if (generation !== this.remoteGeneration || this.destroyed) return;
+        
+        this.fillRemoteChunk(chunkIndex, items);
+        
+        if (this.initialized) {
+          this.renderVirtualItems();
+        }
+      })
+      .catch(error => {
+        if (error.name !== 'AbortError') {
+          console.error(`[VirtualSelect] Failed to load chunk ${chunkIndex}:`, error);
+        }
+      })
+      .finally(() => {
+        // A failed chunk is retried the next time its rows are rendered
+        if (generation === this.remoteGeneration) {
+          this.pendingChunks.delete(chunkIndex);
+        }
+      });
+  }
+  
+  /**
+   * Place a fetched chunk into the sparse row array and register its
+   * options with Tom-Select so they can be selected
+   */
+  fillRemoteChunk(chunkIndex, items) {
+    const start = chunkIndex * this.dataProvider.options.chunkSize;
+    
+    items.forEach((item, localIndex) => {
+      if (start + localIndex < this.currentData.length) {
+        this.currentData[start + localIndex] = item;
+      }
+    });
+    
+    this.tomSelect?.addOptions(items);
+  }
+  
+  /**
+   * Render a placeholder for a row whose chunk is still loading
+   */
+  renderSkeletonRow(itemInfo) {
+    const element = document.createElement('div');
+    element.className = 'virtual-option virtual-skeleton skeleton-option';
+    element.dataset.virtualIndex = itemInfo.index;
+    element.setAttribute('aria-hidden', 'true');
+    element.innerHTML = `
+      <div class="flex items-center p-3">
+        <div class="skeleton-avatar mr-3"></div>
+        <div class="flex-1 space-y-2">
+          <div class="skeleton-text w-3/4"></div>
+          <div class="skeleton-description w-1/2"></div>
+        </div>
+      </div>
+    `;
+    
+    // Skeleton heights are not real measurements
+    this.placeVirtualElement(element, itemInfo, false);
+  }
+  
+  /**
+   * Hand the current data to the virtual core. Grouped data is flattened to
+   * header + item rows, and collapsed groups become excluded index ranges.
+   */
+  syncVirtualRows(totalCount = this.currentData.length) {
+    this.sortPermutation = this.getSortPermutation();
+    
+    if (!this.isGrouped()) {
+      this.groupRows = null;
+      this.groupSections = [];
+      this.virtualCore.setTotalItems(totalCount, []);
+      return;
+    }
+    
+    const groupField = this.options.groupField;
+    const buckets = new Map();
+    
+    // Groups appear in first-seen order; items keep their (sorted) order within a group
+    const permutation = this.sortPermutation;
+    for (let position = 0; position < this.currentData.length; position++) {
+      const dataIndex = permutation ? permutation[position] : position;
+      const group = this.currentData[dataIndex][groupField] ?? '';
+      if (!buckets.has(group)) {
+        buckets.set(group, []);
+      }
+      buckets.get(group).push(dataIndex);
+    }
+    
+    const rows = [];
+    const sections = [];
+    
+    buckets.forEach((dataIndices, group) => {
+      const headerIndex = rows.length;
+      const label = this.options.groupLabels?.[group] ?? (group === '' ? 'Other' : String(group));
+      
+      rows.push({ isGroupHeader: true, group, label, count: dataIndices.length });
+      dataIndices.forEach(dataIndex => rows.push({ dataIndex }));
+      sections.push({ group, label, headerIndex, start: headerIndex + 1, end: rows.length - 1 });
+    });
+    
+    this.groupRows = rows;
+    this.groupSections = sections;
+    this.virtualCore.setTotalItems(rows.length, this.getCollapsedRanges());
+  }
+  
+  /**
+   * Index permutation for the current sort over the current data (search
+   * results or the full list). Permutations are built lazily per field and
+   * order, and reused until the data changes. Remote data is sorted by the
+   * server instead.
+   */
+  getSortPermutation() {
+    const { field, order } = this.sort;
+    if (!field || this.remotePaging || this.currentData.length === 0) return null;
+    
+    // The provider keeps permutations of its full dataset across searches
+    if (this.currentData === this.dataProvider.baseDataset) {
+      return this.dataProvider.getSortedIndices(field, order);
+    }
+    
+    if (this.sortedData !== this.currentData) {
+      this.sortedData = this.currentData;
+      this.sortPermutations.clear();
+    }
+    
+    const key = `${field}:${order}`;
+    if (!this.sortPermutations.has(key)) {
+      this.sortPermutations.set(key, this.dataProvider.createSortPermutation(this.currentData, field, order));
+    }
+    
+    return this.sortPermutations.get(key);
+  }
+  
+  /**
+   * Order the list by a field ('asc' or 'desc'); a null field restores the
+   * data's own order (relevance for search results). Sorting applies to the
+   * current search results and carries over to later searches. Rows are
+   * re-mapped through an index permutation, so no data is copied.
+   */
+  async setSort(field, order = 'asc') {
+    field = field || null;
+    order = order === 'desc' ? 'desc' : 'asc';
+    
+    if (field === this.sort.field && (order === this.sort.order || !field)) return this;
+    
+    this.sort = { field, order };
+    this.updateSortControl();
+    
+    try {
+      if (this.remotePaging) {
+        // The server sorts; reload the current query in the new order
+        if (this.remoteInitialization) {
+          await this.remoteInitialization;
+          await this.dataProvider.setRemoteSort(field, order);
+          await this.loadRemoteResults(this.dataProvider.remoteSource.query);
+        }
+      } else {
+        this.syncVirtualRows();
+      }
+    } catch (error) {
+      // A newer query or sort superseded this one
+      if (error.name === 'AbortError') return this;
+      throw error;
+    }
+    
+    if (this.initialized) {
+      const scrollElement = this.virtualCore.getScrollElement();
+      if (scrollElement) {
+        scrollElement.scrollTop = 0;
+      }
+      this.renderVirtualItems();
+    }
+    
+    this.element.dispatchEvent(new CustomEvent('virtualselect:sortchange', {
+      detail: { field, order }
+    }));
+    
+    if (this.options.accessibility.announceChanges) {
+      this.announceState(field ? `Sorted by ${this.getSortLabel(field)}, ${order === 'asc' ? 'ascending' : 'descending'}` : 'Default order');
+    }
+    
+    return this;
+  }
+  
+  /**
+   * Current sort ({ field, order }; field is null for the default order)
+   */
+  getSort() {
+    return { ...this.sort };
+  }
+  
+  getSortLabel(field) {
+    return this.options.sortOptions?.find(option => option.field === field)?.label ?? field;
+  }
+  
+  /**
+   * Reflect the current sort in the header control
+   */
+  updateSortControl() {
+    if (!this.sortControl) return;
+    
+    this.sortControl.querySelectorAll('.virtual-sort-button').forEach(button => {
+      const field = button.dataset.sortField || null;
+      const active = field === this.sort.field;
+      
+      button.setAttribute('aria-pressed', String(active));
+      button.classList.toggle('bg-blue-100', active);
+      button.classList.toggle('text-blue-800', active);
+      button.querySelector('.sort-indicator').textContent = active && field
+        ? (this.sort.order === 'asc' ? '\u25B2' : '\u25BC')
+        : '';
+    });
+  }
+  
+  /**
+   * Facet field definitions ({ field, label }); plain strings are accepted
+   */
+  getFacetFields() {
+    if (!Array.isArray(this.options.facets)) return [];
+    
+    return this.options.facets.map(facet => typeof facet === 'string' ? { field: facet, label: facet } : facet);
+  }
+  
+  /**
+   * Narrow the results to a facet selection ({ field: [values] }). The
+   * current query is searched again with the new selection.
+   */
+  async setFacets(selection = {}) {
+    const facets = normalizeFacetSelection(selection);
+    if (getFacetKey(facets) === getFacetKey(this.facetSelection)) return this;
+    
+    this.facetSelection = facets;
+    this.facetBar?.setSelection(facets, { silent: true });
+    
+    if (this.remotePaging && this.remoteInitialization) {
+      try {
+        await this.remoteInitialization;
+        await this.dataProvider.setRemoteFacets(facets);
+      } catch (error) {
+        if (error.name === 'AbortError') return this;
+        throw error;
+      }
+    }
+    
+    if (this.initialized) {
+      await this.performSearch(this.currentQuery);
+    }
+    
+    this.element.dispatchEvent(new CustomEvent('virtualselect:facetchange', {
+      detail: { selection: facets }
+    }));
+    
+    return this;
+  }
+  
+  /**
+   * Current facet selection
+   */
+  getFacets() {
+    return normalizeFacetSelection(this.facetSelection);
+  }
+  
+  clearFacets() {
+    return this.setFacets({});
+  }
+  
+  /**
+   * Recount facet values for the current query and redraw the facet bar
+   */
+  async updateFacets() {
+    if (!this.facetBar) return;
+    
+    this.facetRequest?.abort();
+    const request = new AbortController();
+    this.facetRequest = request;
+    
+    try {
+      const facets = await this.dataProvider.getFacets(
+        this.getFacetFields().map(facet => facet.field),
+        { query: this.currentQuery, selection: this.facetSelection, signal: request.signal }
+      );
+      
+      if (request.signal.aborted || this.destroyed) return;
+      this.facetBar.render(facets, this.facetSelection);
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('[VirtualSelect] Facet count failed:', error);
+      }
+    } finally {
+      if (this.facetRequest === request) {
+        this.facetRequest = null;
+      }
+    }
+  }
+  
+  /**
+   * Item ranges of the collapsed groups
+   */
+  getCollapsedRanges() {
+    return this.groupSections
+      .filter(section => this.collapsedGroups.has(section.group))
+      .map(section => [section.start, section.end]);
+  }
+  
+  /**
+   * Resolve a source row (as indexed by the virtual core) to an item or a
+   * group header row
+   */
+  getSourceRow(sourceIndex) {
+    if (!this.groupRows) {
+      return this.currentData[this.sortPermutation ? this.sortPermutation[sourceIndex] : sourceIndex];
+    }
+    
+    const row = this.groupRows[sourceIndex];
+    if (!row) return undefined;
+    
+    return row.isGroupHeader ? row : this.currentData[row.dataIndex];
+  }
+  
+  /**
+   * Find the group section containing a source row
+   */
+  findGroupSection(sourceIndex) {
+    let low = 0;
+    let high = this.groupSections.length - 1;
+    let found = null;
+    
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this.groupSections[mid].headerIndex <= sourceIndex) {
+        found = this.groupSections[mid];
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    
+    return found;
+  }
+  
+  /**
+   * Build a group header element (not pooled - headers are few)
+   */
+  createGroupHeaderElement(row) {
+    const render = this.options.render.groupHeader || this.defaultGroupHeaderRenderer;
+    const escape = this.tomSelect?.utils?.escape || ((value) => this.itemCache.escapeHtml(value));
+    const collapsed = this.collapsedGroups.has(row.group);
+    
+    const element = document.createElement('div');
+    element.className = 'virtual-group-header';
+    element.dataset.group = String(row.group);
+    element.setAttribute('role', 'button');
+    element.setAttribute('aria-expanded', String(!collapsed));
+    element.innerHTML = render.call(this.tomSelect, { ...row, collapsed }, escape);
+    
+    element.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.toggleGroup(row.group);
+    });
+    
+    return element;
+  }
+  
+  /**
+   * Render an in-list group header row
+   */
+  renderGroupHeaderRow(row, itemInfo) {
+    const element = this.createGroupHeaderElement(row);
+    element.dataset.virtualIndex = itemInfo.index;
+    this.placeVirtualElement(element, itemInfo);
+  }
+  
+  /**
+   * Pin the current group's header to the top of the viewport; the next
+   * group's header pushes it up as it arrives
+   */
+  updateStickyHeader() {
+    const sticky = this.stickyHeader;
+    if (!sticky) return;
+    
+    const core = this.virtualCore;
+    const scrollTop = core.getScrollElement()?.scrollTop ?? core.viewport.scrollTop;
+    const section = this.groupRows && this.groupSections.length
+      ? this.findGroupSection(core.toSourceIndex(core.findItemAtOffset(scrollTop)))
+      : null;
+    
+    if (!section || core.totalItems === 0) {
+      sticky.classList.add('hidden');
+      sticky.innerHTML = '';
+      return;
+    }
+    
+    const headerIndex = core.toVirtualIndex(section.headerIndex);
+    const headerHeight = core.getRowHeight(headerIndex);
+    const collapsed = this.collapsedGroups.has(section.group);
+    const stateKey = `${section.headerIndex}:${collapsed}`;
+    
+    if (sticky.dataset.state !== stateKey) {
+      const row = this.groupRows[section.headerIndex];
+      const element = this.createGroupHeaderElement(row);
+      element.style.position = 'absolute';
+      element.style.top = '0';
+      element.style.left = '0';
+      element.style.right = '0';
+      element.style.height = `${headerHeight}px`;
+      
+      sticky.innerHTML = '';
+      sticky.appendChild(element);
+      sticky.dataset.state = stateKey;
+    }
+    
+    // Slide up while the next header enters the sticky area
+    let shift = 0;
+    const next = this.groupSections[this.groupSections.indexOf(section) + 1];
+    if (next) {
+      const nextOffset = core.getItemOffset(core.toVirtualIndex(next.headerIndex));
+      shift = Math.min(0, nextOffset - scrollTop - headerHeight);
+    }
+    
+    sticky.firstElementChild.style.transform = `translateY(${shift}px)`;
+    sticky.classList.remove('hidden');
+  }
+  
+  /**
+   * Collapse or expand a group. The group's items are excluded from (or
+   * restored to) the virtual index space; the header stays.
+   */
+  setGroupCollapsed(group, collapsed) {
+    if (collapsed === this.collapsedGroups.has(group)) return this;
+    
+    if (collapsed) {
+      this.collapsedGroups.add(group);
+    } else {
+      this.collapsedGroups.delete(group);
+    }
+    
+    const section = this.groupSections.find(entry => entry.group === group);
+    if (section && section.end >= section.start) {
+      if (collapsed) {
+        this.virtualCore.excludeRange(section.start, section.end);
+      } else {
+        this.virtualCore.includeRange(section.start, section.end);
+      }
+      
+      if (this.initialized) {
+        this.renderVirtualItems();
+      }
+    }
+    
+    this.element.dispatchEvent(new CustomEvent('virtualselect:groupchange', {
+      detail: { group, collapsed }
+    }));
+    
+    return this;
+  }
+  
+  toggleGroup(group) {
+    return this.setGroupCollapsed(group, !this.collapsedGroups.has(group));
+  }
+  
+  collapseGroup(group) {
+    return this.setGroupCollapsed(group, true);
+  }
+  
+  expandGroup(group) {
+    return this.setGroupCollapsed(group, false);
+  }
+  
+  /**
+   * Collapse or expand every group in one exclusion update
+   */
+  setAllGroupsCollapsed(collapsed) {
+    this.collapsedGroups = new Set(collapsed ? this.groupSections.map(section => section.group) : []);
+    this.virtualCore.setExcludedRanges(this.getCollapsedRanges());
+    
+    if (this.initialized) {
+      this.renderVirtualItems();
+    }
+    
+    return this;
+  }
+  
   /**
    * Clear virtual items from DOM and cache
    */
@@ -552,7 +1359,7 @@ export class VirtualSelect {
       
       if (results.items && results.items.length > 0) {
         this.currentData = [...this.currentData, ...results.items];
-        this.virtualCore.setTotalItems(this.currentData.length);
+        this.syncVirtualRows();
         
         console.log(`[VirtualSelect] Preloaded ${results.items.length} more items, total: ${this.currentData.length}`);
       }
@@ -628,14 +1435,25 @@ export class VirtualSelect {
     try {
       console.log(`[VirtualSelect] Searching for: "${query}"`);
       
-      const results = await this.dataProvider.search(query, {
-        limit: this.options.preloadSize,
-        offset: 0
-      });
+      this.currentQuery = query;
+      
+      // Server-side paging: the endpoint filters, we page through its results
+      if (this.remotePaging) {
+        const total = await this.loadRemoteResults(query);
+        
+        const scrollContainer = this.tomSelect.dropdown?.querySelector('.virtual-scroll-container');
+        if (scrollContainer) {
+          scrollContainer.scrollTop = 0;
+        }
+        
+        this.renderVirtualItems();
+        this.updateFacets();
+        
+        console.log(`[VirtualSelect] Search completed: ${total} results`);
+        return;
+      }
       
-      // Update current data
-      this.currentData = results.items;
-      this.virtualCore.setTotalItems(results.totalCount);
+      const items = await this.loadLocalResults(query);
       
       // Reset scroll position
       const scrollContainer = this.tomSelect.dropdown?.querySelector('.virtual-scroll-container');
@@ -645,10 +1463,14 @@ export class VirtualSelect {
       
       // Re-render virtual items
       this.renderVirtualItems();
+      this.updateFacets();
       
-      console.log(`[VirtualSelect] Search completed: ${results.items.length} results`);
+      console.log(`[VirtualSelect] Search completed: ${items.length} results`);
       
     } catch (error) {
+      // A newer keystroke superseded this search; its results are stale
+      if (error.name === 'AbortError') return;
+      
       console.error('[VirtualSelect] Search error:', error);
     }
   }
@@ -674,18 +1496,29 @@ export class VirtualSelect {
     
     const { key } = event;
     const activeOption = this.tomSelect.activeOption;
+    const lastIndex = this.virtualCore.totalItems - 1;
+    
+    // Up/down move by a whole row; in a grid that is columnCount items
+    const rowStep = this.virtualCore.columnCount;
     
     // Virtual scrolling keyboard navigation
     switch (key) {
       case 'ArrowDown':
       case 'ArrowUp':
         event.preventDefault();
-        this.navigateVirtual(key === 'ArrowDown' ? 1 : -1);
+        this.navigateVirtual(key === 'ArrowDown' ? rowStep : -rowStep);
+        break;
+      case 'ArrowRight':
+      case 'ArrowLeft':
+        // Left/right only navigate in a grid; in a list they move the caret
+        if (!this.virtualCore.isGrid()) break;
+        event.preventDefault();
+        this.navigateVirtual(key === 'ArrowRight' ? 1 : -1);
         break;
       case 'PageDown':
       case 'PageUp':
         event.preventDefault();
-        this.navigateVirtual(key === 'PageDown' ? 10 : -10);
+        this.navigateVirtual(key === 'PageDown' ? 10 * rowStep : -10 * rowStep);
         break;
       case 'Home':
         event.preventDefault();
@@ -693,7 +1526,7 @@ export class VirtualSelect {
         break;
       case 'End':
         event.preventDefault();
-        this.scrollToItem(this.currentData.length - 1);
+        this.scrollToItem(lastIndex);
         break;
     }
   }
@@ -703,7 +1536,15 @@ export class VirtualSelect {
    */
   navigateVirtual(delta) {
     const currentIndex = this.getCurrentActiveIndex();
-    const newIndex = Math.max(0, Math.min(this.currentData.length - 1, currentIndex + delta));
+    const lastIndex = this.virtualCore.totalItems - 1;
+    let newIndex = Math.max(0, Math.min(lastIndex, currentIndex + delta));
+    
+    // Step over group headers in the direction of travel
+    const step = Math.sign(delta);
+    while (this.getSourceRow(this.virtualCore.toSourceIndex(newIndex))?.isGroupHeader &&
+           newIndex + step >= 0 && newIndex + step <= lastIndex) {
+      newIndex += step;
+    }
     
     if (newIndex !== currentIndex) {
       this.setActiveItem(newIndex);
@@ -725,8 +1566,8 @@ export class VirtualSelect {
    * Set active item by index
    */
   setActiveItem(index) {
-    const data = this.currentData[index];
-    if (!data) return;
+    const data = this.getSourceRow(this.virtualCore.toSourceIndex(index));
+    if (!data || data.isGroupHeader) return;
     
     // Ensure item is visible
     this.scrollToItem(index);
@@ -743,10 +1584,14 @@ export class VirtualSelect {
   }
   
   /**
-   * Scroll to specific item
+   * Scroll to specific item, by index or by grid coordinates ({ row, column })
    */
-  scrollToItem(index, align = 'top') {
+  scrollToItem(target, align = 'top') {
     if (this.virtualCore) {
+      const index = typeof target === 'object' && target !== null
+        ? Math.min(this.virtualCore.getItemIndex(target.row, target.column ?? 0), this.currentData.length - 1)
+        : target;
+      
       this.virtualCore.scrollToItem(index, align);
     }
   }
@@ -871,7 +1716,7 @@ export class VirtualSelect {
    */
   addData(items) {
     this.currentData = [...this.currentData, ...items];
-    this.virtualCore.setTotalItems(this.currentData.length);
+    this.syncVirtualRows();
     
     if (this.initialized) {
       this.renderVirtualItems();
@@ -880,12 +1725,138 @@ export class VirtualSelect {
     return this;
   }
   
+  /**
+   * Merge items into the virtual list and search index by value: existing
+   * items are replaced in place, new ones are appended. Used for options
+   * created by DynamicSelect and for remote results. A server-paged list
+   * only has its loaded rows replaced.
+   */
+  async mergeItems(items) {
+    items = Array.isArray(items) ? items : [items];
+    
+    if (this.remotePaging) {
+      return this.patchLoadedRows(items);
+    }
+    
+    const valueField = this.dataProvider.options.keyField;
+    const positions = new Map(this.currentData.map((item, index) => [item[valueField], index]));
+    const merged = [...this.currentData];
+    
+    items.forEach(item => {
+      const value = item[valueField];
+      
+      if (positions.has(value)) {
+        merged[positions.get(value)] = item;
+      } else {
+        positions.set(value, merged.length);
+        merged.push(item);
+      }
+    });
+    
+    this.currentData = merged;
+    this.syncVirtualRows();
+    
+    if (this.initialized) {
+      this.renderVirtualItems();
+    }
+    
+    return await this.dataProvider.upsertItems(items);
+  }
+  
+  /**
+   * Remove items from the virtual list and search index by value. A
+   * server-paged list is left as is: removing rows would shift the offsets
+   * of every chunk still to be fetched.
+   */
+  async removeItems(values) {
+    values = Array.isArray(values) ? values : [values];
+    
+    if (this.remotePaging) {
+      return { added: 0, updated: 0, removed: 0, totalItems: this.currentData.length };
+    }
+    
+    const valueField = this.dataProvider.options.keyField;
+    const removed = new Set(values);
+    this.currentData = this.currentData.filter(item => !removed.has(item[valueField]));
+    this.syncVirtualRows();
+    
+    if (this.initialized) {
+      this.renderVirtualItems();
+    }
+    
+    return await this.dataProvider.removeItems(values);
+  }
+  
+  /**
+   * Replace the already loaded rows of a server-paged list by value. Rows
+   * still to be fetched come from the server, so nothing is added.
+   */
+  patchLoadedRows(items) {
+    const valueField = this.dataProvider.options.keyField;
+    const replacements = new Map(items.map(item => [item[valueField], item]));
+    let updated = 0;
+    
+    // forEach skips the holes of rows that aren't loaded yet
+    this.currentData.forEach((row, index) => {
+      if (replacements.has(row[valueField])) {
+        this.currentData[index] = replacements.get(row[valueField]);
+        updated++;
+      }
+    });
+    
+    if (updated > 0 && this.initialized) {
+      this.renderVirtualItems();
+    }
+    
+    return { added: 0, updated, removed: 0, totalItems: this.currentData.length };
+  }
+  
+  /**
+   * Keep the options created in a DynamicSelect in this list: created and
+   * edited options are merged in, deleted ones removed, without a reindex.
+   * Returns a function that disconnects it again.
+   */
+  connectDynamicSelect(dynamicSelect) {
+    const apply = (update) => update.catch(error => {
+      console.warn('[VirtualSelect] Failed to apply created options:', error);
+    });
+    
+    const handlers = {
+      'dynamic-select:create': (event) => apply(this.mergeItems(event.detail.option)),
+      'dynamic-select:update': (event) => apply(this.mergeItems(event.detail.option)),
+      'dynamic-select:delete': (event) => apply(this.removeItems(event.detail.values))
+    };
+    
+    Object.entries(handlers).forEach(([type, handler]) => {
+      dynamicSelect.element.addEventListener(type, handler);
+    });
+    
+    // Options it loaded from storage before connecting
+    apply(Promise.resolve(dynamicSelect.ready).then(() => {
+      const created = dynamicSelect.getCreatedOptions().map(({ $order, $id, ...option }) => option);
+      
+      if (created.length > 0 && this.optionSources.has(disconnect)) {
+        return this.mergeItems(created);
+      }
+    }));
+    
+    const disconnect = () => {
+      Object.entries(handlers).forEach(([type, handler]) => {
+        dynamicSelect.element.removeEventListener(type, handler);
+      });
+      this.optionSources.delete(disconnect);
+    };
+    
+    this.optionSources.add(disconnect);
+    return disconnect;
+  }
+  
   /**
    * Clear all data and reset
    */
   clearData() {
     this.currentData = [];
-    this.virtualCore.setTotalItems(0);
+    this.syncVirtualRows(0);
     this.clearVirtualItems();
     
     if (this.tomSelect) {
@@ -948,11 +1919,18 @@ export class VirtualSelect {
       this.searchTimeout = null;
     }
     
+    this.facetRequest?.abort();
+    if (this.facetBar) {
+      this.facetBar.destroy();
+      this.facetBar = null;
+    }
+    
     // Remove event listeners
     window.removeEventListener('resize', this.boundHandlers.resize);
     document.removeEventListener('keydown', this.boundHandlers.keydown);
     this.element.removeEventListener('focus', this.boundHandlers.focus);
     this.element.removeEventListener('blur', this.boundHandlers.blur);
+    this.optionSources.forEach(disconnect => disconnect());
     
     // Clean up virtual items
     this.clearVirtualItems();
@@ -6,13 +6,17 @@ import { GroupedSelect } from './components/grouped-select.js';
 import { MultiSelectTags } from './components/multi-select.js';
 import { RemoteSelect } from './components/remote-select.js';
 import { VirtualSelect } from './components/virtual-select.js';
-import { initializeMockApi } from './utils/mock-api.js';
+import { initializeMockApi, removeMockApiInterceptor } from './utils/mock-api.js';
+import { OfflineServiceWorker } from './utils/service-worker.js';
 
 // PATTERN: Wait for DOM ready
 document.addEventListener('DOMContentLoaded', function() {
   // Initialize mock API for development
   initializeMockApi();
   
+  // Optional offline service worker: ?sw=network-first|cache-first|stale-while-revalidate
+  const offlineWorker = initializeOfflineServiceWorker();
+  
   // Add a small delay to ensure mock API is properly set up
   setTimeout(() => {
     // Initialize all Tom-Select components
@@ -20,11 +24,34 @@ document.addEventListener('DOMContentLoaded', function() {
     initializeDynamicSelect();
     initializeGroupedSelect();
     initializeMultiSelectTags();
-    initializeRemoteSelect();
+    initializeRemoteSelect(offlineWorker);
     initializeVirtualSelect();
   }, 100);
 });
 
+function initializeOfflineServiceWorker() {
+  const strategy = new URLSearchParams(window.location.search).get('sw');
+  if (!strategy || !OfflineServiceWorker.isSupported()) return null;
+  
+  try {
+    // In development the worker answers API calls with the mock API itself
+    const offlineWorker = new OfflineServiceWorker({ strategy, mockApi: import.meta.env.DEV });
+    
+    offlineWorker.register().then(active => {
+      if (active && import.meta.env.DEV) {
+        removeMockApiInterceptor();
+      }
+    });
+    
+    // Try offline mode from the console: offlineWorker.simulateOffline()
+    window.offlineWorker = offlineWorker;
+    return offlineWorker;
+  } catch (error) {
+    console.error('Failed to set up the offline service worker:', error);
+    return null;
+  }
+}
+
 function initializeBasicSelect() {
   // CRITICAL: Check element exists
   const element = document.querySelector('#select-basic');
@@ -125,6 +152,16 @@ function initializeDynamicSelect() {
   try {
     // Initialize dynamic select with comprehensive configuration
     const dynamicSelect = new DynamicSelect('#select-create', {
+      // Send created tags to the backend, queued offline until it's reachable
+      sync: { endpoint: '/api/tags' },
+      
+      // Keep created tags and the selection in step across open tabs
+      tabSync: true,
+      syncSelection: true,
+      
+      // Where created tags are kept; try ?storage=session, indexeddb or memory
+      storageAdapter: new URLSearchParams(window.location.search).get('storage') || 'local',
+      
       // Enhanced Tom-Select configuration for dynamic creation
       maxItems: null, // Unlimited for multi-select
       create: true,
@@ -332,10 +369,10 @@ function setupKeyboardShortcuts(dynamicSelect) {
 }
 
 function updateCreatedCount(dynamicSelect) {
-  const updateCount = () => {
+  const updateCount = async () => {
     const countElement = document.getElementById('created-count');
     if (countElement && dynamicSelect.storage) {
-      const stats = dynamicSelect.storage.getStats();
+      const stats = await dynamicSelect.storage.getStats();
       const count = stats.created || 0;
       countElement.textContent = `${count} created tag${count !== 1 ? 's' : ''}`;
     }
@@ -479,7 +516,7 @@ function showMaxItemsMessage() {
   }, 3000);
 }
 
-function initializeRemoteSelect() {
+function initializeRemoteSelect(offlineWorker = null) {
   // CRITICAL: Check element exists
   const element = document.querySelector('#select-remote');
   if (!element) {
@@ -493,6 +530,14 @@ function initializeRemoteSelect() {
       apiBaseURL: '/api',
       searchEndpoint: '/search',
       maxItems: null, // Unlimited for multi-select
+      serviceWorker: offlineWorker,
+      
+      // Pick up results other tabs cached
+      tabSync: true,
+      
+      // The fields the API matches search text in, so cached results are
+      // narrowed locally the same way
+      searchField: ['name', 'description', 'language', 'tags', 'category'],
       
       // Performance settings
       debounceInterval: 300,
@@ -605,12 +650,12 @@ function setupRemoteSelectControls(remoteSelect) {
         // Clear all caches
         const cacheCleared = remoteSelect.cache.clear();
         const pendingCleared = remoteSelect.offlineManager.pendingRequests.length;
-        remoteSelect.offlineManager.pendingRequests = [];
+        remoteSelect.offlineManager.clearOutbox();
+        remoteSelect.corpus.clear();
         
         // Clear localStorage cache
         if (typeof window !== 'undefined' && window.localStorage) {
           window.localStorage.removeItem('offline_fallback_data');
-          window.localStorage.removeItem('offline_pending_requests');
         }
         
         // Show temporary feedback
@@ -848,6 +893,12 @@ function initializeVirtualSelect() {
     // Setup accessibility testing
     setupAccessibilityTesting(virtualSelect);
     
+    // Tags created in the dynamic select are merged into the virtual list
+    const dynamicSelect = window.tomSelectInstances?.dynamic;
+    if (dynamicSelect) {
+      virtualSelect.connectDynamicSelect(dynamicSelect);
+    }
+    
     // Store instance for debugging/manipulation
     window.tomSelectInstances = window.tomSelectInstances || {};
     window.tomSelectInstances['virtual'] = virtualSelect.tomSelect;
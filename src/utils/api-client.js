@@ -2,25 +2,44 @@
  * API Client for Tom-Select Remote Data Loading
  * Handles fetch requests with error handling, rate limiting, and request cancellation
  */
+import { resolveResponseAdapter } from './response-adapters.js';
+import { TokenBucket, getSharedRateLimiter, getRetryAfter } from './rate-limiter.js';
+
+// In-flight requests of every client on the page, so identical requests from
+// separate components (e.g. two RemoteSelects) share one fetch
+const sharedInflight = new Map(); // method + URL + body + headers -> shared request
+
 export class ApiClient {
   constructor(baseURL, options = {}) {
     this.baseURL = baseURL || window.location.origin;
     this.timeout = options.timeout || 10000; // 10 seconds default
     this.retries = options.retries || 3;
     this.rateLimit = options.rateLimit || 100; // requests per minute
+    this.burst = options.burst || 10;          // requests allowed back to back
+    this.shareRateLimit = options.shareRateLimit !== false; // One budget per origin across clients
+    this.maxRetryAfter = options.maxRetryAfter || 60000;    // Don't wait longer than this on Retry-After
     this.headers = options.headers || {};
+    this.coalesce = options.coalesce !== false; // Share in-flight identical requests
     
     // Request management
     this.requestQueue = [];
-    this.activeRequests = new Map();
+    this.activeRequests = new Map(); // requestId -> { abort } per caller
+    this.inflight = sharedInflight;  // Shared across clients (see above)
+    this.rateLimiters = new Map();   // origin -> TokenBucket (when not shared)
     this.lastRequestTime = 0;
     
+    // Event listeners ('throttle', 'ratelimit')
+    this.listeners = new Map();
+    
     // Statistics
     this.stats = {
       totalRequests: 0,
       successfulRequests: 0,
       failedRequests: 0,
       cancelledRequests: 0,
+      coalescedRequests: 0,
+      rateLimitedRequests: 0,
+      graphqlErrors: 0,
       averageResponseTime: 0
     };
   }
@@ -29,16 +48,158 @@ export class ApiClient {
    * Perform GET request with automatic retry and rate limiting
    */
   async get(endpoint, params = {}, options = {}) {
-    const url = this.buildURL(endpoint, params);
+    return this.request('GET', endpoint, { ...options, params });
+  }
+
+  /**
+   * Perform POST request; plain-object bodies are sent as JSON
+   */
+  async post(endpoint, body = null, options = {}) {
+    return this.request('POST', endpoint, { ...options, body });
+  }
+
+  /**
+   * Perform a request with automatic retry, timeout and rate limiting.
+   * Options: params (query string), body, headers, timeout, credentials,
+   * retry, signal (cancels this caller only), coalesce.
+   *
+   * Concurrent identical requests (same method, URL, body and headers),
+   * from this or any other client, share one fetch; each caller gets its
+   * own copy of the response object. The fetch is only aborted once every caller sharing it has
+   * cancelled.
+   *
+   * A 304 (conditional requests with If-None-Match / If-Modified-Since)
+   * resolves with `notModified: true` and no data.
+   */
+  async request(method, endpoint, options = {}) {
+    method = method.toUpperCase();
+    const url = this.buildURL(endpoint, options.params || {});
+    const body = method === 'GET' || method === 'HEAD' ? undefined : this.serializeBody(options.body);
+    
+    // FormData/Blob bodies cannot be compared, so they are never shared.
+    // Clients with other default headers (e.g. auth) never share a fetch.
+    const headers = { ...this.headers, ...options.headers };
+    const key = this.coalesce && options.coalesce !== false && (body === undefined || typeof body === 'string')
+      ? `${method} ${url} ${body ?? ''} ${Object.keys(headers).length > 0 ? JSON.stringify(headers) : ''}`
+      : null;
+    
+    let shared = key ? this.inflight.get(key) : null;
+    
+    if (shared) {
+      this.stats.coalescedRequests++;
+      console.log(`Coalesced request: ${method} ${url}`);
+    } else {
+      shared = this.createSharedRequest(method, url, body, options);
+      
+      if (key) {
+        shared.key = key;
+        this.inflight.set(key, shared);
+        shared.promise.then(() => {}, () => {}).then(() => {
+          if (this.inflight.get(key) === shared) {
+            this.inflight.delete(key);
+          }
+        });
+      }
+    }
+    
+    return this.subscribe(shared, options.signal);
+  }
+
+  /**
+   * Start a fetch that several callers can share
+   */
+  createSharedRequest(method, url, body, options) {
+    const shared = {
+      key: null,
+      subscribers: 0,
+      cancelled: false,
+      controller: null,
+      promise: null,
+      abort() {
+        shared.cancelled = true;
+        shared.controller?.abort();
+      }
+    };
+    
+    shared.promise = this.performRequest(shared, method, url, body, options);
+    return shared;
+  }
+
+  /**
+   * Attach one caller to a shared request. Cancelling (through `signal` or
+   * cancelRequest) rejects this caller right away and aborts the fetch when
+   * no other caller is waiting on it.
+   */
+  subscribe(shared, signal) {
     const requestId = this.generateRequestId();
+    shared.subscribers++;
     
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      
+      const settle = () => {
+        settled = true;
+        this.activeRequests.delete(requestId);
+        signal?.removeEventListener('abort', cancel);
+      };
+      
+      const cancel = () => {
+        if (settled) return;
+        settle();
+        
+        this.stats.cancelledRequests++;
+        reject(new ApiError('Request cancelled', 0, 'ABORT'));
+        
+        // Last caller gone: abort, and let new identical calls start afresh
+        if (--shared.subscribers === 0) {
+          shared.abort();
+          if (shared.key && this.inflight.get(shared.key) === shared) {
+            this.inflight.delete(shared.key);
+          }
+        }
+      };
+      
+      if (signal?.aborted) {
+        cancel();
+        return;
+      }
+      
+      this.activeRequests.set(requestId, { abort: cancel });
+      signal?.addEventListener('abort', cancel, { once: true });
+      
+      shared.promise.then(
+        (response) => {
+          if (settled) return;
+          settle();
+          shared.subscribers--;
+          resolve({ ...response });
+        },
+        (error) => {
+          if (settled) return;
+          settle();
+          shared.subscribers--;
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Run the fetch behind a shared request, retrying network and server
+   * errors. `shared.abort()` cancels the current attempt and any retry.
+   */
+  async performRequest(shared, method, url, body, options = {}) {
     try {
       // Apply rate limiting
-      await this.enforceRateLimit();
+      await this.enforceRateLimit(url);
       
-      // Create abort controller for this request
+      if (shared.cancelled) {
+        throw new DOMException('Request cancelled', 'AbortError');
+      }
+      
+      // Create abort controller for this attempt
       const controller = new AbortController();
-      this.activeRequests.set(requestId, controller);
+      shared.controller = controller;
       
       // Set timeout
       const timeoutId = setTimeout(() => {
@@ -50,28 +211,66 @@ export class ApiClient {
       const startTime = performance.now();
       this.stats.totalRequests++;
       
+      const headers = {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        ...this.headers,
+        ...options.headers
+      };
+      
+      // Let the browser set the multipart boundary
+      if (typeof FormData !== 'undefined' && body instanceof FormData) {
+        delete headers['Content-Type'];
+      }
+      
       // Perform fetch request
       const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-          ...this.headers,
-          ...options.headers
-        },
+        method,
+        headers,
+        body,
         signal: controller.signal,
         credentials: options.credentials || 'same-origin'
       });
       
       clearTimeout(timeoutId);
       
+      // Keep the local budget in line with the server's
+      const limiter = this.getRateLimiter(url);
+      limiter.applyRateLimitHeaders(response.headers);
+      
+      // Unchanged since the validators the caller sent
+      if (response.status === 304) {
+        this.stats.successfulRequests++;
+        
+        return {
+          data: null,
+          status: 304,
+          notModified: true,
+          headers: response.headers,
+          responseTime: performance.now() - startTime
+        };
+      }
+      
       // Handle response
       if (!response.ok) {
-        throw new ApiError(
+        const error = new ApiError(
           `HTTP ${response.status}: ${response.statusText}`,
           response.status,
           await this.extractErrorMessage(response)
         );
+        
+        // Rate limited or overloaded: pause every request to this origin
+        if (response.status === 429 || response.status === 503) {
+          error.retryAfter = getRetryAfter(response.headers);
+          if (error.retryAfter !== null) {
+            limiter.pauseUntil(Date.now() + error.retryAfter);
+          }
+          if (error.isRateLimited()) {
+            this.stats.rateLimitedRequests++;
+          }
+        }
+        
+        throw error;
       }
       
       const data = await response.json();
@@ -81,9 +280,6 @@ export class ApiClient {
       this.updateAverageResponseTime(responseTime);
       this.stats.successfulRequests++;
       
-      // Clean up
-      this.activeRequests.delete(requestId);
-      
       return {
         data,
         status: response.status,
@@ -92,24 +288,35 @@ export class ApiClient {
       };
       
     } catch (error) {
-      // Clean up request tracking
-      this.activeRequests.delete(requestId);
-      
-      // Handle abort errors
+      // Handle abort errors (callers that cancelled were counted already)
       if (error.name === 'AbortError') {
-        this.stats.cancelledRequests++;
+        if (!shared.cancelled) {
+          this.stats.cancelledRequests++;
+        }
         throw new ApiError('Request cancelled', 0, 'ABORT');
       }
       
       // Retry logic for network errors
-      if (options.retry !== false && this.shouldRetry(error, options.retryCount || 0)) {
-        const retryCount = (options.retryCount || 0) + 1;
-        const delay = this.calculateRetryDelay(retryCount);
-        
+      const retryCount = (options.retryCount || 0) + 1;
+      const willRetry = options.retry !== false && this.shouldRetry(error, options.retryCount || 0);
+      const delay = willRetry ? this.calculateRetryDelay(retryCount, error) : null;
+      
+      if (error instanceof ApiError && error.isRateLimited()) {
+        this.notifyListeners('ratelimit', {
+          url,
+          status: error.status,
+          retryAfter: willRetry ? delay : error.retryAfter,
+          retrying: willRetry,
+          attempt: retryCount,
+          retries: this.retries
+        });
+      }
+      
+      if (willRetry) {
         console.log(`Retrying request (attempt ${retryCount}/${this.retries}) after ${delay}ms`);
         await this.delay(delay);
         
-        return this.get(endpoint, params, { ...options, retryCount });
+        return this.performRequest(shared, method, url, body, { ...options, retryCount });
       }
       
       // Update failure statistics
@@ -119,20 +326,99 @@ export class ApiClient {
     }
   }
 
+  /**
+   * GET one page through a response adapter (name or object, see
+   * response-adapters.js). Pass the previous page's `next` token to request
+   * the page after it; resolves to the response plus { items, next, total }.
+   */
+  async getPage(endpoint, params = {}, { adapter = 'page', next = null, method = 'GET', body = null, graphql = false, ...options } = {}) {
+    const pageAdapter = resolveResponseAdapter(adapter);
+    const firstRequest = { endpoint, params, body };
+    const request = next === null || next === undefined
+      ? firstRequest
+      : { ...firstRequest, ...pageAdapter.nextRequest(next, firstRequest) };
+    
+    let response = await this.request(method, request.endpoint, { ...options, params: request.params, body: request.body });
+    if (response.notModified) {
+      return { ...response, items: [], next: null, total: null };
+    }
+    
+    if (graphql) {
+      response = this.handleGraphQLResponse(response, options);
+    }
+    
+    const page = pageAdapter.parse(response.data, { headers: response.headers, params: request.params }) || {};
+    
+    return {
+      ...response,
+      items: Array.isArray(page.items) ? page.items : [],
+      next: page.next ?? null,
+      total: page.total ?? null
+    };
+  }
+
+  /**
+   * Run a GraphQL query (POST { query, variables, operationName })
+   */
+  async graphql(endpoint, query, variables = {}, options = {}) {
+    const { operationName, ...requestOptions } = options;
+    const body = { query, variables, ...(operationName ? { operationName } : {}) };
+    
+    const response = await this.post(endpoint, body, requestOptions);
+    return this.handleGraphQLResponse(response, options);
+  }
+
+  /**
+   * GraphQL reports failures in an `errors` array, usually with HTTP 200.
+   * They are thrown as an ApiError (code GRAPHQL_ERROR, errors in `details`)
+   * unless `allowPartialData` is set and some data came back. Resolves to the
+   * response with `data` unwrapped and `errors` alongside.
+   */
+  handleGraphQLResponse(response, options = {}) {
+    const errors = Array.isArray(response.data?.errors) ? response.data.errors : [];
+    const data = response.data?.data ?? null;
+    
+    if (errors.length > 0) {
+      this.stats.graphqlErrors++;
+      
+      if (!options.allowPartialData || data === null) {
+        const message = errors.map(error => error.message).filter(Boolean).join('; ') || 'GraphQL request failed';
+        throw new ApiError(message, response.status, 'GRAPHQL_ERROR', errors);
+      }
+      
+      console.warn('GraphQL returned partial data with errors:', errors);
+    }
+    
+    return { ...response, data, errors };
+  }
+
+  /**
+   * Serialize a request body; plain objects and arrays become JSON
+   */
+  serializeBody(body) {
+    if (body === null || body === undefined) return undefined;
+    if (typeof body === 'string') return body;
+    if (typeof FormData !== 'undefined' && body instanceof FormData) return body;
+    if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) return body;
+    if (typeof Blob !== 'undefined' && body instanceof Blob) return body;
+    
+    return JSON.stringify(body);
+  }
+
   /**
    * Cancel a specific request or all active requests
    */
   cancelRequest(requestId = null) {
     if (requestId) {
-      const controller = this.activeRequests.get(requestId);
-      if (controller) {
-        controller.abort();
+      const request = this.activeRequests.get(requestId);
+      if (request) {
+        request.abort();
         this.activeRequests.delete(requestId);
       }
     } else {
       // Cancel all active requests
-      for (const [id, controller] of this.activeRequests) {
-        controller.abort();
+      for (const [id, request] of this.activeRequests) {
+        request.abort();
         this.activeRequests.delete(id);
       }
     }
@@ -162,16 +448,31 @@ export class ApiClient {
   }
 
   /**
-   * Enforce rate limiting between requests
+   * Token bucket for a URL's origin (shared with other clients by default)
    */
-  async enforceRateLimit() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    const minInterval = 60000 / this.rateLimit; // milliseconds between requests
-    
-    if (timeSinceLastRequest < minInterval) {
-      const waitTime = minInterval - timeSinceLastRequest;
-      await this.delay(waitTime);
+  getRateLimiter(url = this.baseURL) {
+    const origin = new URL(url, this.baseURL).origin;
+    const options = { rateLimit: this.rateLimit, burst: this.burst };
+    
+    if (this.shareRateLimit) {
+      return getSharedRateLimiter(origin, options);
+    }
+    
+    if (!this.rateLimiters.has(origin)) {
+      this.rateLimiters.set(origin, new TokenBucket({ ...options, origin }));
+    }
+    return this.rateLimiters.get(origin);
+  }
+
+  /**
+   * Enforce rate limiting: wait for a token from the origin's bucket
+   */
+  async enforceRateLimit(url = this.baseURL) {
+    const wait = this.getRateLimiter(url).reserve();
+    
+    if (wait > 0) {
+      this.notifyListeners('throttle', { url, wait });
+      await this.delay(wait);
     }
     
     this.lastRequestTime = Date.now();
@@ -186,6 +487,11 @@ export class ApiClient {
       return false;
     }
     
+    // Rate limits are retried after the server's Retry-After, unless that is too far off
+    if (error instanceof ApiError && error.isRateLimited()) {
+      return error.retryAfter === null || error.retryAfter <= this.maxRetryAfter;
+    }
+    
     // Don't retry client errors (4xx)
     if (error instanceof ApiError && error.status >= 400 && error.status < 500) {
       return false;
@@ -196,9 +502,14 @@ export class ApiClient {
   }
 
   /**
-   * Calculate exponential backoff delay for retries
+   * Calculate exponential backoff delay for retries; a server Retry-After
+   * hint takes precedence
    */
-  calculateRetryDelay(retryCount) {
+  calculateRetryDelay(retryCount, error = null) {
+    if (error?.retryAfter !== null && error?.retryAfter !== undefined) {
+      return error.retryAfter;
+    }
+    
     // Exponential backoff: 1s, 2s, 4s, 8s...
     const baseDelay = 1000;
     const maxDelay = 30000; // 30 seconds max
@@ -226,6 +537,45 @@ export class ApiClient {
     }
   }
 
+  /**
+   * Add event listener ('throttle': { url, wait }, 'ratelimit': { url,
+   * status, retryAfter, retrying, attempt, retries })
+   */
+  addEventListener(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  /**
+   * Remove event listener
+   */
+  removeEventListener(event, callback) {
+    if (this.listeners.has(event)) {
+      const callbacks = this.listeners.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Notify all listeners of an event
+   */
+  notifyListeners(event, data = {}) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).forEach(callback => {
+        try {
+          callback({ type: event, ...data });
+        } catch (error) {
+          console.error(`Error in ${event} listener:`, error);
+        }
+      });
+    }
+  }
+
   /**
    * Update average response time statistic
    */
@@ -259,6 +609,8 @@ export class ApiClient {
     return {
       ...this.stats,
       activeRequests: this.activeRequests.size,
+      inflightRequests: this.inflight.size,
+      rateLimiter: this.getRateLimiter().getStats(),
       successRate: this.stats.totalRequests > 0 
         ? (this.stats.successfulRequests / this.stats.totalRequests * 100).toFixed(2) + '%'
         : '0%'
@@ -274,6 +626,9 @@ export class ApiClient {
       successfulRequests: 0,
       failedRequests: 0,
       cancelledRequests: 0,
+      coalescedRequests: 0,
+      rateLimitedRequests: 0,
+      graphqlErrors: 0,
       averageResponseTime: 0
     };
   }
@@ -283,11 +638,13 @@ export class ApiClient {
  * Custom API Error class
  */
 export class ApiError extends Error {
-  constructor(message, status = 0, code = 'UNKNOWN') {
+  constructor(message, status = 0, code = 'UNKNOWN', details = null) {
     super(message);
     this.name = 'ApiError';
     this.status = status;
     this.code = code;
+    this.details = details;
+    this.retryAfter = null; // ms, from Retry-After / X-RateLimit-Reset
     this.timestamp = new Date().toISOString();
   }
 
@@ -298,6 +655,13 @@ export class ApiError extends Error {
     return this.status === 0 || this.code === 'NETWORK_ERROR';
   }
 
+  /**
+   * Check if the server rejected the request for exceeding a rate limit
+   */
+  isRateLimited() {
+    return this.status === 429 || (this.status === 503 && this.retryAfter !== null);
+  }
+
   /**
    * Check if error is a server error
    */
@@ -333,7 +697,9 @@ export class ApiError extends Error {
     }
     
     if (this.status === 429) {
-      return 'Too many requests. Please try again later.';
+      return this.retryAfter
+        ? `Too many requests. Please try again in ${Math.ceil(this.retryAfter / 1000)}s.`
+        : 'Too many requests. Please try again later.';
     }
     
     if (this.isServerError()) {
@@ -1,15 +1,23 @@
 /**
  * Intelligent Cache System for Tom-Select Remote Data
- * Provides memory caching with TTL, localStorage fallback, and cache management
+ * Provides memory caching with TTL, localStorage fallback, and cache management.
+ * Entries turn stale after `staleAfter` (still served, flagged for
+ * revalidation) and expire after `expireAfter`/`ttl`.
+ * With `tabSync`, writes, deletes and clears are announced to other tabs,
+ * which drop their older in-memory copies and re-read localStorage.
  */
+import { getTabSync, releaseTabSync } from './tab-sync.js';
+
 export class ResultCache {
   constructor(options = {}) {
     // Configuration
     this.maxSize = options.maxSize || 100;
-    this.defaultTTL = options.ttl || 5 * 60 * 1000; // 5 minutes default
+    this.defaultTTL = options.expireAfter || options.ttl || 5 * 60 * 1000; // 5 minutes default
+    this.defaultStaleAfter = options.staleAfter || null; // Defaults to the TTL (never stale)
     this.namespace = options.namespace || 'tom_select_cache';
     this.useLocalStorage = options.useLocalStorage !== false;
     this.maxLocalStorageSize = options.maxLocalStorageSize || 5 * 1024 * 1024; // 5MB
+    this.tabSync = options.tabSync ? getTabSync(options.tabSync) : null; // true, a channel name or a TabSync
     
     // Cache stores
     this.memoryCache = new Map();
@@ -22,7 +30,10 @@ export class ResultCache {
       sets: 0,
       evictions: 0,
       localStorageHits: 0,
-      localStorageMisses: 0
+      localStorageMisses: 0,
+      staleHits: 0,
+      prefixHits: 0,
+      remoteInvalidations: 0
     };
     
     // Initialize
@@ -40,13 +51,21 @@ export class ResultCache {
     
     // Start cleanup interval
     this.startCleanupInterval();
+    
+    // Drop entries other tabs replaced
+    if (this.tabSync) {
+      this.handleRemoteInvalidation = this.handleRemoteInvalidation.bind(this);
+      this.tabSync.addEventListener('cache:invalidate', this.handleRemoteInvalidation);
+    }
   }
 
   /**
-   * Set cache entry with optional TTL
+   * Set cache entry with optional TTL. Options: staleAfter (ms), and the
+   * etag/lastModified validators of the response the data came from.
    */
-  set(key, data, ttl = this.defaultTTL) {
+  set(key, data, ttl = this.defaultTTL, options = {}) {
     const normalizedKey = this.normalizeKey(key);
+    const now = Date.now();
     
     // Check if we need to evict entries
     if (this.memoryCache.size >= this.maxSize && !this.memoryCache.has(normalizedKey)) {
@@ -56,9 +75,12 @@ export class ResultCache {
     // Create cache entry
     const entry = {
       data: data,
-      expires: Date.now() + ttl,
-      created: Date.now(),
-      accessed: Date.now(),
+      staleAfter: now + Math.min(options.staleAfter || this.defaultStaleAfter || ttl, ttl),
+      expireAfter: now + ttl,
+      etag: options.etag || null,
+      lastModified: options.lastModified || null,
+      created: now,
+      accessed: now,
       accessCount: 0,
       size: this.estimateSize(data)
     };
@@ -69,9 +91,10 @@ export class ResultCache {
     // Update access order
     this.updateAccessOrder(normalizedKey);
     
-    // Persist to localStorage if enabled
+    // Persist to localStorage if enabled (other tabs re-read it from there)
     if (this.useLocalStorage) {
       this.persistToLocalStorage(normalizedKey, entry);
+      this.broadcastInvalidation('set', [normalizedKey]);
     }
     
     this.stats.sets++;
@@ -83,6 +106,15 @@ export class ResultCache {
    * Get cache entry
    */
   get(key) {
+    const entry = this.getEntry(key);
+    return entry ? entry.data : null;
+  }
+
+  /**
+   * Get cache entry with its metadata: { data, stale, etag, lastModified,
+   * created }. Stale entries are returned (and counted) until they expire.
+   */
+  getEntry(key) {
     const normalizedKey = this.normalizeKey(key);
     
     // Try memory cache first
@@ -91,7 +123,7 @@ export class ResultCache {
     if (entry) {
       // Check if expired
       if (this.isExpired(entry)) {
-        this.delete(normalizedKey);
+        this.delete(normalizedKey, { broadcast: false });
         this.stats.misses++;
         return null;
       }
@@ -102,7 +134,7 @@ export class ResultCache {
       this.updateAccessOrder(normalizedKey);
       
       this.stats.hits++;
-      return this.cloneData(entry.data);
+      return this.describeEntry(entry);
     }
     
     // Try localStorage fallback
@@ -115,7 +147,7 @@ export class ResultCache {
         this.updateAccessOrder(normalizedKey);
         
         this.stats.localStorageHits++;
-        return this.cloneData(entry.data);
+        return this.describeEntry(entry);
       }
       
       this.stats.localStorageMisses++;
@@ -125,6 +157,43 @@ export class ResultCache {
     return null;
   }
 
+  /**
+   * First live entry among candidate keys (most specific first) that
+   * `accept({ data, stale, ... })` agrees to, as { key, ...entry }. Only
+   * the returned entry counts as a hit, so probing for a broader cached
+   * result doesn't inflate the miss rate.
+   */
+  findEntry(keys, accept = () => true) {
+    for (const key of keys) {
+      const normalizedKey = this.normalizeKey(key);
+      const entry = this.memoryCache.get(normalizedKey) || (this.useLocalStorage ? this.getFromLocalStorage(normalizedKey) : null);
+      
+      if (!entry || this.isExpired(entry) || !accept(this.describeEntry(entry, false))) continue;
+      
+      this.stats.prefixHits++;
+      return { key: normalizedKey, ...this.getEntry(normalizedKey) };
+    }
+    
+    return null;
+  }
+
+  /**
+   * Keep an entry's data but restart its stale/expiry clocks, e.g. after
+   * the server answered 304 Not Modified
+   */
+  refresh(key, ttl = this.defaultTTL, options = {}) {
+    const normalizedKey = this.normalizeKey(key);
+    const entry = this.memoryCache.get(normalizedKey) || (this.useLocalStorage ? this.getFromLocalStorage(normalizedKey) : null);
+    
+    if (!entry) return false;
+    
+    return this.set(normalizedKey, entry.data, ttl, {
+      staleAfter: options.staleAfter,
+      etag: options.etag || entry.etag,
+      lastModified: options.lastModified || entry.lastModified
+    });
+  }
+
   /**
    * Check if key exists in cache
    */
@@ -140,9 +209,10 @@ export class ResultCache {
   }
 
   /**
-   * Delete cache entry
+   * Delete cache entry. Expiry and eviction are local and pass
+   * `broadcast: false`; explicit deletes reach other tabs.
    */
-  delete(key) {
+  delete(key, { broadcast = true } = {}) {
     const normalizedKey = this.normalizeKey(key);
     
     // Remove from memory
@@ -159,6 +229,10 @@ export class ResultCache {
       this.deleteFromLocalStorage(normalizedKey);
     }
     
+    if (broadcast) {
+      this.broadcastInvalidation('delete', [normalizedKey]);
+    }
+    
     return deleted;
   }
 
@@ -173,9 +247,39 @@ export class ResultCache {
       this.clearLocalStorage();
     }
     
+    this.broadcastInvalidation('clear', null);
     this.resetStats();
   }
 
+  /**
+   * Tell other tabs which entries changed (`keys` null: all of them)
+   */
+  broadcastInvalidation(action, keys) {
+    this.tabSync?.publish('cache:invalidate', { namespace: this.namespace, action, keys });
+  }
+
+  /**
+   * Another tab wrote, deleted or cleared entries: drop the in-memory copies
+   * older than its change, so the next read goes to localStorage (or the API)
+   */
+  handleRemoteInvalidation(message) {
+    const { namespace, keys } = message.payload || {};
+    if (namespace !== this.namespace) return;
+    
+    (keys || [...this.memoryCache.keys()]).forEach(key => {
+      const entry = this.memoryCache.get(key);
+      if (!entry || entry.created > message.timestamp) return;
+      
+      this.memoryCache.delete(key);
+      const index = this.accessOrder.indexOf(key);
+      if (index > -1) {
+        this.accessOrder.splice(index, 1);
+      }
+    });
+    
+    this.stats.remoteInvalidations++;
+  }
+
   /**
    * Get cache statistics
    */
@@ -206,7 +310,10 @@ export class ResultCache {
       sets: 0,
       evictions: 0,
       localStorageHits: 0,
-      localStorageMisses: 0
+      localStorageMisses: 0,
+      staleHits: 0,
+      prefixHits: 0,
+      remoteInvalidations: 0
     };
   }
 
@@ -223,10 +330,36 @@ export class ResultCache {
   }
 
   /**
-   * Check if entry is expired
+   * Check if entry is expired (entries persisted before staleAfter existed
+   * only carry `expires`)
    */
   isExpired(entry) {
-    return Date.now() > entry.expires;
+    return Date.now() > (entry.expireAfter ?? entry.expires);
+  }
+
+  /**
+   * Check if entry should be revalidated
+   */
+  isStale(entry) {
+    return entry.staleAfter !== undefined && Date.now() > entry.staleAfter;
+  }
+
+  /**
+   * Public view of an entry (data is cloned)
+   */
+  describeEntry(entry, countStale = true) {
+    const stale = this.isStale(entry);
+    if (stale && countStale) {
+      this.stats.staleHits++;
+    }
+    
+    return {
+      data: this.cloneData(entry.data),
+      stale,
+      etag: entry.etag || null,
+      lastModified: entry.lastModified || null,
+      created: entry.created
+    };
   }
 
   /**
@@ -247,7 +380,7 @@ export class ResultCache {
     if (this.accessOrder.length === 0) return;
     
     const oldestKey = this.accessOrder[0];
-    this.delete(oldestKey);
+    this.delete(oldestKey, { broadcast: false });
     this.stats.evictions++;
     
     console.log(`Cache evicted: ${oldestKey}`);
@@ -315,7 +448,7 @@ export class ResultCache {
     
     for (const [key, entry] of this.memoryCache) {
       if (this.isExpired(entry)) {
-        this.delete(key);
+        this.delete(key, { broadcast: false });
         cleaned++;
       }
     }
@@ -431,6 +564,32 @@ export class ResultCache {
     keys.forEach(key => window.localStorage.removeItem(key));
   }
 
+  /**
+   * Data of every entry persisted in this namespace, expired ones included
+   * (without removing them)
+   */
+  getPersistedData() {
+    if (!this.isLocalStorageAvailable()) return [];
+    
+    const data = [];
+    
+    for (let i = 0; i < window.localStorage.length; i++) {
+      const key = window.localStorage.key(i);
+      if (!key || !key.startsWith(this.namespace)) continue;
+      
+      try {
+        const entry = JSON.parse(window.localStorage.getItem(key));
+        if (entry && entry.data !== undefined) {
+          data.push(entry.data);
+        }
+      } catch {
+        // Not a cache entry
+      }
+    }
+    
+    return data;
+  }
+
   /**
    * Load cache from localStorage on initialization
    */
@@ -534,6 +693,13 @@ export class ResultCache {
     if (this.cleanupInterval) {
       clearInterval(this.cleanupInterval);
     }
+    
+    // Tearing down this tab's cache shouldn't clear the others'
+    if (this.tabSync) {
+      this.tabSync.removeEventListener('cache:invalidate', this.handleRemoteInvalidation);
+      releaseTabSync(this.tabSync);
+      this.tabSync = null;
+    }
     this.clear();
   }
 }
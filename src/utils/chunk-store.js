@@ -0,0 +1,354 @@
+/**
+ * IndexedDB Chunk Store
+ * Persistent tier under DataProvider's in-memory chunks. Chunks are kept per
+ * dataset and dropped as a whole when the dataset version or chunk size
+ * changes, so a reopened list can be served without re-fetching or
+ * regenerating its data.
+ */
+
+const DB_VERSION = 1;
+const CHUNKS_STORE = 'chunks';     // { dataset, index, items, stored }
+const DATASETS_STORE = 'datasets'; // { dataset, version, chunkSize, totalItems, complete, updated }
+
+/**
+ * Resolve an IDBRequest as a promise
+ */
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve when a transaction commits; reject with its error when it aborts
+ */
+export function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new DOMException('Transaction aborted', 'AbortError'));
+  });
+}
+
+/**
+ * Whether an IndexedDB error means the origin ran out of storage
+ */
+export function isQuotaError(error) {
+  return Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+/**
+ * Stores dataset chunks in IndexedDB. Every method degrades to a no-op
+ * (reads miss, writes return false) when IndexedDB is unavailable.
+ */
+export class ChunkStore {
+  constructor(options = {}) {
+    this.options = {
+      dbName: 'tom-select-chunks',
+      quotaHeadroom: 0.9,        // Keep bulk writes below this share of the quota
+      ...options
+    };
+    
+    this.db = null;
+    this.writesDisabled = false; // Set after a quota error that eviction could not fix
+    
+    this.stats = {
+      reads: 0,
+      hits: 0,
+      misses: 0,
+      expired: 0,
+      writes: 0,
+      writeErrors: 0,
+      quotaErrors: 0,
+      evictions: 0
+    };
+  }
+  
+  /**
+   * Open (and create or upgrade) the database
+   */
+  async open() {
+    if (this.db) return true;
+    if (typeof indexedDB === 'undefined') return false;
+    
+    try {
+      const request = indexedDB.open(this.options.dbName, DB_VERSION);
+      
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        
+        if (!db.objectStoreNames.contains(CHUNKS_STORE)) {
+          const chunks = db.createObjectStore(CHUNKS_STORE, { keyPath: ['dataset', 'index'] });
+          chunks.createIndex('dataset', 'dataset');
+        }
+        
+        if (!db.objectStoreNames.contains(DATASETS_STORE)) {
+          db.createObjectStore(DATASETS_STORE, { keyPath: 'dataset' });
+        }
+      };
+      
+      this.db = await requestToPromise(request);
+      
+      // Let another tab upgrade the schema instead of blocking it
+      this.db.onversionchange = () => this.close();
+      
+      console.log(`[ChunkStore] Opened ${this.options.dbName}`);
+      return true;
+    } catch (error) {
+      console.warn('[ChunkStore] IndexedDB unavailable:', error);
+      this.db = null;
+      return false;
+    }
+  }
+  
+  /**
+   * Whether the store is open and usable
+   */
+  isAvailable() {
+    return Boolean(this.db);
+  }
+  
+  /**
+   * Read a dataset's metadata record
+   */
+  async getDataset(dataset) {
+    if (!this.db) return null;
+    
+    const store = this.db.transaction(DATASETS_STORE).objectStore(DATASETS_STORE);
+    return (await requestToPromise(store.get(dataset))) || null;
+  }
+  
+  /**
+   * Make sure stored chunks belong to this version and chunk size; anything
+   * else is deleted and a fresh (incomplete) record is written
+   */
+  async prepareDataset(dataset, { version = null, chunkSize }) {
+    if (!this.db) return null;
+    
+    const existing = await this.getDataset(dataset);
+    if (existing && existing.version === version && existing.chunkSize === chunkSize) {
+      return existing;
+    }
+    
+    if (existing) {
+      console.log(`[ChunkStore] Dataset "${dataset}" changed (v${existing.version} -> v${version}), dropping stored chunks`);
+    }
+    
+    await this.deleteDataset(dataset);
+    
+    const record = { dataset, version, chunkSize, totalItems: null, complete: false, updated: Date.now() };
+    const transaction = this.db.transaction(DATASETS_STORE, 'readwrite');
+    transaction.objectStore(DATASETS_STORE).put(record);
+    await transactionDone(transaction);
+    
+    return record;
+  }
+  
+  /**
+   * Merge changes into a dataset's metadata record
+   */
+  async updateDataset(dataset, changes) {
+    if (!this.db) return false;
+    
+    const transaction = this.db.transaction(DATASETS_STORE, 'readwrite');
+    const store = transaction.objectStore(DATASETS_STORE);
+    const request = store.get(dataset);
+    
+    request.onsuccess = () => {
+      if (request.result) {
+        store.put({ ...request.result, ...changes, dataset, updated: Date.now() });
+      }
+    };
+    
+    await transactionDone(transaction);
+    return true;
+  }
+  
+  /**
+   * Read one chunk; chunks older than maxAge (ms) count as misses
+   */
+  async getChunk(dataset, index, maxAge = null) {
+    if (!this.db) return null;
+    
+    this.stats.reads++;
+    
+    const store = this.db.transaction(CHUNKS_STORE).objectStore(CHUNKS_STORE);
+    const record = await requestToPromise(store.get([dataset, index]));
+    
+    if (!record) {
+      this.stats.misses++;
+      return null;
+    }
+    
+    if (maxAge && Date.now() - record.stored > maxAge) {
+      this.stats.expired++;
+      this.stats.misses++;
+      return null;
+    }
+    
+    this.stats.hits++;
+    return record.items;
+  }
+  
+  /**
+   * Read every stored item of a dataset in chunk order
+   */
+  async getAllItems(dataset) {
+    if (!this.db) return [];
+    
+    const index = this.db.transaction(CHUNKS_STORE).objectStore(CHUNKS_STORE).index('dataset');
+    const records = await requestToPromise(index.getAll(dataset));
+    
+    this.stats.reads += records.length;
+    this.stats.hits += records.length;
+    
+    return records
+      .sort((a, b) => a.index - b.index)
+      .flatMap(record => record.items);
+  }
+  
+  /**
+   * Write chunks ({ index, items }) and optionally update the dataset record
+   * in the same transaction. On a quota error the least recently updated
+   * other dataset is evicted and the write retried once; if that fails too,
+   * writes are disabled for the rest of the session.
+   */
+  async putChunks(dataset, chunks, datasetChanges = null) {
+    if (!this.db || this.writesDisabled) return false;
+    
+    try {
+      await this.writeChunks(dataset, chunks, datasetChanges);
+      return true;
+    } catch (error) {
+      if (!isQuotaError(error)) {
+        this.stats.writeErrors++;
+        console.warn('[ChunkStore] Write failed:', error);
+        return false;
+      }
+      
+      this.stats.quotaErrors++;
+      
+      if (await this.evictOldestDataset(dataset)) {
+        try {
+          await this.writeChunks(dataset, chunks, datasetChanges);
+          return true;
+        } catch (retryError) {
+          if (!isQuotaError(retryError)) {
+            this.stats.writeErrors++;
+            console.warn('[ChunkStore] Write failed:', retryError);
+            return false;
+          }
+          this.stats.quotaErrors++;
+        }
+      }
+      
+      this.writesDisabled = true;
+      console.warn('[ChunkStore] Storage quota exceeded - chunk persistence disabled for this session');
+      return false;
+    }
+  }
+  
+  async writeChunks(dataset, chunks, datasetChanges) {
+    const transaction = this.db.transaction([CHUNKS_STORE, DATASETS_STORE], 'readwrite');
+    const chunkStore = transaction.objectStore(CHUNKS_STORE);
+    const stored = Date.now();
+    
+    chunks.forEach(({ index, items }) => {
+      chunkStore.put({ dataset, index, items, stored });
+    });
+    
+    // Touch the dataset record so eviction sees it as recently used
+    const datasetStore = transaction.objectStore(DATASETS_STORE);
+    const request = datasetStore.get(dataset);
+    request.onsuccess = () => {
+      if (request.result) {
+        datasetStore.put({ ...request.result, ...datasetChanges, dataset, updated: stored });
+      }
+    };
+    
+    await transactionDone(transaction);
+    this.stats.writes += chunks.length;
+  }
+  
+  /**
+   * Delete a dataset's chunks from `fromIndex` on (left over after it shrank)
+   */
+  async deleteChunksFrom(dataset, fromIndex) {
+    if (!this.db) return false;
+    
+    const transaction = this.db.transaction(CHUNKS_STORE, 'readwrite');
+    transaction.objectStore(CHUNKS_STORE).delete(IDBKeyRange.bound([dataset, fromIndex], [dataset, Infinity]));
+    await transactionDone(transaction);
+    
+    return true;
+  }
+  
+  /**
+   * Delete a dataset and all of its chunks
+   */
+  async deleteDataset(dataset) {
+    if (!this.db) return false;
+    
+    const transaction = this.db.transaction([CHUNKS_STORE, DATASETS_STORE], 'readwrite');
+    transaction.objectStore(CHUNKS_STORE).delete(IDBKeyRange.bound([dataset, -Infinity], [dataset, Infinity]));
+    transaction.objectStore(DATASETS_STORE).delete(dataset);
+    await transactionDone(transaction);
+    
+    return true;
+  }
+  
+  /**
+   * Free space by deleting the least recently updated dataset other than
+   * the one being written
+   */
+  async evictOldestDataset(exceptDataset) {
+    const store = this.db.transaction(DATASETS_STORE).objectStore(DATASETS_STORE);
+    const datasets = (await requestToPromise(store.getAll()))
+      .filter(record => record.dataset !== exceptDataset)
+      .sort((a, b) => a.updated - b.updated);
+    
+    if (datasets.length === 0) return false;
+    
+    await this.deleteDataset(datasets[0].dataset);
+    this.stats.evictions++;
+    
+    console.log(`[ChunkStore] Evicted dataset "${datasets[0].dataset}" to free space`);
+    return true;
+  }
+  
+  /**
+   * Check the storage estimate before a bulk write of roughly `bytes`
+   */
+  async hasRoomFor(bytes) {
+    if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return true;
+    
+    try {
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      return !quota || usage + bytes <= quota * this.options.quotaHeadroom;
+    } catch (error) {
+      return true;
+    }
+  }
+  
+  /**
+   * Get store statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      available: this.isAvailable(),
+      writesDisabled: this.writesDisabled
+    };
+  }
+  
+  /**
+   * Close the database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
@@ -0,0 +1,308 @@
+/**
+ * Columnar Dataset Encoding
+ * Packs item arrays into a shared string table plus typed-array columns so
+ * they can be transferred to the search worker zero-copy instead of being
+ * structured-cloned object by object
+ */
+
+// Column kinds, decided per field path across the whole chunk
+export const COLUMN_TYPES = {
+  STRING: 'string',   // Int32Array of string table ids (-1 = missing)
+  NUMBER: 'number',   // Float64Array (NaN = missing)
+  BOOLEAN: 'boolean', // Uint8Array (0 = false, 1 = true, 2 = missing)
+  LIST: 'list',       // Uint32Array starts (length + 1) into an Int32Array of string ids
+  MIXED: 'mixed'      // Uint8Array row kinds + Float64Array values (string id, number or 0/1)
+};
+
+const MISSING_STRING = -1;
+const MISSING_BOOLEAN = 2;
+
+// Row kinds of a mixed column, so numbers and booleans decode unchanged
+const ROW_KINDS = { missing: 0, [COLUMN_TYPES.STRING]: 1, [COLUMN_TYPES.NUMBER]: 2, [COLUMN_TYPES.BOOLEAN]: 3 };
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Encode items into a columnar chunk. Nested plain objects are flattened to
+ * dotted paths ("meta.title"), arrays of primitives become string lists, and
+ * anything else (arrays of objects, functions) is skipped - the worker only
+ * needs the fields it searches, boosts and sorts on.
+ */
+export function encodeColumnar(items) {
+  const length = items.length;
+  const columnKinds = new Map();
+  
+  // First pass: discover paths and settle on one type per path
+  items.forEach(item => {
+    flattenItem(item, (path, value) => {
+      columnKinds.set(path, mergeColumnType(columnKinds.get(path), getValueType(value)));
+    });
+  });
+  
+  const stringIds = new Map();
+  const stringTable = [];
+  const internString = (value) => {
+    const string = String(value);
+    let id = stringIds.get(string);
+    
+    if (id === undefined) {
+      id = stringTable.length;
+      stringIds.set(string, id);
+      stringTable.push(string);
+    }
+    
+    return id;
+  };
+  
+  const columns = new Map();
+  columnKinds.forEach((type, path) => columns.set(path, createColumn(type, length)));
+  
+  // Second pass: fill the typed arrays
+  items.forEach((item, index) => {
+    const listValues = new Map();
+    
+    flattenItem(item, (path, value) => {
+      const column = columns.get(path);
+      
+      switch (column.type) {
+        case COLUMN_TYPES.NUMBER:
+          column.values[index] = Number(value);
+          break;
+        case COLUMN_TYPES.BOOLEAN:
+          column.values[index] = value ? 1 : 0;
+          break;
+        case COLUMN_TYPES.STRING:
+          column.values[index] = internString(value);
+          break;
+        case COLUMN_TYPES.LIST:
+          listValues.set(path, (Array.isArray(value) ? value : [value]).map(internString));
+          break;
+        case COLUMN_TYPES.MIXED: {
+          const type = getValueType(value);
+          column.kinds[index] = ROW_KINDS[type];
+          column.values[index] = type === COLUMN_TYPES.NUMBER ? value
+            : type === COLUMN_TYPES.BOOLEAN ? Number(value)
+            : internString(value);
+          break;
+        }
+      }
+    });
+    
+    columns.forEach((column, path) => {
+      if (column.type === COLUMN_TYPES.LIST) {
+        column.pending.push(listValues.get(path) || []);
+      }
+    });
+  });
+  
+  return {
+    length,
+    strings: encodeStringTable(stringTable),
+    columns: Array.from(columns, ([path, column]) => finalizeColumn(path, column))
+  };
+}
+
+/**
+ * Decode a columnar chunk back into plain item objects
+ */
+export function decodeColumnar(encoded) {
+  const strings = decodeStringTable(encoded.strings);
+  const items = new Array(encoded.length);
+  
+  for (let index = 0; index < encoded.length; index++) {
+    items[index] = {};
+  }
+  
+  encoded.columns.forEach(column => {
+    const path = column.path.split('.');
+    
+    for (let index = 0; index < encoded.length; index++) {
+      const value = readColumnValue(column, index, strings);
+      if (value !== undefined) {
+        setPath(items[index], path, value);
+      }
+    }
+  });
+  
+  return items;
+}
+
+/**
+ * Collect the ArrayBuffers of an encoded chunk for postMessage's transfer list
+ */
+export function getTransferables(encoded) {
+  const buffers = [encoded.strings.bytes.buffer, encoded.strings.offsets.buffer];
+  
+  encoded.columns.forEach(column => {
+    buffers.push(column.values.buffer);
+    if (column.starts) {
+      buffers.push(column.starts.buffer);
+    }
+    if (column.kinds) {
+      buffers.push(column.kinds.buffer);
+    }
+  });
+  
+  return buffers;
+}
+
+/**
+ * Visit every encodable leaf of an item as (dotted path, value)
+ */
+function flattenItem(item, visit, prefix = '') {
+  Object.keys(item).forEach(key => {
+    const value = item[key];
+    const path = prefix ? `${prefix}.${key}` : key;
+    
+    if (value === null || value === undefined || typeof value === 'function') {
+      return;
+    }
+    
+    if (Array.isArray(value)) {
+      if (value.every(isPrimitive)) {
+        visit(path, value);
+      }
+    } else if (typeof value === 'object') {
+      flattenItem(value, visit, path);
+    } else {
+      visit(path, value);
+    }
+  });
+}
+
+function isPrimitive(value) {
+  return value !== null && typeof value !== 'object' && typeof value !== 'function';
+}
+
+function getValueType(value) {
+  if (Array.isArray(value)) return COLUMN_TYPES.LIST;
+  if (typeof value === 'number') return COLUMN_TYPES.NUMBER;
+  if (typeof value === 'boolean') return COLUMN_TYPES.BOOLEAN;
+  return COLUMN_TYPES.STRING;
+}
+
+/**
+ * Widen a column type when items disagree (a list wins, otherwise the column
+ * tags each row with its own type)
+ */
+function mergeColumnType(current, next) {
+  if (!current || current === next) return next;
+  if (current === COLUMN_TYPES.LIST || next === COLUMN_TYPES.LIST) return COLUMN_TYPES.LIST;
+  return COLUMN_TYPES.MIXED;
+}
+
+function createColumn(type, length) {
+  switch (type) {
+    case COLUMN_TYPES.NUMBER:
+      return { type, values: new Float64Array(length).fill(NaN) };
+    case COLUMN_TYPES.BOOLEAN:
+      return { type, values: new Uint8Array(length).fill(MISSING_BOOLEAN) };
+    case COLUMN_TYPES.LIST:
+      return { type, pending: [] };
+    case COLUMN_TYPES.MIXED:
+      return { type, kinds: new Uint8Array(length).fill(ROW_KINDS.missing), values: new Float64Array(length) };
+    default:
+      return { type, values: new Int32Array(length).fill(MISSING_STRING) };
+  }
+}
+
+function finalizeColumn(path, column) {
+  if (column.type === COLUMN_TYPES.MIXED) {
+    return { path, type: column.type, kinds: column.kinds, values: column.values };
+  }
+  
+  if (column.type !== COLUMN_TYPES.LIST) {
+    return { path, type: column.type, values: column.values };
+  }
+  
+  // Flatten per-item id lists into one array addressed by start offsets
+  const starts = new Uint32Array(column.pending.length + 1);
+  let total = 0;
+  
+  column.pending.forEach((ids, index) => {
+    starts[index] = total;
+    total += ids.length;
+  });
+  starts[column.pending.length] = total;
+  
+  const values = new Int32Array(total);
+  column.pending.forEach((ids, index) => values.set(ids, starts[index]));
+  
+  return { path, type: column.type, starts, values };
+}
+
+function readColumnValue(column, index, strings) {
+  switch (column.type) {
+    case COLUMN_TYPES.NUMBER: {
+      const value = column.values[index];
+      return Number.isNaN(value) ? undefined : value;
+    }
+    case COLUMN_TYPES.BOOLEAN: {
+      const value = column.values[index];
+      return value === MISSING_BOOLEAN ? undefined : value === 1;
+    }
+    case COLUMN_TYPES.LIST: {
+      const start = column.starts[index];
+      const end = column.starts[index + 1];
+      return start === end ? undefined : Array.from(column.values.subarray(start, end), id => strings[id]);
+    }
+    case COLUMN_TYPES.MIXED: {
+      const value = column.values[index];
+      
+      switch (column.kinds[index]) {
+        case ROW_KINDS[COLUMN_TYPES.NUMBER]: return value;
+        case ROW_KINDS[COLUMN_TYPES.BOOLEAN]: return value === 1;
+        case ROW_KINDS[COLUMN_TYPES.STRING]: return strings[value];
+        default: return undefined;
+      }
+    }
+    default: {
+      const id = column.values[index];
+      return id === MISSING_STRING ? undefined : strings[id];
+    }
+  }
+}
+
+function setPath(target, path, value) {
+  let node = target;
+  
+  for (let i = 0; i < path.length - 1; i++) {
+    if (typeof node[path[i]] !== 'object' || node[path[i]] === null) {
+      node[path[i]] = {};
+    }
+    node = node[path[i]];
+  }
+  
+  node[path[path.length - 1]] = value;
+}
+
+/**
+ * Pack unique strings into one UTF-8 buffer addressed by byte offsets
+ */
+function encodeStringTable(strings) {
+  // UTF-8 needs at most three bytes per UTF-16 code unit
+  const capacity = strings.reduce((sum, string) => sum + string.length * 3, 0);
+  const bytes = new Uint8Array(capacity);
+  const offsets = new Uint32Array(strings.length + 1);
+  let position = 0;
+  
+  strings.forEach((string, index) => {
+    offsets[index] = position;
+    position += textEncoder.encodeInto(string, bytes.subarray(position)).written;
+  });
+  offsets[strings.length] = position;
+  
+  // Copy into an exactly-sized buffer so the transfer does not carry slack
+  return { bytes: bytes.slice(0, position), offsets };
+}
+
+function decodeStringTable({ bytes, offsets }) {
+  const strings = new Array(offsets.length - 1);
+  
+  for (let i = 0; i < strings.length; i++) {
+    strings[i] = textDecoder.decode(bytes.subarray(offsets[i], offsets[i + 1]));
+  }
+  
+  return strings;
+}
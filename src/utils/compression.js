@@ -0,0 +1,208 @@
+/**
+ * LZ String Compression
+ * LZW-style compression of strings into UTF-16 strings that are safe to
+ * keep in localStorage (15 bits per character, no lone surrogates); it
+ * follows lz-string's compressToUTF16 scheme. Used by OptionStorage.
+ */
+
+const BITS_PER_CHAR = 15;
+const CHAR_OFFSET = 32; // Keeps output clear of control characters
+
+/**
+ * Compress a string to a UTF-16 safe string
+ */
+export function compressToUTF16(input) {
+  if (input === null || input === undefined) return '';
+  
+  return compress(String(input), BITS_PER_CHAR, code => String.fromCharCode(code + CHAR_OFFSET)) + ' ';
+}
+
+/**
+ * Reverse compressToUTF16. Returns null for data that isn't valid output.
+ */
+export function decompressFromUTF16(compressed) {
+  if (compressed === null || compressed === undefined) return '';
+  if (compressed === '') return null;
+  
+  return decompress(compressed.length, 1 << (BITS_PER_CHAR - 1), index => compressed.charCodeAt(index) - CHAR_OFFSET);
+}
+
+/**
+ * Codes 0 and 1 introduce a new 8- or 16-bit character, 2 ends the stream;
+ * dictionary phrases start at 3. Code widths grow as the dictionary does.
+ */
+function compress(input, bitsPerChar, toChar) {
+  const dictionary = new Map();
+  const pendingChars = new Set(); // Characters added to the dictionary but not yet written out
+  const output = [];
+  
+  let phrase = '';
+  let dictSize = 3;
+  let numBits = 2;
+  let enlargeIn = 2; // The first entry doesn't count
+  let buffer = 0;
+  let position = 0;
+  
+  const writeBits = (value, count) => {
+    for (let i = 0; i < count; i++) {
+      buffer = (buffer << 1) | (value & 1);
+      value >>= 1;
+      
+      if (position === bitsPerChar - 1) {
+        output.push(toChar(buffer));
+        buffer = 0;
+        position = 0;
+      } else {
+        position++;
+      }
+    }
+  };
+  
+  const countCode = () => {
+    enlargeIn--;
+    if (enlargeIn === 0) {
+      enlargeIn = 2 ** numBits;
+      numBits++;
+    }
+  };
+  
+  const writePhrase = () => {
+    if (pendingChars.has(phrase)) {
+      const code = phrase.charCodeAt(0);
+      
+      if (code < 256) {
+        writeBits(0, numBits);
+        writeBits(code, 8);
+      } else {
+        writeBits(1, numBits);
+        writeBits(code, 16);
+      }
+      
+      countCode();
+      pendingChars.delete(phrase);
+    } else {
+      writeBits(dictionary.get(phrase), numBits);
+    }
+    
+    countCode();
+  };
+  
+  for (const char of input.split('')) {
+    if (!dictionary.has(char)) {
+      dictionary.set(char, dictSize++);
+      pendingChars.add(char);
+    }
+    
+    const extended = phrase + char;
+    
+    if (dictionary.has(extended)) {
+      phrase = extended;
+    } else {
+      writePhrase();
+      dictionary.set(extended, dictSize++);
+      phrase = char;
+    }
+  }
+  
+  if (phrase !== '') {
+    writePhrase();
+  }
+  
+  writeBits(2, numBits);
+  
+  // Pad out the last character (a whole one when the buffer is empty, as lz-string does)
+  while (true) {
+    buffer <<= 1;
+    
+    if (position === bitsPerChar - 1) {
+      output.push(toChar(buffer));
+      break;
+    }
+    position++;
+  }
+  
+  return output.join('');
+}
+
+function decompress(length, resetValue, getValue) {
+  const dictionary = ['', '', ''];
+  const result = [];
+  
+  let enlargeIn = 4;
+  let dictSize = 4;
+  let numBits = 3;
+  let value = getValue(0);
+  let position = resetValue;
+  let index = 1;
+  
+  const readBits = (count) => {
+    let bits = 0;
+    
+    for (let power = 1; power < 2 ** count; power <<= 1) {
+      if (value & position) {
+        bits |= power;
+      }
+      
+      position >>= 1;
+      if (position === 0) {
+        position = resetValue;
+        value = getValue(index++);
+      }
+    }
+    
+    return bits;
+  };
+  
+  const readChar = (code) => {
+    if (code === 0) return String.fromCharCode(readBits(8));
+    if (code === 1) return String.fromCharCode(readBits(16));
+    return null;
+  };
+  
+  const first = readChar(readBits(2));
+  if (first === null) return '';
+  
+  dictionary[3] = first;
+  result.push(first);
+  let previous = first;
+  
+  while (true) {
+    if (index > length) return '';
+    
+    let code = readBits(numBits);
+    
+    if (code === 2) {
+      return result.join('');
+    }
+    
+    if (code < 2) {
+      dictionary[dictSize] = readChar(code);
+      code = dictSize++;
+      enlargeIn--;
+    }
+    
+    if (enlargeIn === 0) {
+      enlargeIn = 2 ** numBits;
+      numBits++;
+    }
+    
+    let entry;
+    if (dictionary[code]) {
+      entry = dictionary[code];
+    } else if (code === dictSize) {
+      entry = previous + previous.charAt(0);
+    } else {
+      return null;
+    }
+    
+    result.push(entry);
+    dictionary[dictSize++] = previous + entry.charAt(0);
+    enlargeIn--;
+    previous = entry;
+    
+    if (enlargeIn === 0) {
+      enlargeIn = 2 ** numBits;
+      numBits++;
+    }
+  }
+}
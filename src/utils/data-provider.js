@@ -4,6 +4,46 @@
  * for high-performance virtual scrolling in Tom-Select
  */
 
+import { SearchSchema } from './search-schema.js';
+import { encodeColumnar, getTransferables } from './columnar-dataset.js';
+import { parseQuery, matchesQuery, hasQueryConstraints } from './query-parser.js';
+import { apiClient as defaultApiClient } from './api-client.js';
+import { ResultCache } from './cache.js';
+import { ChunkStore } from './chunk-store.js';
+import { FacetCounter, matchesFacets, hasFacetSelection, normalizeFacetSelection, toFacetParams, getFacetKey } from './facets.js';
+
+// Chunks written per IndexedDB transaction when persisting a whole dataset
+const PERSIST_BATCH_CHUNKS = 10;
+
+/**
+ * Create the error superseded/cancelled searches reject with. It matches
+ * fetch() aborts, so callers can check error.name === 'AbortError'.
+ */
+function createAbortError(message) {
+  return new DOMException(message, 'AbortError');
+}
+
+// Natural order for strings ("Item 9" before "Item 10")
+const sortCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Compare two sort keys. Missing values sort last in either direction.
+ */
+function compareSortKeys(a, b, direction) {
+  const aMissing = a === undefined || a === null || a === '';
+  const bMissing = b === undefined || b === null || b === '';
+  
+  if (aMissing || bMissing) {
+    return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+  }
+  
+  const comparison = typeof a === 'number' && typeof b === 'number'
+    ? a - b
+    : sortCollator.compare(String(a), String(b));
+  
+  return comparison * direction;
+}
+
 /**
  * Manages large datasets with efficient loading, searching, and memory optimization
  */
@@ -16,15 +56,29 @@ export class DataProvider {
       preloadChunks: 2,          // Chunks to preload ahead
       enableIndexing: true,      // Enable search indexing
       enableSorting: true,       // Enable sorting capabilities
+      enableWorker: false,       // Run searches in the search worker for large datasets
+      workerThreshold: 5000,     // Minimum dataset size before searches move to the worker
+      workerChunkSize: 5000,     // Items per columnar chunk streamed to the worker on init
+      searchSchema: null,        // Field weights/tokenizers/modes (defaults to DEFAULT_SEARCH_SCHEMA)
+      keyField: 'value',         // Identity field for incremental add/update/remove
+      queryAliases: null,        // Extra query-language field aliases (e.g. { lang: 'language' })
+      queryFields: null,         // Fields besides the schema's that `field:value` may filter on
       cacheDuration: 5 * 60 * 1000, // 5 minutes cache duration
+      persistChunks: false,      // Keep chunks in IndexedDB between visits (see ChunkStore)
+      datasetKey: null,          // Name of the persisted dataset (defaults to the URL/endpoint)
+      datasetVersion: null,      // Stored chunks are dropped when this changes (defaults to the stored or metadata.version)
+      chunkStoreName: 'tom-select-chunks', // IndexedDB database name
       ...options
     };
     
+    // Shared with the search worker so ranking is identical on both sides
+    this.searchSchema = new SearchSchema(this.options.searchSchema || undefined);
+    
     // Data management
     this.chunks = new Map();           // Loaded data chunks
     this.chunkIndex = new Map();       // Index of which items are in which chunks
     this.searchIndex = new Map();      // Search index for fast lookups
-    this.sortedIndices = new Map();    // Sorted indices for different sort orders
+    this.sortedIndices = new Map();    // 'field:order' -> lazily built index permutation of the dataset
     
     // Dataset state
     this.totalItems = 0;
@@ -35,6 +89,18 @@ export class DataProvider {
     // Data source
     this.dataSource = null;
     this.baseDataset = null;
+    this.remoteSource = null;          // Server-paged endpoint (see loadFromRemote)
+    this.remoteGeneration = 0;         // Bumped when the remote query changes
+    this.remoteFacets = null;          // Facet counts reported by the remote API
+    this.ownsDataset = false;          // Copied before the first incremental update
+    this.itemKeyIndex = null;          // Lazily built item key -> dataset index
+    
+    // Persistent chunk tier
+    this.chunkStore = null;            // Open ChunkStore when persistChunks is on
+    this.storedDataset = null;         // { key, promise } of the prepared dataset record
+    this.persistWholeDataset = false;  // In-memory dataset is stored as a whole (re-persisted on updates)
+    this.persistTimer = null;
+    this.datasetVersion = this.options.datasetVersion;
     
     // Loading state
     this.isLoading = false;
@@ -43,15 +109,31 @@ export class DataProvider {
     
     // Search state
     this.searchWorker = null;
+    this.workerReady = false;          // Worker index fully streamed and searchable
+    this.workerInitialization = null;  // Pending streamed initialization
+    this.workerItems = [];             // Items by worker dataset slot (for index results)
+    this.workerRequests = new Map();   // Pending worker requests by message id
+    this.workerRequestId = 0;
+    this.activeSearch = null;          // AbortController of the current latest-wins search
     this.lastSearchQuery = '';
     this.searchResults = null;
     
+    // Event listeners
+    this.listeners = new Map();
+    
     // Performance tracking
     this.stats = {
       chunksLoaded: 0,
       searchQueries: 0,
+      searchesSuperseded: 0,
+      searchesCancelled: 0,
       cacheHits: 0,
       cacheMisses: 0,
+      remoteRequests: 0,
+      remoteCacheHits: 0,
+      storeHits: 0,
+      storeMisses: 0,
+      sourceLoads: 0,
       totalLoadTime: 0,
       averageLoadTime: 0
     };
@@ -68,6 +150,10 @@ export class DataProvider {
       
       this.dataSource = dataSource;
       
+      if (this.options.persistChunks) {
+        await this.openChunkStore();
+      }
+      
       // Load metadata or initial chunk
       if (typeof dataSource === 'string') {
         // URL-based data source
@@ -75,6 +161,9 @@ export class DataProvider {
       } else if (Array.isArray(dataSource)) {
         // Array-based data source
         await this.loadFromArray(dataSource);
+      } else if (typeof dataSource === 'object' && dataSource.endpoint) {
+        // Server-paged endpoint
+        await this.loadFromRemote(dataSource);
       } else if (typeof dataSource === 'object' && dataSource.items) {
         // Object with items array
         await this.loadFromObject(dataSource);
@@ -90,6 +179,11 @@ export class DataProvider {
         await this.buildSearchIndex();
       }
       
+      // Hand large in-memory datasets to the search worker
+      if (this.options.enableWorker) {
+        await this.initializeSearchWorker();
+      }
+      
       console.log(`[DataProvider] Initialized with ${this.totalItems} total items`);
       
     } catch (error) {
@@ -102,6 +196,18 @@ export class DataProvider {
    * Load data from URL
    */
   async loadFromURL(url) {
+    // With a known version the stored copy can be used without fetching.
+    // Otherwise the version stored last is restored and the file is only
+    // checked for a newer one in the background.
+    const version = this.options.datasetVersion ?? await this.getStoredVersion();
+    
+    if (version !== null && await this.restoreDataset(version)) {
+      if (this.options.datasetVersion === null) {
+        this.revalidateDataset(url, version);
+      }
+      return;
+    }
+    
     const response = await fetch(url);
     if (!response.ok) {
       throw new Error(`Failed to load data from ${url}: ${response.statusText}`);
@@ -116,6 +222,9 @@ export class DataProvider {
    */
   async loadFromArray(array) {
     this.baseDataset = array;
+    this.ownsDataset = false;
+    this.itemKeyIndex = null;
+    this.sortedIndices.clear();
     this.totalItems = array.length;
     this.maxChunks = Math.ceil(this.totalItems / this.options.chunkSize);
     
@@ -128,6 +237,13 @@ export class DataProvider {
    */
   async loadFromObject(dataObj) {
     if (dataObj.items && Array.isArray(dataObj.items)) {
+      const version = this.options.datasetVersion ?? dataObj.metadata?.version ?? null;
+      
+      // A complete stored copy of this version skips generation entirely
+      if (await this.restoreDataset(version)) {
+        return;
+      }
+      
       // Check if we need to generate more data
       if (dataObj.metadata && dataObj.metadata.totalItems > dataObj.items.length) {
         // Generate synthetic data based on templates
@@ -135,6 +251,13 @@ export class DataProvider {
       } else {
         await this.loadFromArray(dataObj.items);
       }
+      
+      if (this.chunkStore && this.getDatasetKey()) {
+        this.persistWholeDataset = true;
+        this.persistDataset().catch(error => {
+          console.warn('[DataProvider] Failed to persist dataset:', error);
+        });
+      }
     } else {
       throw new Error('Data object must contain an "items" array');
     }
@@ -144,6 +267,10 @@ export class DataProvider {
    * Load data from function
    */
   async loadFromFunction(fn) {
+    if (await this.restoreStoredChunk(0)) {
+      return;
+    }
+    
     const result = await fn(0, this.options.chunkSize);
     
     if (result && result.items && Array.isArray(result.items)) {
@@ -152,11 +279,479 @@ export class DataProvider {
       
       // Store first chunk
       this.storeChunk(0, result.items);
+      this.stats.sourceLoads++;
+      this.writeStoredChunk(0, result.items);
     } else {
       throw new Error('Function must return object with items array');
     }
   }
   
+  /**
+   * Use a server-paged endpoint as the chunk source. Chunks are fetched
+   * with offset/limit through ApiClient.get and cached in a ResultCache;
+   * the total comes from the response's `pagination.total`. Source options:
+   * - endpoint: URL passed to ApiClient.get
+   * - apiClient: ApiClient instance (defaults to the shared one)
+   * - params: extra request params (e.g. { category: 'frontend' })
+   * - offsetParam / limitParam: param names (default 'offset' / 'limit')
+   * - queryParam: param carrying the search text (default 'q')
+   * - sort: { field, order } sent as sortParam / orderParam
+   *   (default 'sortBy' / 'sortOrder'); see setRemoteSort
+   * - facets: facet selection sent as `field=a,b` params; see setRemoteFacets
+   * - cache: ResultCache instance; cacheTTL: chunk lifetime in ms
+   */
+  async loadFromRemote(source) {
+    this.remoteSource = {
+      apiClient: defaultApiClient,
+      params: {},
+      offsetParam: 'offset',
+      limitParam: 'limit',
+      queryParam: 'q',
+      sortParam: 'sortBy',
+      orderParam: 'sortOrder',
+      sort: null,
+      facets: {},
+      cacheTTL: this.options.cacheDuration,
+      ...source,
+      query: '',
+      facets: normalizeFacetSelection(source.facets),
+      cache: source.cache || new ResultCache({
+        namespace: 'virtual_select_chunks',
+        maxSize: 200,
+        ttl: source.cacheTTL || this.options.cacheDuration,
+        useLocalStorage: false
+      })
+    };
+    this.ownsRemoteCache = !source.cache;
+    
+    // The first chunk tells us the total
+    await this.loadChunk(0);
+  }
+  
+  /**
+   * Whether chunks come from a server-paged endpoint
+   */
+  isRemote() {
+    return Boolean(this.remoteSource);
+  }
+  
+  /**
+   * Point the remote source at a new search query. Loaded chunks belong to
+   * the previous result set and are dropped; chunk 0 is fetched to learn
+   * the new total. In-flight chunks of the old query are discarded.
+   */
+  async setRemoteQuery(query = '') {
+    if (!this.remoteSource) {
+      throw new Error('setRemoteQuery requires a remote data source');
+    }
+    
+    if (query === this.remoteSource.query && this.chunks.has(0)) {
+      return this.totalItems;
+    }
+    
+    this.remoteSource.query = query;
+    return await this.reloadRemote();
+  }
+  
+  /**
+   * Ask the remote source for results in a different order (null field for
+   * the server's default). Like a query change, this drops loaded chunks.
+   */
+  async setRemoteSort(field, order = 'asc') {
+    if (!this.remoteSource) {
+      throw new Error('setRemoteSort requires a remote data source');
+    }
+    
+    const sort = field ? { field, order } : null;
+    const current = this.remoteSource.sort;
+    
+    if (sort?.field === current?.field && sort?.order === current?.order && this.chunks.has(0)) {
+      return this.totalItems;
+    }
+    
+    this.remoteSource.sort = sort;
+    return await this.reloadRemote();
+  }
+  
+  /**
+   * Narrow the remote results to a facet selection
+   */
+  async setRemoteFacets(selection = {}) {
+    if (!this.remoteSource) {
+      throw new Error('setRemoteFacets requires a remote data source');
+    }
+    
+    const facets = normalizeFacetSelection(selection);
+    
+    if (getFacetKey(facets) === getFacetKey(this.remoteSource.facets) && this.chunks.has(0)) {
+      return this.totalItems;
+    }
+    
+    this.remoteSource.facets = facets;
+    return await this.reloadRemote();
+  }
+  
+  /**
+   * Drop the current remote result set and fetch chunk 0 of the new one
+   */
+  async reloadRemote() {
+    this.remoteGeneration++;
+    this.remoteFacets = null;
+    this.chunks.clear();
+    this.chunkIndex.clear();
+    this.loadingPromises.clear();
+    this.loadedItems = 0;
+    
+    await this.loadChunk(0);
+    return this.totalItems;
+  }
+  
+  /**
+   * Fetch one chunk from the remote source (or its cache). Servers may cap
+   * the page size below chunkSize, so short pages are followed up until the
+   * chunk is full or the result set ends.
+   */
+  async fetchRemoteChunk(chunkIndex) {
+    const source = this.remoteSource;
+    const generation = this.remoteGeneration;
+    const chunkSize = this.options.chunkSize;
+    const chunkStart = chunkIndex * chunkSize;
+    const items = [];
+    let total = null;
+    
+    while (items.length < chunkSize) {
+      const offset = chunkStart + items.length;
+      const params = {
+        ...source.params,
+        ...toFacetParams(source.facets),
+        [source.queryParam]: source.query || undefined,
+        [source.sortParam]: source.sort?.field,
+        [source.orderParam]: source.sort?.order,
+        [source.offsetParam]: offset,
+        [source.limitParam]: chunkSize - items.length
+      };
+      const cacheKey = { endpoint: source.endpoint, params };
+      
+      let page = source.cache.get(cacheKey);
+      
+      if (page) {
+        this.stats.remoteCacheHits++;
+      } else {
+        const response = await source.apiClient.get(source.endpoint, params);
+        const data = response.data || {};
+        
+        page = {
+          items: data.items || data.data || [],
+          total: data.pagination?.total ?? data.total ?? null,
+          facets: data.facets ?? null
+        };
+        
+        source.cache.set(cacheKey, page, source.cacheTTL);
+        this.stats.remoteRequests++;
+      }
+      
+      // The query changed while this chunk was in flight
+      if (generation !== this.remoteGeneration) {
+        throw createAbortError('Remote query changed');
+      }
+      
+      items.push(...page.items);
+      total = page.total ?? total;
+      
+      if (page.facets) {
+        this.remoteFacets = page.facets;
+      }
+      
+      const reachedEnd = total !== null ? chunkStart + items.length >= total : page.items.length === 0;
+      if (reachedEnd || page.items.length === 0) break;
+    }
+    
+    // Without a reported total, a short chunk marks the end of the data
+    const knownTotal = total ?? (items.length < chunkSize ? chunkStart + items.length : Math.max(this.totalItems, chunkStart + items.length));
+    
+    if (knownTotal !== this.totalItems) {
+      this.totalItems = knownTotal;
+      this.maxChunks = Math.ceil(knownTotal / chunkSize);
+      this.notifyListeners('totalchange', { total: knownTotal });
+    }
+    
+    return items.slice(0, chunkSize);
+  }
+  
+  /**
+   * Open the IndexedDB chunk tier. Without IndexedDB the provider keeps
+   * working from memory and the source.
+   */
+  async openChunkStore() {
+    const store = new ChunkStore({ dbName: this.options.chunkStoreName });
+    
+    if (await store.open()) {
+      this.chunkStore = store;
+    } else {
+      console.warn('[DataProvider] IndexedDB unavailable, chunks will not persist');
+    }
+  }
+  
+  /**
+   * Name of the persisted dataset: the datasetKey option, the data URL or
+   * the remote endpoint with its params. Remote queries get their own key.
+   */
+  getDatasetKey() {
+    let key = this.options.datasetKey;
+    
+    if (!key && typeof this.dataSource === 'string') {
+      key = this.dataSource;
+    } else if (!key && this.remoteSource) {
+      key = `${this.remoteSource.endpoint}?${JSON.stringify(this.remoteSource.params)}`;
+    }
+    
+    if (!key) return null;
+    
+    const sort = this.remoteSource?.sort;
+    if (sort) {
+      key += `#sort=${sort.field}:${sort.order}`;
+    }
+    
+    const facetKey = this.remoteSource ? getFacetKey(this.remoteSource.facets) : '';
+    if (facetKey) {
+      key += `#facets=${facetKey}`;
+    }
+    
+    return this.remoteSource?.query ? `${key}#q=${this.remoteSource.query}` : key;
+  }
+  
+  /**
+   * Get the stored dataset record for the current key and version, dropping
+   * stored chunks of any other version or chunk size
+   */
+  getStoredDataset() {
+    const key = this.chunkStore ? this.getDatasetKey() : null;
+    if (!key) return Promise.resolve(null);
+    
+    const version = this.datasetVersion ?? null;
+    
+    if (this.storedDataset?.key !== key || this.storedDataset.version !== version) {
+      const promise = this.chunkStore
+        .prepareDataset(key, { version, chunkSize: this.options.chunkSize })
+        .catch(error => {
+          console.warn('[DataProvider] Chunk store unavailable:', error);
+          if (this.storedDataset?.promise === promise) {
+            this.storedDataset = null;
+          }
+          return null;
+        });
+      
+      this.storedDataset = { key, version, promise };
+    }
+    
+    return this.storedDataset.promise;
+  }
+  
+  /**
+   * Load a complete stored copy of an in-memory dataset
+   */
+  async restoreDataset(version) {
+    if (!this.chunkStore) return false;
+    
+    this.datasetVersion = version;
+    
+    const record = await this.getStoredDataset();
+    if (!record || !record.complete) return false;
+    
+    let items;
+    try {
+      items = await this.chunkStore.getAllItems(record.dataset);
+    } catch (error) {
+      console.warn('[DataProvider] Failed to read stored dataset:', error);
+      return false;
+    }
+    
+    if (items.length !== record.totalItems) return false;
+    
+    this.stats.storeHits += Math.ceil(items.length / this.options.chunkSize);
+    this.persistWholeDataset = true;
+    await this.loadFromArray(items);
+    
+    console.log(`[DataProvider] Restored ${items.length} items from IndexedDB (v${record.version})`);
+    return true;
+  }
+  
+  /**
+   * Version of the complete stored copy of the dataset, or null
+   */
+  async getStoredVersion() {
+    const key = this.chunkStore ? this.getDatasetKey() : null;
+    if (!key) return null;
+    
+    try {
+      const record = await this.chunkStore.getDataset(key);
+      return record?.complete && record.chunkSize === this.options.chunkSize ? record.version : null;
+    } catch (error) {
+      console.warn('[DataProvider] Failed to read stored dataset version:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Fetch the data file after restoring a stored copy. When its version
+   * changed, the stored copy is marked incomplete so the next visit loads
+   * the new file; this session keeps the restored items.
+   */
+  async revalidateDataset(url, version) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) return;
+      
+      const data = await response.json();
+      const latest = data.metadata?.version ?? null;
+      if (latest === version) return;
+      
+      console.log(`[DataProvider] Dataset changed (v${version} -> v${latest}), reloading it on the next visit`);
+      
+      this.persistWholeDataset = false;
+      clearTimeout(this.persistTimer);
+      await this.chunkStore?.updateDataset(this.getDatasetKey(), { complete: false });
+    } catch (error) {
+      console.warn('[DataProvider] Failed to revalidate stored dataset:', error);
+    }
+  }
+  
+  /**
+   * Write the whole in-memory dataset to the chunk store. The record is
+   * marked incomplete until every chunk is written, so an interrupted
+   * write is never restored.
+   */
+  async persistDataset() {
+    const record = await this.getStoredDataset();
+    if (!record || !this.baseDataset) return false;
+    
+    const store = this.chunkStore;
+    const items = this.baseDataset;
+    const chunkSize = this.options.chunkSize;
+    const chunkCount = Math.ceil(items.length / chunkSize);
+    
+    // Rough size from the first chunk (UTF-16, 2 bytes per character)
+    const estimatedBytes = JSON.stringify(items.slice(0, chunkSize)).length * 2 * chunkCount;
+    if (!await store.hasRoomFor(estimatedBytes)) {
+      console.warn('[DataProvider] Not enough storage quota to persist the dataset');
+      return false;
+    }
+    
+    await store.updateDataset(record.dataset, { complete: false });
+    await store.deleteChunksFrom(record.dataset, chunkCount);
+    
+    for (let first = 0; first < chunkCount; first += PERSIST_BATCH_CHUNKS) {
+      const batch = [];
+      
+      for (let chunkIndex = first; chunkIndex < Math.min(first + PERSIST_BATCH_CHUNKS, chunkCount); chunkIndex++) {
+        batch.push({ index: chunkIndex, items: items.slice(chunkIndex * chunkSize, (chunkIndex + 1) * chunkSize) });
+      }
+      
+      // Stop if the store was closed or the dataset replaced meanwhile
+      if (this.chunkStore !== store || this.baseDataset !== items) return false;
+      if (!await store.putChunks(record.dataset, batch)) return false;
+    }
+    
+    await store.updateDataset(record.dataset, { totalItems: items.length, complete: true });
+    record.totalItems = items.length;
+    record.complete = true;
+    
+    console.log(`[DataProvider] Persisted ${items.length} items to IndexedDB`);
+    return true;
+  }
+  
+  /**
+   * Re-persist a stored in-memory dataset shortly after incremental updates
+   */
+  schedulePersist() {
+    if (!this.chunkStore || !this.persistWholeDataset) return;
+    
+    clearTimeout(this.persistTimer);
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persistDataset().catch(error => {
+        console.warn('[DataProvider] Failed to persist dataset:', error);
+      });
+    }, 1000);
+  }
+  
+  /**
+   * Read a chunk from the IndexedDB tier. Remote chunks expire after the
+   * source's cacheTTL. The stored total is restored along with the chunk.
+   */
+  async readStoredChunk(chunkIndex) {
+    if (!this.chunkStore) return null;
+    
+    const generation = this.remoteGeneration;
+    let items = null;
+    let record = null;
+    
+    try {
+      record = await this.getStoredDataset();
+      if (record) {
+        items = await this.chunkStore.getChunk(record.dataset, chunkIndex, this.remoteSource?.cacheTTL);
+      }
+    } catch (error) {
+      console.warn(`[DataProvider] Failed to read chunk ${chunkIndex} from IndexedDB:`, error);
+    }
+    
+    // The query changed while this chunk was being read
+    if (generation !== this.remoteGeneration) {
+      throw createAbortError('Remote query changed');
+    }
+    
+    if (!record) return null;
+    
+    if (!items) {
+      this.stats.storeMisses++;
+      return null;
+    }
+    
+    if (record.totalItems !== null && record.totalItems !== this.totalItems) {
+      this.totalItems = record.totalItems;
+      this.maxChunks = Math.ceil(record.totalItems / this.options.chunkSize);
+      
+      if (this.remoteSource) {
+        this.notifyListeners('totalchange', { total: record.totalItems });
+      }
+    }
+    
+    return items;
+  }
+  
+  /**
+   * Serve a function source's first chunk from IndexedDB
+   */
+  async restoreStoredChunk(chunkIndex) {
+    const items = await this.readStoredChunk(chunkIndex);
+    if (!items) return false;
+    
+    this.stats.storeHits++;
+    this.storeChunk(chunkIndex, items);
+    return true;
+  }
+  
+  /**
+   * Write a chunk loaded from the source through to IndexedDB in the
+   * background, together with the current total
+   */
+  writeStoredChunk(chunkIndex, items) {
+    if (!this.chunkStore) return;
+    
+    const totalItems = this.totalItems;
+    
+    this.getStoredDataset()
+      .then(record => {
+        if (!record || !this.chunkStore) return false;
+        
+        record.totalItems = totalItems;
+        return this.chunkStore.putChunks(record.dataset, [{ index: chunkIndex, items }], { totalItems });
+      })
+      .catch(error => {
+        console.warn(`[DataProvider] Failed to store chunk ${chunkIndex}:`, error);
+      });
+  }
+  
   /**
    * Generate synthetic data based on templates
    */
@@ -294,12 +889,12 @@ export class DataProvider {
     this.loadingPromises.set(chunkIndex, loadPromise);
     
     try {
-      const chunk = await loadPromise;
-      this.loadingPromises.delete(chunkIndex);
-      return chunk;
-    } catch (error) {
-      this.loadingPromises.delete(chunkIndex);
-      throw error;
+      return await loadPromise;
+    } finally {
+      // A remote query change may have started a newer load for this index
+      if (this.loadingPromises.get(chunkIndex) === loadPromise) {
+        this.loadingPromises.delete(chunkIndex);
+      }
     }
   }
   
@@ -318,9 +913,16 @@ export class DataProvider {
       const startIdx = chunkIndex * this.options.chunkSize;
       const endIdx = Math.min(startIdx + this.options.chunkSize, this.totalItems);
       
-      let chunkData;
+      // Persistent tier sits between memory and the source
+      let chunkData = this.baseDataset ? null : await this.readStoredChunk(chunkIndex);
+      const fromStore = Boolean(chunkData);
       
-      if (this.baseDataset) {
+      if (fromStore) {
+        this.stats.storeHits++;
+      } else if (this.remoteSource) {
+        // Fetch from the server-paged endpoint
+        chunkData = await this.fetchRemoteChunk(chunkIndex);
+      } else if (this.baseDataset) {
         // Load from in-memory dataset
         chunkData = this.baseDataset.slice(startIdx, endIdx);
       } else if (typeof this.dataSource === 'function') {
@@ -331,6 +933,12 @@ export class DataProvider {
         throw new Error('No valid data source available');
       }
       
+      // In-memory datasets are persisted as a whole (see persistDataset)
+      if (!fromStore && !this.baseDataset) {
+        this.stats.sourceLoads++;
+        this.writeStoredChunk(chunkIndex, chunkData);
+      }
+      
       // Add virtual indices
       chunkData = chunkData.map((item, localIndex) => ({
         ...item,
@@ -437,67 +1045,177 @@ export class DataProvider {
   }
   
   /**
-   * Search through the entire dataset
+   * Search through the entire dataset. `options.facets` ({ field: [values] })
+   * narrows the results to the selected facet values.
+   *
+   * Interactive searches are latest-wins: starting a new one rejects the
+   * previous promise with an AbortError. Background searches (prefetches)
+   * neither supersede nor get superseded, and run after interactive work in
+   * the worker. Pass `signal` to cancel a search from outside.
    */
   async search(query, options = {}) {
-    if (!query || query.trim() === '') {
-      this.searchResults = null;
+    const {
+      signal,
+      priority = 'interactive',
+      latestWins = priority === 'interactive',
+      ...searchOptions
+    } = options;
+    
+    const controller = this.beginSearch(latestWins, signal);
+    
+    try {
+      return await this.raceAbort(
+        this.runSearch(query, searchOptions, { signal: controller.signal, priority, latestWins }),
+        controller.signal
+      );
+    } finally {
+      if (this.activeSearch === controller) {
+        this.activeSearch = null;
+      }
+    }
+  }
+  
+  /**
+   * Run a search on the worker or main thread
+   */
+  async runSearch(query, options, context) {
+    const facets = normalizeFacetSelection(options.facets);
+    options = { ...options, facets: hasFacetSelection(facets) ? facets : null };
+    
+    if ((!query || query.trim() === '') && !options.facets) {
+      if (context.priority !== 'background') {
+        this.searchResults = null;
+      }
       return await this.getItemsInRange(0, Math.min(50, this.totalItems - 1));
     }
     
     this.stats.searchQueries++;
     this.lastSearchQuery = query;
     
+    const structured = this.parseQuery(query);
     const searchOptions = {
       limit: options.limit || 50,
       offset: options.offset || 0,
-      sortBy: options.sortBy || 'weight',
+      sortBy: options.sortBy || 'relevance', // Schema score; `weight` breaks ties
       sortOrder: options.sortOrder || 'desc',
       ...options
     };
     
+    // A typed `sort:field` directive overrides the caller's ordering
+    if (structured.sort) {
+      searchOptions.sortBy = structured.sort.field;
+      searchOptions.sortOrder = structured.sort.order;
+    }
+    
     console.log(`[DataProvider] Searching for "${query}" with options:`, searchOptions);
     
-    // Use search worker if available and dataset is large
-    if (this.searchWorker && this.totalItems > 5000) {
-      return await this.searchWithWorker(query, searchOptions);
+    // Use search worker once its index is streamed and the dataset is large
+    if (this.workerReady && this.totalItems > this.options.workerThreshold) {
+      return await this.searchWithWorker(query, searchOptions, context);
     }
     
     // Perform synchronous search
-    return await this.searchSynchronous(query, searchOptions);
+    return await this.searchSynchronous(query, searchOptions, context);
   }
   
   /**
-   * Perform synchronous search
+   * Create the controller for a new search, superseding the previous
+   * latest-wins search and following an optional external signal
    */
-  async searchSynchronous(query, options) {
-    const results = [];
-    const searchTerm = query.toLowerCase().trim();
+  beginSearch(latestWins, externalSignal) {
+    const controller = new AbortController();
     
-    // Search through loaded chunks first
-    for (const [chunkIndex, chunk] of this.chunks.entries()) {
-      for (const item of chunk) {
-        if (this.matchesSearch(item, searchTerm)) {
-          results.push({ ...item, relevance: this.calculateRelevance(item, searchTerm) });
-        }
+    if (latestWins) {
+      if (this.activeSearch) {
+        this.activeSearch.abort(createAbortError('Search superseded by a newer query'));
+        this.stats.searchesSuperseded++;
       }
+      this.activeSearch = controller;
     }
     
-    // If we don't have enough results, search unloaded chunks
-    if (results.length < options.limit) {
-      const additionalResults = await this.searchUnloadedChunks(searchTerm, options);
-      results.push(...additionalResults);
+    if (externalSignal) {
+      if (externalSignal.aborted) {
+        controller.abort(externalSignal.reason);
+      } else {
+        externalSignal.addEventListener('abort', () => controller.abort(externalSignal.reason), { once: true });
+      }
     }
     
-    // Sort results
-    this.sortSearchResults(results, options);
-    
-    // Apply pagination
-    const paginatedResults = results.slice(options.offset, options.offset + options.limit);
+    return controller;
+  }
+  
+  /**
+   * Cancel the current latest-wins search, rejecting it with an AbortError
+   */
+  cancelSearch() {
+    if (!this.activeSearch) return false;
     
-    this.searchResults = {
-      query,
-      results: paginatedResults,
+    this.activeSearch.abort(createAbortError('Search cancelled'));
+    this.activeSearch = null;
+    return true;
+  }
+  
+  /**
+   * Settle with the promise, or reject as soon as the signal aborts
+   */
+  raceAbort(promise, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+      
+      promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+  
+  /**
+   * Perform synchronous search
+   */
+  async searchSynchronous(query, options, context = {}) {
+    const results = [];
+    const structured = this.parseQuery(query);
+    const prepared = {
+      ...this.searchSchema.prepareQuery(structured.text, options),
+      constraints: structured,
+      facets: options.facets || null
+    };
+    
+    // Search through loaded chunks first
+    for (const [chunkIndex, chunk] of this.chunks.entries()) {
+      for (const item of chunk) {
+        const result = this.scoreItem(item, prepared);
+        if (result) {
+          results.push(result);
+        }
+      }
+    }
+    
+    // If we don't have enough results, search unloaded chunks
+    if (results.length < options.limit) {
+      const additionalResults = await this.searchUnloadedChunks(prepared, options, context.signal);
+      results.push(...additionalResults);
+    }
+    
+    // Sort results
+    this.sortSearchResults(results, options);
+    
+    // Apply pagination
+    const paginatedResults = results.slice(options.offset, options.offset + options.limit);
+    
+    // Prefetches must not replace the results of the visible search
+    if (context.priority === 'background') {
+      return paginatedResults;
+    }
+    
+    this.searchResults = {
+      query,
+      results: paginatedResults,
       total: results.length,
       hasMore: results.length > options.offset + options.limit
     };
@@ -508,7 +1226,7 @@ export class DataProvider {
   /**
    * Search unloaded chunks
    */
-  async searchUnloadedChunks(searchTerm, options) {
+  async searchUnloadedChunks(prepared, options, signal) {
     const results = [];
     const loadedChunks = new Set(this.chunks.keys());
     
@@ -518,9 +1236,14 @@ export class DataProvider {
       
       try {
         const chunk = await this.loadChunk(chunkIndex);
+        
+        // Stop scanning once the search has been superseded or cancelled
+        signal?.throwIfAborted();
+        
         for (const item of chunk) {
-          if (this.matchesSearch(item, searchTerm)) {
-            results.push({ ...item, relevance: this.calculateRelevance(item, searchTerm) });
+          const result = this.scoreItem(item, prepared);
+          if (result) {
+            results.push(result);
           }
         }
         
@@ -529,6 +1252,7 @@ export class DataProvider {
           break;
         }
       } catch (error) {
+        if (signal?.aborted) throw error;
         console.warn(`[DataProvider] Error loading chunk ${chunkIndex} for search:`, error);
       }
     }
@@ -537,49 +1261,387 @@ export class DataProvider {
   }
   
   /**
-   * Check if item matches search query
+   * Count facet values over the items matching a query. Each field is
+   * counted as if its own selection were not applied, so selected values
+   * keep their siblings visible. Remote sources return the counts the API
+   * reported for the current result set. Large in-memory datasets are
+   * counted in the search worker.
    */
-  matchesSearch(item, searchTerm) {
-    const searchFields = ['text', 'description', 'tags', 'category'];
+  async getFacets(fields, options = {}) {
+    const { query = '', selection = {}, signal } = options;
+    
+    if (this.remoteSource) {
+      return this.remoteFacets || {};
+    }
     
-    return searchFields.some(field => {
-      const value = item[field];
-      if (typeof value === 'string') {
-        return value.toLowerCase().includes(searchTerm);
-      } else if (Array.isArray(value)) {
-        return value.some(v => String(v).toLowerCase().includes(searchTerm));
+    if (this.workerReady && this.totalItems > this.options.workerThreshold) {
+      try {
+        const response = await this.postWorkerMessage('facets', {
+          query,
+          options: { fields, selection, queryAliases: this.options.queryAliases, queryFields: this.getQueryFields() }
+        }, { latestWins: true, signal });
+        
+        return response.facets;
+      } catch (error) {
+        if (error.name === 'AbortError' || signal?.aborted) throw error;
+        console.warn('[DataProvider] Worker facet count failed, counting on the main thread:', error);
+      }
+    }
+    
+    const structured = this.parseQuery(query);
+    const prepared = {
+      ...this.searchSchema.prepareQuery(structured.text, {}),
+      constraints: structured,
+      facets: null
+    };
+    const matchAll = prepared.terms.length === 0 && !hasQueryConstraints(structured);
+    const counter = new FacetCounter(fields, selection);
+    
+    // Count over the whole dataset, chunk by chunk when it is not in memory
+    const count = (items) => items.forEach(item => {
+      if (matchAll || this.scoreItem(item, prepared)) {
+        counter.add(item);
       }
-      return false;
     });
+    
+    if (this.baseDataset) {
+      count(this.baseDataset);
+    } else {
+      for (let chunkIndex = 0; chunkIndex < this.maxChunks; chunkIndex++) {
+        count(await this.loadChunk(chunkIndex));
+        signal?.throwIfAborted();
+      }
+    }
+    
+    return counter.result();
+  }
+  
+  /**
+   * Parse query-language input (field filters, ranges, phrases, negation)
+   */
+  parseQuery(query) {
+    return parseQuery(query, { aliases: this.options.queryAliases, fields: this.getQueryFields() });
+  }
+  
+  /**
+   * Fields `field:value` tokens may filter on; other tokens with a colon
+   * stay free text
+   */
+  getQueryFields() {
+    return [...this.searchSchema.getQueryFields(), ...(this.options.queryFields || [])];
+  }
+  
+  /**
+   * Score an item against a prepared query using the search schema.
+   * Returns the result row (same shape as worker results) or null.
+   */
+  scoreItem(item, prepared) {
+    const constraints = prepared.constraints;
+    
+    if (constraints && !matchesQuery(item, constraints, { fields: this.searchSchema.fields.map(field => field.name) })) {
+      return null;
+    }
+    
+    if (prepared.facets && !matchesFacets(item, prepared.facets)) {
+      return null;
+    }
+    
+    // Filter-only queries ("weight:>50", or facets alone) keep every match, ranked by weight
+    if (prepared.terms.length === 0) {
+      if (!prepared.facets && (!constraints || !hasQueryConstraints(constraints))) return null;
+      
+      const relevance = item.weight || 0;
+      return { ...item, relevance, _relevance: relevance, _matches: [] };
+    }
+    
+    const { score, matches } = this.searchSchema.scoreItem(item, prepared);
+    if (score <= 0) return null;
+    
+    return { ...item, relevance: score, _relevance: score, _matches: matches };
+  }
+  
+  /**
+   * Check if item matches search query
+   */
+  matchesSearch(item, searchTerm) {
+    return this.searchSchema.scoreItem(item, searchTerm).score > 0;
   }
   
   /**
    * Calculate search relevance score
    */
   calculateRelevance(item, searchTerm) {
-    let score = 0;
+    return this.searchSchema.scoreItem(item, searchTerm).score;
+  }
+  
+  /**
+   * Spin up the search worker for large in-memory datasets. Skipped when
+   * workers are unavailable, the dataset is small, or the schema uses
+   * function boosts/tokenizers that cannot be posted to the worker.
+   */
+  async initializeSearchWorker() {
+    if (this.workerInitialization) {
+      return await this.workerInitialization;
+    }
     
-    // Exact matches get higher scores
-    if (item.text && item.text.toLowerCase() === searchTerm) {
-      score += 100;
-    } else if (item.text && item.text.toLowerCase().includes(searchTerm)) {
-      score += 50;
+    if (this.searchWorker || typeof Worker === 'undefined' || !this.baseDataset) {
+      return false;
     }
     
-    // Description matches
-    if (item.description && item.description.toLowerCase().includes(searchTerm)) {
-      score += 20;
+    if (this.totalItems <= this.options.workerThreshold) {
+      return false;
     }
     
-    // Tag matches
-    if (item.tags && Array.isArray(item.tags)) {
-      score += item.tags.filter(tag => tag.toLowerCase().includes(searchTerm)).length * 10;
+    if (!this.searchSchema.isSerializable()) {
+      console.warn('[DataProvider] Search schema uses custom functions - searching on the main thread');
+      return false;
     }
     
-    // Weight factor
-    score += (item.weight || 0) * 0.1;
+    try {
+      this.searchWorker = new Worker(
+        new URL('../workers/search-worker.js', import.meta.url),
+        { type: 'module' }
+      );
+      this.searchWorker.addEventListener('message', this.handleWorkerMessage.bind(this));
+      
+      // A worker that fails to load would otherwise leave requests pending forever
+      this.searchWorker.addEventListener('error', (event) => {
+        console.warn('[DataProvider] Search worker error:', event.message);
+        this.terminateSearchWorker();
+      });
+    } catch (error) {
+      console.warn('[DataProvider] Search worker unavailable, using synchronous search:', error);
+      this.searchWorker = null;
+      return false;
+    }
+    
+    this.workerInitialization = this.streamDatasetToWorker();
+    
+    try {
+      return await this.workerInitialization;
+    } finally {
+      this.workerInitialization = null;
+    }
+  }
+  
+  /**
+   * Hand the dataset to the worker as columnar chunks whose buffers are
+   * transferred rather than cloned. Only one chunk is encoded at a time and
+   * each round-trip yields to the event loop, so the main thread never
+   * blocks on the whole dataset. Emits "indexprogress" after every chunk.
+   */
+  async streamDatasetToWorker() {
+    // Snapshot: incremental updates made meanwhile are replayed after init
+    const items = this.baseDataset.slice();
+    const chunkSize = this.options.workerChunkSize;
+    const startTime = performance.now();
     
-    return score;
+    try {
+      await this.postWorkerMessage('initStream', {
+        schema: this.searchSchema.toJSON(),
+        keyField: this.options.keyField,
+        totalItems: items.length
+      });
+      
+      for (let start = 0; start < items.length; start += chunkSize) {
+        const encoded = encodeColumnar(items.slice(start, start + chunkSize));
+        const progress = await this.postWorkerMessage('initChunk', encoded, {
+          transfer: getTransferables(encoded)
+        });
+        
+        this.notifyListeners('indexprogress', {
+          loaded: progress.loaded,
+          total: progress.total,
+          percentage: Math.round((progress.loaded / progress.total) * 100)
+        });
+      }
+      
+      const result = await this.postWorkerMessage('initComplete');
+      
+      this.workerItems = items;
+      this.workerReady = true;
+      
+      console.log(`[DataProvider] Search worker ready (${result.indexSize} index terms) in ${(performance.now() - startTime).toFixed(2)}ms`);
+      this.notifyListeners('indexready', { totalItems: result.totalItems, indexSize: result.indexSize });
+      return true;
+      
+    } catch (error) {
+      console.warn('[DataProvider] Search worker unavailable, using synchronous search:', error);
+      this.terminateSearchWorker();
+      return false;
+    }
+  }
+  
+  /**
+   * Send a message to the search worker and resolve with its response.
+   * Options: transfer (ArrayBuffers to hand over), priority ("interactive" or
+   * "background"), latestWins (drop queued requests of the same type), and
+   * signal (aborting sends a cancel message and rejects with an AbortError).
+   */
+  postWorkerMessage(type, data, options = {}) {
+    if (!this.searchWorker) {
+      return Promise.reject(new Error('Search worker not initialized'));
+    }
+    
+    const { transfer = [], priority = 'interactive', latestWins = false, signal = null } = options;
+    const id = ++this.workerRequestId;
+    
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      
+      const request = { resolve, reject, cleanup: null };
+      
+      if (signal) {
+        const onAbort = () => {
+          if (!this.workerRequests.delete(id)) return;
+          
+          this.searchWorker?.postMessage({ type: 'cancel', data: { ids: [id] } });
+          this.stats.searchesCancelled++;
+          reject(signal.reason);
+        };
+        
+        signal.addEventListener('abort', onAbort, { once: true });
+        request.cleanup = () => signal.removeEventListener('abort', onAbort);
+      }
+      
+      this.workerRequests.set(id, request);
+      this.searchWorker.postMessage({ id, type, data, priority, latestWins }, transfer);
+    });
+  }
+  
+  /**
+   * Route worker responses to their pending requests
+   */
+  handleWorkerMessage(event) {
+    const { id, type, data } = event.data;
+    
+    // The worker announces itself with an id-less "ready" message
+    if (id === undefined) return;
+    
+    const request = this.workerRequests.get(id);
+    if (!request) return;
+    
+    this.workerRequests.delete(id);
+    request.cleanup?.();
+    
+    if (type === 'error') {
+      request.reject(new Error(data.message));
+    } else if (type === 'cancelled') {
+      // Dropped from the worker queue by a newer latest-wins request
+      this.stats.searchesCancelled++;
+      request.reject(createAbortError(`Search ${data.reason}`));
+    } else {
+      request.resolve(data);
+    }
+  }
+  
+  /**
+   * Search in the worker, falling back to synchronous search on failure
+   */
+  async searchWithWorker(query, options, context = {}) {
+    try {
+      const response = await this.postWorkerMessage('search', {
+        query,
+        options: {
+          ...options,
+          resultFormat: 'indices',
+          queryAliases: this.options.queryAliases,
+          queryFields: this.getQueryFields()
+        }
+      }, {
+        priority: context.priority,
+        latestWins: context.latestWins,
+        signal: context.signal
+      });
+      
+      // The worker returns dataset slots; resolve them against our own items
+      const results = Array.from(response.indices, (slot, i) => ({
+        ...this.workerItems[slot],
+        relevance: response.relevance[i],
+        _relevance: response.relevance[i],
+        _matches: response.matches[i]
+      }));
+      
+      // Prefetches must not replace the results of the visible search
+      if (context.priority === 'background') {
+        return results;
+      }
+      
+      this.searchResults = {
+        query,
+        results,
+        total: response.pagination.total,
+        hasMore: response.pagination.hasMore
+      };
+      
+      return results;
+      
+    } catch (error) {
+      if (error.name === 'AbortError' || context.signal?.aborted) {
+        throw error;
+      }
+      
+      console.warn('[DataProvider] Worker search failed, falling back to synchronous search:', error);
+      return await this.searchSynchronous(query, options, context);
+    }
+  }
+  
+  /**
+   * Terminate the search worker and reject any pending requests
+   */
+  terminateSearchWorker() {
+    if (this.searchWorker) {
+      this.searchWorker.terminate();
+      this.searchWorker = null;
+    }
+    
+    this.workerReady = false;
+    this.workerItems = [];
+    
+    this.workerRequests.forEach(({ reject, cleanup }) => {
+      cleanup?.();
+      reject(new Error('Search worker terminated'));
+    });
+    this.workerRequests.clear();
+  }
+  
+  /**
+   * Get the dataset's index permutation for a sort order, built on first
+   * use and kept until the dataset changes. Returns null when sorting is
+   * disabled or there is no in-memory dataset.
+   */
+  getSortedIndices(field, order = 'asc') {
+    if (!this.options.enableSorting || !this.baseDataset) return null;
+    
+    const key = `${field}:${order}`;
+    
+    if (!this.sortedIndices.has(key)) {
+      const startTime = performance.now();
+      this.sortedIndices.set(key, this.createSortPermutation(this.baseDataset, field, order));
+      console.log(`[DataProvider] Built sort index "${key}" in ${(performance.now() - startTime).toFixed(2)}ms`);
+    }
+    
+    return this.sortedIndices.get(key);
+  }
+  
+  /**
+   * Build a stable permutation of item indices ordered by a field, leaving
+   * the items themselves untouched
+   */
+  createSortPermutation(items, field, order = 'asc') {
+    const direction = order === 'desc' ? -1 : 1;
+    const keys = new Array(items.length);
+    const indices = new Uint32Array(items.length);
+    
+    for (let i = 0; i < items.length; i++) {
+      keys[i] = items[i]?.[field];
+      indices[i] = i;
+    }
+    
+    return indices.sort((a, b) => compareSortKeys(keys[a], keys[b], direction) || a - b);
   }
   
   /**
@@ -594,6 +1656,10 @@ export class DataProvider {
       if (sortBy === 'relevance') {
         aVal = a.relevance || 0;
         bVal = b.relevance || 0;
+        
+        if (aVal === bVal) {
+          return (b.weight || 0) - (a.weight || 0);
+        }
       } else {
         aVal = a[sortBy] || '';
         bVal = b[sortBy] || '';
@@ -635,30 +1701,264 @@ export class DataProvider {
    * Index a single item for search
    */
   indexItem(item) {
-    const terms = new Set();
+    // Extract searchable terms with the same fields/tokenizers as searches
+    const terms = this.searchSchema.extractTokens(item);
     
-    // Extract searchable terms
-    if (item.text) {
-      item.text.toLowerCase().split(/\s+/).forEach(term => terms.add(term));
+    // Add to index
+    terms.forEach(term => {
+      if (!this.searchIndex.has(term)) {
+        this.searchIndex.set(term, []);
+      }
+      this.searchIndex.get(term).push(item.virtualIndex);
+    });
+  }
+  
+  /**
+   * Drop a single item from the search index
+   */
+  unindexItem(item) {
+    if (!item) return;
+    
+    this.searchSchema.extractTokens(item).forEach(term => {
+      const indices = this.searchIndex.get(term);
+      const position = indices ? indices.lastIndexOf(item.virtualIndex) : -1;
+      
+      if (position > -1) {
+        indices.splice(position, 1);
+        if (indices.length === 0) {
+          this.searchIndex.delete(term);
+        }
+      }
+    });
+  }
+  
+  /**
+   * Add items that are not in the dataset yet (matched by keyField)
+   */
+  async addItems(items) {
+    return await this.applyItemChanges('add', items);
+  }
+  
+  /**
+   * Replace existing items (matched by keyField); unknown items are ignored
+   */
+  async updateItems(items) {
+    return await this.applyItemChanges('update', items);
+  }
+  
+  /**
+   * Update existing items and add the rest
+   */
+  async upsertItems(items) {
+    return await this.applyItemChanges('bulkUpsert', items);
+  }
+  
+  /**
+   * Remove items by key
+   */
+  async removeItems(keys) {
+    keys = Array.isArray(keys) ? keys : [keys];
+    this.ensureMutableDataset();
+    
+    const keyIndex = this.getItemKeyIndex();
+    const removedIndices = new Set();
+    
+    keys.forEach(key => {
+      const index = keyIndex.get(key);
+      if (index !== undefined) {
+        removedIndices.add(index);
+      }
+    });
+    
+    if (removedIndices.size > 0) {
+      let firstIndex = this.baseDataset.length;
+      removedIndices.forEach(index => { firstIndex = Math.min(firstIndex, index); });
+      
+      // Removal shifts every later item, so later chunks and the key index are stale
+      this.baseDataset = this.baseDataset.filter((item, index) => !removedIndices.has(index));
+      this.itemKeyIndex = null;
+      this.resizeDataset(firstIndex);
+      this.schedulePersist();
     }
     
-    if (item.description) {
-      item.description.toLowerCase().split(/\s+/).forEach(term => terms.add(term));
+    await this.syncSearchWorker('remove', { keys });
+    
+    return { added: 0, updated: 0, removed: removedIndices.size, totalItems: this.totalItems };
+  }
+  
+  /**
+   * Apply an add/update/upsert to the in-memory dataset, then forward the same
+   * change to the search worker so its index is patched instead of rebuilt
+   */
+  async applyItemChanges(type, items) {
+    items = Array.isArray(items) ? items : [items];
+    this.ensureMutableDataset();
+    
+    const keyIndex = this.getItemKeyIndex();
+    const firstNewIndex = this.baseDataset.length;
+    let added = 0;
+    let updated = 0;
+    
+    items.forEach(item => {
+      const key = this.getItemKey(item);
+      const index = key === undefined ? undefined : keyIndex.get(key);
+      
+      if (index !== undefined) {
+        if (type === 'add') return;
+        
+        this.baseDataset[index] = item;
+        this.patchLoadedItem(index, item);
+        updated++;
+      } else if (type !== 'update') {
+        if (key !== undefined) {
+          keyIndex.set(key, this.baseDataset.length);
+        }
+        this.baseDataset.push(item);
+        added++;
+      }
+    });
+    
+    if (added > 0) {
+      this.resizeDataset(firstNewIndex);
     }
     
-    if (item.tags && Array.isArray(item.tags)) {
-      item.tags.forEach(tag => terms.add(tag.toLowerCase()));
+    if (updated > 0) {
+      this.searchResults = null;
+      this.sortedIndices.clear();
     }
     
-    // Add to index
-    terms.forEach(term => {
-      if (!this.searchIndex.has(term)) {
-        this.searchIndex.set(term, []);
+    if (added > 0 || updated > 0) {
+      this.schedulePersist();
+    }
+    
+    await this.syncSearchWorker(type, items);
+    
+    return { added, updated, removed: 0, totalItems: this.totalItems };
+  }
+  
+  /**
+   * Make sure incremental updates have a private in-memory dataset to patch
+   */
+  ensureMutableDataset() {
+    // The server owns a paged dataset's offsets and total
+    if (this.remoteSource) {
+      throw new Error('Incremental updates are not supported for server-paged data');
+    }
+    
+    if (!this.baseDataset && typeof this.dataSource === 'function') {
+      throw new Error('Incremental updates require an in-memory dataset');
+    }
+    
+    // Never mutate the caller's array
+    if (!this.ownsDataset) {
+      this.baseDataset = this.baseDataset ? [...this.baseDataset] : [];
+      this.ownsDataset = true;
+    }
+  }
+  
+  /**
+   * Resolve the identity of an item
+   */
+  getItemKey(item) {
+    return item[this.options.keyField] ?? item.id;
+  }
+  
+  /**
+   * Get (building if needed) the item key -> dataset index map
+   */
+  getItemKeyIndex() {
+    if (!this.itemKeyIndex) {
+      this.itemKeyIndex = new Map();
+      this.baseDataset.forEach((item, index) => {
+        const key = this.getItemKey(item);
+        if (key !== undefined) {
+          this.itemKeyIndex.set(key, index);
+        }
+      });
+    }
+    
+    return this.itemKeyIndex;
+  }
+  
+  /**
+   * Replace an item inside its chunk if that chunk is in memory, patching
+   * the search index entries of that one item
+   */
+  patchLoadedItem(index, item) {
+    const chunk = this.chunks.get(Math.floor(index / this.options.chunkSize));
+    
+    if (chunk) {
+      const offset = index % this.options.chunkSize;
+      const patched = { ...item, virtualIndex: index };
+      
+      if (this.options.enableIndexing) {
+        this.unindexItem(chunk[offset]);
+        this.indexItem(patched);
+      }
+      
+      chunk[offset] = patched;
+    }
+  }
+  
+  /**
+   * Recalculate dataset size and drop loaded chunks (and their index
+   * entries) from the first changed index onwards so they are re-sliced on
+   * next access
+   */
+  resizeDataset(firstChangedIndex) {
+    this.totalItems = this.baseDataset.length;
+    this.maxChunks = Math.ceil(this.totalItems / this.options.chunkSize);
+    this.searchResults = null;
+    this.sortedIndices.clear();
+    
+    const firstChunk = Math.floor(firstChangedIndex / this.options.chunkSize);
+    
+    Array.from(this.chunks.keys()).forEach(chunkIndex => {
+      if (chunkIndex < firstChunk) return;
+      
+      if (this.options.enableIndexing) {
+        this.chunks.get(chunkIndex).forEach(item => this.unindexItem(item));
+      }
+      
+      this.chunks.delete(chunkIndex);
+      for (let i = chunkIndex * this.options.chunkSize; 
+           i < (chunkIndex + 1) * this.options.chunkSize; 
+           i++) {
+        this.chunkIndex.delete(i);
       }
-      this.searchIndex.get(term).push(item.virtualIndex);
     });
   }
   
+  /**
+   * Forward an incremental update to the search worker. Without a worker,
+   * growth past workerThreshold starts one; a failed update drops the worker
+   * so searches fall back to the main thread instead of using a stale index.
+   */
+  async syncSearchWorker(type, data) {
+    if (this.workerInitialization) {
+      await this.workerInitialization;
+    }
+    
+    if (this.searchWorker) {
+      try {
+        const response = await this.postWorkerMessage(type, data);
+        
+        // Mirror the worker's slot layout so index results resolve correctly
+        const inputs = type === 'remove' ? data.keys : data;
+        response.slots.forEach((slot, i) => {
+          if (slot >= 0) {
+            this.workerItems[slot] = type === 'remove' ? null : inputs[i];
+          }
+        });
+      } catch (error) {
+        console.warn(`[DataProvider] Worker ${type} failed, searching on the main thread:`, error);
+        this.terminateSearchWorker();
+      }
+    } else if (this.options.enableWorker) {
+      await this.initializeSearchWorker();
+    }
+  }
+  
   /**
    * Load more data for infinite scrolling
    */
@@ -698,6 +1998,44 @@ export class DataProvider {
     this.lastLoadTime = loadTime;
   }
   
+  /**
+   * Add event listener ("indexprogress", "indexready")
+   */
+  addEventListener(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+  
+  /**
+   * Remove event listener
+   */
+  removeEventListener(event, callback) {
+    if (this.listeners.has(event)) {
+      const callbacks = this.listeners.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+  
+  /**
+   * Notify all listeners of an event
+   */
+  notifyListeners(event, data = {}) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).forEach(callback => {
+        try {
+          callback({ type: event, ...data });
+        } catch (error) {
+          console.error(`[DataProvider] Error in ${event} listener:`, error);
+        }
+      });
+    }
+  }
+  
   /**
    * Get total number of items
    */
@@ -725,6 +2063,13 @@ export class DataProvider {
   getStats() {
     return {
       ...this.stats,
+      // Chunk loads served by each tier (in-memory datasets persist as a whole)
+      tierHits: {
+        memory: this.stats.cacheHits,
+        indexedDB: this.stats.storeHits,
+        source: this.stats.sourceLoads
+      },
+      chunkStore: this.chunkStore ? this.chunkStore.getStats() : null,
       chunksInMemory: this.chunks.size,
       indexSize: this.searchIndex.size,
       totalItems: this.totalItems,
@@ -740,6 +2085,7 @@ export class DataProvider {
     this.chunks.clear();
     this.chunkIndex.clear();
     this.searchIndex.clear();
+    this.sortedIndices.clear();
     this.loadingPromises.clear();
     this.searchResults = null;
     this.currentChunk = 0;
@@ -753,12 +2099,23 @@ export class DataProvider {
   destroy() {
     console.log('[DataProvider] Destroying...');
     
+    this.cancelSearch();
     this.clear();
     
-    if (this.searchWorker) {
-      this.searchWorker.terminate();
-      this.searchWorker = null;
+    this.terminateSearchWorker();
+    this.listeners.clear();
+    
+    if (this.remoteSource && this.ownsRemoteCache) {
+      this.remoteSource.cache.destroy();
+    }
+    this.remoteSource = null;
+    
+    clearTimeout(this.persistTimer);
+    if (this.chunkStore) {
+      this.chunkStore.close();
+      this.chunkStore = null;
     }
+    this.storedDataset = null;
     
     console.log('[DataProvider] Destroyed');
   }
@@ -0,0 +1,146 @@
+/**
+ * Facet Bar
+ * Row of toggleable facet chips with counts, rendered into a dropdown header
+ */
+import { normalizeFacetSelection, hasFacetSelection } from './facets.js';
+
+export class FacetBar {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      fields: [],          // [{ field, label, labels: { value: 'Label' } }]
+      maxValues: 8,        // Chips shown per field (selected values always shown)
+      onChange: null,      // Called with the new selection
+      ...options
+    };
+    
+    this.selection = {};
+    this.facets = {};
+    
+    this.handleClick = this.handleClick.bind(this);
+    this.handleMouseDown = (event) => event.preventDefault(); // Keep focus in the search input
+    
+    this.container.classList.add('facet-bar-container');
+    this.container.addEventListener('click', this.handleClick);
+    this.container.addEventListener('mousedown', this.handleMouseDown);
+  }
+  
+  /**
+   * Render facet counts ({ field: [{ value, count, selected }] })
+   */
+  render(facets = this.facets, selection = this.selection) {
+    this.facets = facets || {};
+    this.selection = normalizeFacetSelection(selection);
+    
+    const groups = this.options.fields.map(({ field, label, labels }) => {
+      const values = this.getVisibleValues(field);
+      if (values.length === 0) return '';
+      
+      const chips = values.map(({ value, count }) => {
+        const selected = this.isSelected(field, value);
+        
+        return `
+          <button type="button"
+                  class="facet-chip px-2 py-0.5 rounded-full border ${selected ? 'bg-blue-100 border-blue-400 text-blue-800' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'}"
+                  data-facet-field="${escapeHtml(field)}"
+                  data-facet-value="${escapeHtml(value)}"
+                  aria-pressed="${selected}">
+            ${escapeHtml(labels?.[value] ?? value)}
+            <span class="facet-count ml-1 ${selected ? 'text-blue-600' : 'text-gray-500'}">${count}</span>
+          </button>
+        `;
+      }).join('');
+      
+      return `
+        <div class="facet-group flex flex-wrap items-center gap-1" data-facet-field="${escapeHtml(field)}">
+          <span class="text-gray-500 mr-1">${escapeHtml(label ?? field)}:</span>
+          ${chips}
+        </div>
+      `;
+    }).join('');
+    
+    this.container.innerHTML = groups ? `
+      <div class="facet-bar flex flex-wrap items-center gap-x-4 gap-y-1 px-3 py-2 border-b border-gray-200 bg-gray-50 text-xs" role="group" aria-label="Filters">
+        ${groups}
+        ${hasFacetSelection(this.selection) ? '<button type="button" class="facet-clear ml-auto text-blue-600 hover:text-blue-800 underline">Clear filters</button>' : ''}
+      </div>
+    ` : '';
+  }
+  
+  /**
+   * Values to show for a field: the most frequent ones plus any selected
+   */
+  getVisibleValues(field) {
+    const values = this.facets[field] || [];
+    const visible = values.slice(0, this.options.maxValues);
+    
+    values.slice(this.options.maxValues).forEach(entry => {
+      if (this.isSelected(field, entry.value)) {
+        visible.push(entry);
+      }
+    });
+    
+    return visible;
+  }
+  
+  isSelected(field, value) {
+    return (this.selection[field] || []).some(entry => entry.toLowerCase() === String(value).toLowerCase());
+  }
+  
+  handleClick(event) {
+    const target = event.target.closest('.facet-chip, .facet-clear');
+    if (!target) return;
+    
+    event.preventDefault();
+    event.stopPropagation();
+    
+    if (target.classList.contains('facet-clear')) {
+      this.setSelection({});
+    } else {
+      this.toggle(target.dataset.facetField, target.dataset.facetValue);
+    }
+  }
+  
+  /**
+   * Select or deselect one facet value
+   */
+  toggle(field, value) {
+    const values = this.selection[field] || [];
+    const next = this.isSelected(field, value)
+      ? values.filter(entry => entry.toLowerCase() !== String(value).toLowerCase())
+      : [...values, value];
+    
+    this.setSelection({ ...this.selection, [field]: next });
+  }
+  
+  /**
+   * Replace the selection and notify the owner
+   */
+  setSelection(selection, { silent = false } = {}) {
+    this.selection = normalizeFacetSelection(selection);
+    this.render();
+    
+    if (!silent && typeof this.options.onChange === 'function') {
+      this.options.onChange(this.getSelection());
+    }
+  }
+  
+  getSelection() {
+    return normalizeFacetSelection(this.selection);
+  }
+  
+  destroy() {
+    this.container.removeEventListener('click', this.handleClick);
+    this.container.removeEventListener('mousedown', this.handleMouseDown);
+    this.container.innerHTML = '';
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
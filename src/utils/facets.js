@@ -0,0 +1,162 @@
+/**
+ * Facet helpers
+ * Selections look like { category: ['frontend', 'backend'], difficulty: ['Beginner'] }:
+ * values of one field are alternatives (OR), fields combine with AND.
+ * Shared by DataProvider, the search worker, the mock API and the select
+ * components, so local and server-side facets behave the same.
+ */
+
+/**
+ * Drop empty fields and order fields and values, so equal selections
+ * produce equal params and cache keys
+ */
+export function normalizeFacetSelection(selection = {}) {
+  const normalized = {};
+  
+  Object.keys(selection || {}).sort().forEach(field => {
+    const values = [].concat(selection[field] ?? [])
+      .filter(value => value !== undefined && value !== null && value !== '')
+      .map(String);
+    
+    if (values.length) {
+      normalized[field] = [...new Set(values)].sort();
+    }
+  });
+  
+  return normalized;
+}
+
+/**
+ * Whether a selection narrows anything
+ */
+export function hasFacetSelection(selection) {
+  return Boolean(selection) && Object.values(selection).some(values => values && values.length > 0);
+}
+
+/**
+ * Check an item against a selection
+ */
+export function matchesFacets(item, selection) {
+  if (!item || !selection) return Boolean(item);
+  
+  for (const field in selection) {
+    const wanted = selection[field];
+    if (!wanted || wanted.length === 0) continue;
+    
+    if (!getFacetValues(item, field).some(value => wanted.some(entry => sameFacetValue(entry, value)))) {
+      return false;
+    }
+  }
+  
+  return true;
+}
+
+/**
+ * Counts facet values over a stream of items. Each field is counted over
+ * the items matching the selection on every *other* field, so picking a
+ * value never zeroes out its siblings.
+ */
+export class FacetCounter {
+  constructor(fields, selection = {}) {
+    this.fields = fields;
+    this.selection = normalizeFacetSelection(selection);
+    this.counts = new Map(fields.map(field => [field, new Map()]));
+  }
+  
+  add(item) {
+    if (!item) return;
+    
+    // Which selected fields does the item fail?
+    let failedField = null;
+    
+    for (const field in this.selection) {
+      if (!matchesFacets(item, { [field]: this.selection[field] })) {
+        if (failedField !== null) return; // Fails two fields - counts nowhere
+        failedField = field;
+      }
+    }
+    
+    this.fields.forEach(field => {
+      if (failedField !== null && failedField !== field) return;
+      
+      const counts = this.counts.get(field);
+      new Set(getFacetValues(item, field).map(String)).forEach(value => {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      });
+    });
+  }
+  
+  /**
+   * { field: [{ value, count, selected }] }, most frequent first. Selected
+   * values are always listed, even with a zero count.
+   */
+  result() {
+    const facets = {};
+    
+    this.counts.forEach((counts, field) => {
+      const selected = this.selection[field] || [];
+      
+      selected.forEach(value => {
+        if (![...counts.keys()].some(key => sameFacetValue(key, value))) {
+          counts.set(value, 0);
+        }
+      });
+      
+      facets[field] = Array.from(counts, ([value, count]) => ({
+        value,
+        count,
+        selected: selected.some(entry => sameFacetValue(entry, value))
+      })).sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    });
+    
+    return facets;
+  }
+}
+
+/**
+ * Count facet values of an item list in one pass
+ */
+export function countFacets(items, fields, selection = {}) {
+  const counter = new FacetCounter(fields, selection);
+  items.forEach(item => counter.add(item));
+  return counter.result();
+}
+
+/**
+ * Selection as request params: { category: 'backend,frontend' }
+ */
+export function toFacetParams(selection) {
+  const params = {};
+  
+  Object.entries(normalizeFacetSelection(selection)).forEach(([field, values]) => {
+    params[field] = values.join(',');
+  });
+  
+  return params;
+}
+
+/**
+ * Stable string form of a selection for cache keys ('' when empty)
+ */
+export function getFacetKey(selection) {
+  return Object.entries(normalizeFacetSelection(selection))
+    .map(([field, values]) => `${field}=${values.join(',')}`)
+    .join(';');
+}
+
+/**
+ * Top-level values of a field; array fields (tags) yield each element
+ */
+function getFacetValues(item, field) {
+  const value = item[field];
+  
+  if (Array.isArray(value)) {
+    return value.filter(entry => entry !== undefined && entry !== null && entry !== '');
+  }
+  
+  return value === undefined || value === null || value === '' ? [] : [value];
+}
+
+function sameFacetValue(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
@@ -4,6 +4,12 @@
  * Includes proper server setup for development mode
  */
 
+import { countFacets, matchesFacets } from './facets.js';
+import { getHeader } from './response-adapters.js';
+
+// Fields the search endpoint filters and counts facets on
+const FACET_FIELDS = ['category', 'difficulty'];
+
 // Mock database with extended data
 const MOCK_DATA = [
   {
@@ -346,6 +352,10 @@ export class MockApiService {
       totalResponseTime: 0,
       errorTypes: {}
     };
+    
+    // Tags created through the API, and responses by Idempotency-Key
+    this.tags = new Map();
+    this.idempotentResponses = new Map();
   }
 
   /**
@@ -398,7 +408,10 @@ export class MockApiService {
       // Parse options
       const page = parseInt(options.page) || 1;
       const limit = Math.min(parseInt(options.limit) || this.config.resultsPerPage, this.config.maxResults);
-      const offset = (page - 1) * limit;
+      // Explicit offsets (virtual list paging) take precedence over pages
+      const offset = options.offset !== undefined && options.offset !== null
+        ? Math.max(0, parseInt(options.offset) || 0)
+        : (page - 1) * limit;
       const sortBy = options.sortBy || 'name';
       const sortOrder = options.sortOrder || 'asc';
       const category = options.category;
@@ -419,20 +432,19 @@ export class MockApiService {
         });
       }
 
-      // Filter by category
+      // Facet filters: comma-separated values match any of them
+      const facetSelection = {};
       if (category && category !== 'all') {
-        filteredData = filteredData.filter(item => 
-          item.category.toLowerCase() === category.toLowerCase()
-        );
+        facetSelection.category = String(category).split(',');
       }
-
-      // Filter by difficulty
       if (difficulty && difficulty !== 'all') {
-        filteredData = filteredData.filter(item => 
-          item.difficulty.toLowerCase() === difficulty.toLowerCase()
-        );
+        facetSelection.difficulty = String(difficulty).split(',');
       }
 
+      // Counts are taken before facet filtering (each field ignores its own selection)
+      const facets = countFacets(filteredData, FACET_FIELDS, facetSelection);
+      filteredData = filteredData.filter(item => matchesFacets(item, facetSelection));
+
       // Sort data
       filteredData.sort((a, b) => {
         let aVal = a[sortBy] || '';
@@ -465,12 +477,12 @@ export class MockApiService {
       const response = {
         items: paginatedData,  // Changed from 'data' to 'items' for Tom-Select compatibility
         pagination: {
-          page: page,
+          page: Math.floor(offset / limit) + 1,
           limit: limit,
           total: totalResults,
           totalPages: Math.ceil(totalResults / limit),
           hasNext: offset + limit < totalResults,
-          hasPrev: page > 1
+          hasPrev: offset > 0
         },
         meta: {
           query: query,
@@ -479,6 +491,7 @@ export class MockApiService {
           timestamp: new Date().toISOString(),
           version: '1.0.0'
         },
+        facets: facets,
         filters: {
           category: category || 'all',
           difficulty: difficulty || 'all',
@@ -500,6 +513,53 @@ export class MockApiService {
     }
   }
 
+  /**
+   * GraphQL endpoint simulation. Supports a connection-style
+   * `search(query, first, after, category, difficulty)` root field; anything
+   * else answers with a GraphQL `errors` array like a real server would.
+   */
+  async graphql(query = '', variables = {}) {
+    if (!/\bsearch\b/.test(query)) {
+      const field = (query.match(/{\s*(\w+)/) || [])[1] || 'unknown';
+      return {
+        errors: [{
+          message: `Cannot query field "${field}" on type "Query".`,
+          extensions: { code: 'GRAPHQL_VALIDATION_FAILED' }
+        }]
+      };
+    }
+
+    const offset = variables.after ? parseInt(atob(variables.after)) || 0 : 0;
+    const list = (value) => Array.isArray(value) ? value.join(',') : value;
+    const result = await this.search(variables.query || '', {
+      offset,
+      limit: variables.first,
+      sortBy: variables.sortBy,
+      sortOrder: variables.sortOrder,
+      category: list(variables.category),
+      difficulty: list(variables.difficulty)
+    });
+
+    const edges = result.items.map((node, index) => ({
+      cursor: btoa(String(offset + index + 1)),
+      node
+    }));
+
+    return {
+      data: {
+        search: {
+          totalCount: result.pagination.total,
+          edges,
+          pageInfo: {
+            hasNextPage: result.pagination.hasNext,
+            endCursor: edges.length ? edges[edges.length - 1].cursor : null
+          },
+          facets: result.facets
+        }
+      }
+    };
+  }
+
   /**
    * Get item by ID
    */
@@ -563,6 +623,63 @@ export class MockApiService {
     };
   }
 
+  /**
+   * Tag creation endpoint simulation. A replay with a known Idempotency-Key
+   * gets the original response; another tag with the same name is a 409
+   * carrying the existing tag.
+   */
+  async createTag(tag = {}, idempotencyKey = null) {
+    this.stats.totalRequests++;
+
+    await this.simulateDelay();
+
+    if (idempotencyKey && this.idempotentResponses.has(idempotencyKey)) {
+      this.stats.successfulRequests++;
+      return this.idempotentResponses.get(idempotencyKey);
+    }
+
+    const error = this.simulateError();
+    if (error) {
+      this.stats.failedRequests++;
+      throw error;
+    }
+
+    const name = String(tag.text ?? tag.name ?? '').trim();
+    if (!name) {
+      const invalidError = new Error('Tag name is required');
+      invalidError.status = 422;
+      invalidError.type = 'validation';
+      this.stats.failedRequests++;
+      throw invalidError;
+    }
+
+    const existing = this.tags.get(name.toLowerCase());
+    if (existing) {
+      const conflictError = new Error(`Tag "${name}" already exists`);
+      conflictError.status = 409;
+      conflictError.type = 'conflict';
+      conflictError.existing = existing;
+      this.stats.failedRequests++;
+      throw conflictError;
+    }
+
+    const created = {
+      id: `tag_${this.tags.size + 1}`,
+      name,
+      clientId: tag.value ?? null,
+      createdAt: new Date().toISOString()
+    };
+    this.tags.set(name.toLowerCase(), created);
+
+    const response = { data: created };
+    if (idempotencyKey) {
+      this.idempotentResponses.set(idempotencyKey, response);
+    }
+
+    this.stats.successfulRequests++;
+    return response;
+  }
+
   /**
    * Get available categories
    */
@@ -612,15 +729,179 @@ export class MockApiService {
  */
 export const mockApi = new MockApiService();
 
+/**
+ * Read a fetch body (JSON, form-encoded string, URLSearchParams or FormData)
+ * into a plain object
+ */
+function parseRequestBody(body) {
+  if (!body) return {};
+
+  if (typeof body === 'string') {
+    try {
+      return JSON.parse(body);
+    } catch {
+      return Object.fromEntries(new URLSearchParams(body));
+    }
+  }
+
+  if (body instanceof URLSearchParams || (typeof FormData !== 'undefined' && body instanceof FormData)) {
+    return Object.fromEntries(body);
+  }
+
+  return {};
+}
+
+/**
+ * Small string hash (FNV-1a) for mock ETags
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Answer a request to the mock API as a Response. POST bodies are read like
+ * query params (body fields win). Responses carry an ETag, and a matching
+ * If-None-Match is answered with 304 Not Modified. Shared by the fetch
+ * interceptor and the offline service worker.
+ */
+export async function handleMockApiRequest(url, init = {}, baseURL = '/api') {
+  // Extract API path from URL (handle both relative and absolute URLs)
+  const urlObj = new URL(url, globalThis.location?.origin);
+  const pathname = urlObj.pathname;
+  const apiPath = pathname.replace(baseURL, '').replace(/^\/+/, '');
+  const urlParams = urlObj.searchParams;
+  const method = (init.method || 'GET').toUpperCase();
+  const body = method === 'GET' ? {} : parseRequestBody(init.body);
+  
+  // Body fields first, then the query string; arrays become comma lists
+  const param = (name) => {
+    const value = body[name] ?? urlParams.get(name);
+    return Array.isArray(value) ? value.join(',') : value;
+  };
+  
+  console.log(`[MockAPI] ${method} API Path: ${apiPath}`);
+  
+  try {
+    let mockResponse;
+    
+    if (apiPath === 'search') {
+      // Handle search endpoint
+      const query = param('q') || param('query') || '';
+      const options = {
+        page: param('page'),
+        offset: param('offset'),
+        limit: param('limit'),
+        sortBy: param('sortBy'),
+        sortOrder: param('sortOrder'),
+        category: param('category'),
+        difficulty: param('difficulty')
+      };
+      
+      mockResponse = await mockApi.search(query, options);
+      
+    } else if (apiPath === 'graphql') {
+      // Handle GraphQL endpoint ({ query, variables } body, or ?query= for GET)
+      let variables = body.variables ?? urlParams.get('variables') ?? {};
+      if (typeof variables === 'string') {
+        variables = JSON.parse(variables);
+      }
+      
+      mockResponse = await mockApi.graphql(body.query ?? urlParams.get('query') ?? '', variables);
+      
+    } else if (apiPath === 'categories') {
+      // Handle categories endpoint
+      mockResponse = await mockApi.getCategories();
+      
+    } else if (apiPath === 'tags' && method === 'POST') {
+      // Handle tag creation (replayed from the offline outbox)
+      mockResponse = await mockApi.createTag(body, getHeader(init.headers, 'Idempotency-Key'));
+      
+    } else if (apiPath.match(/^items?\/(.+)$/)) {
+      // Handle get by ID endpoint
+      const id = apiPath.match(/^items?\/(.+)$/)[1];
+      mockResponse = await mockApi.getById(id);
+      
+    } else if (apiPath === 'stats') {
+      // Handle stats endpoint
+      mockResponse = { data: mockApi.getStats() };
+      
+    } else if (apiPath === 'ping') {
+      // Handle ping endpoint for connection testing
+      mockResponse = { status: 'ok', timestamp: new Date().toISOString() };
+      
+    } else {
+      // Unknown endpoint
+      throw new Error(`Unknown API endpoint: ${apiPath}`);
+    }
+
+    // ETag over the stable part of the payload (meta changes every time)
+    const stable = mockResponse.items
+      ? { items: mockResponse.items, pagination: mockResponse.pagination, facets: mockResponse.facets }
+      : mockResponse;
+    const etag = `W/"${hashString(JSON.stringify(stable))}"`;
+    
+    if (getHeader(init.headers, 'If-None-Match') === etag) {
+      return new Response(null, {
+        status: 304,
+        statusText: 'Not Modified',
+        headers: { 'ETag': etag, 'X-Mock-API': 'true' }
+      });
+    }
+
+    // Return mock response as a proper Response object
+    return new Response(JSON.stringify(mockResponse), {
+      status: 200,
+      statusText: 'OK',
+      headers: {
+        'Content-Type': 'application/json',
+        'ETag': etag,
+        'X-Mock-API': 'true'
+      }
+    });
+
+  } catch (error) {
+    // Return error response
+    const errorResponse = {
+      error: {
+        message: error.message,
+        type: error.type || 'unknown',
+        timestamp: new Date().toISOString(),
+        ...(error.existing ? { existing: error.existing } : {})
+      }
+    };
+
+    return new Response(JSON.stringify(errorResponse), {
+      status: error.status || 500,
+      statusText: error.message,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Mock-API': 'true',
+        'X-Mock-Error': 'true',
+        // Simulated rate limits tell the client when to come back
+        ...(error.status === 429 ? { 'Retry-After': '2', 'X-RateLimit-Remaining': '0' } : {})
+      }
+    });
+  }
+}
+
+// fetch as it was before the interceptor replaced it
+let fetchBeforeInterceptor = null;
+
 /**
  * Fetch interceptor for development
- * Intercepts requests to /api/* and redirects to mock API
+ * Intercepts requests to /api/* and redirects to mock API.
  */
 export function setupMockApiInterceptor(baseURL = '/api') {
   if (typeof window === 'undefined') return;
 
   // Store original fetch
   const originalFetch = window.fetch;
+  fetchBeforeInterceptor = originalFetch;
 
   // Override fetch for API calls
   window.fetch = async function(input, init = {}) {
@@ -629,84 +910,7 @@ export function setupMockApiInterceptor(baseURL = '/api') {
     // Check if this is an API call we should mock (handle both relative and absolute URLs)
     if (url.includes(baseURL)) {
       console.log(`[MockAPI] Intercepting: ${url}`);
-      
-      // Extract API path from URL (handle both relative and absolute URLs)
-      const urlObj = new URL(url, window.location.origin);
-      const pathname = urlObj.pathname;
-      const apiPath = pathname.replace(baseURL, '').replace(/^\/+/, '');
-      const urlParams = urlObj.searchParams;
-      
-      console.log(`[MockAPI] API Path: ${apiPath}`);
-      
-      try {
-        let mockResponse;
-        
-        if (apiPath === 'search') {
-          // Handle search endpoint
-          const query = urlParams.get('q') || urlParams.get('query') || '';
-          const options = {
-            page: urlParams.get('page'),
-            limit: urlParams.get('limit'),
-            sortBy: urlParams.get('sortBy'),
-            sortOrder: urlParams.get('sortOrder'),
-            category: urlParams.get('category'),
-            difficulty: urlParams.get('difficulty')
-          };
-          
-          mockResponse = await mockApi.search(query, options);
-          
-        } else if (apiPath === 'categories') {
-          // Handle categories endpoint
-          mockResponse = await mockApi.getCategories();
-          
-        } else if (apiPath.match(/^items?\/(.+)$/)) {
-          // Handle get by ID endpoint
-          const id = apiPath.match(/^items?\/(.+)$/)[1];
-          mockResponse = await mockApi.getById(id);
-          
-        } else if (apiPath === 'stats') {
-          // Handle stats endpoint
-          mockResponse = { data: mockApi.getStats() };
-          
-        } else if (apiPath === 'ping') {
-          // Handle ping endpoint for connection testing
-          mockResponse = { status: 'ok', timestamp: new Date().toISOString() };
-          
-        } else {
-          // Unknown endpoint
-          throw new Error(`Unknown API endpoint: ${apiPath}`);
-        }
-
-        // Return mock response as a proper Response object
-        return new Response(JSON.stringify(mockResponse), {
-          status: 200,
-          statusText: 'OK',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Mock-API': 'true'
-          }
-        });
-
-      } catch (error) {
-        // Return error response
-        const errorResponse = {
-          error: {
-            message: error.message,
-            type: error.type || 'unknown',
-            timestamp: new Date().toISOString()
-          }
-        };
-
-        return new Response(JSON.stringify(errorResponse), {
-          status: error.status || 500,
-          statusText: error.message,
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Mock-API': 'true',
-            'X-Mock-Error': 'true'
-          }
-        });
-      }
+      return handleMockApiRequest(url, init, baseURL);
     }
 
     // For non-API calls, use original fetch
@@ -716,6 +920,17 @@ export function setupMockApiInterceptor(baseURL = '/api') {
   console.log('[MockAPI] Interceptor setup complete. API calls to', baseURL, 'will be mocked.');
 }
 
+/**
+ * Restore the original fetch, e.g. once a service worker answers API calls
+ */
+export function removeMockApiInterceptor() {
+  if (typeof window === 'undefined' || !fetchBeforeInterceptor) return;
+
+  window.fetch = fetchBeforeInterceptor;
+  fetchBeforeInterceptor = null;
+  console.log('[MockAPI] Interceptor removed');
+}
+
 /**
  * Initialize mock API for development
  */
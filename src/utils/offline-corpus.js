@@ -0,0 +1,196 @@
+/**
+ * Offline Corpus
+ * Every item a remote select has received, deduped by value and kept in
+ * least-recently-seen order up to a size cap, so offline searches can cover
+ * more than the static fallback file. Persisted to localStorage.
+ */
+import { parseQuery, matchesQuery } from './query-parser.js';
+import { matchesFacets } from './facets.js';
+
+export class OfflineCorpus {
+  constructor(options = {}) {
+    this.options = {
+      storageKey: 'tom_select_corpus',
+      valueField: 'id',
+      maxItems: 1000,
+      persistDelay: 500,     // Batch writes while pages stream in
+      ...options
+    };
+    
+    this.items = new Map(); // value -> item, least recently seen first
+    this.persistTimer = null;
+    
+    this.stats = {
+      added: 0,
+      updated: 0,
+      evicted: 0,
+      searches: 0
+    };
+    
+    this.load();
+  }
+  
+  get size() {
+    return this.items.size;
+  }
+  
+  /**
+   * Add or refresh items (the latest copy wins) and mark them as just seen
+   */
+  add(items) {
+    const valueField = this.options.valueField;
+    let changed = false;
+    
+    (items || []).forEach(item => {
+      const value = item?.[valueField];
+      if (value === undefined || value === null || value === '') return;
+      
+      const { cached, $order, $id, ...stored } = item;
+      const key = String(value);
+      
+      if (this.items.has(key)) {
+        this.items.delete(key);
+        this.stats.updated++;
+      } else {
+        this.stats.added++;
+      }
+      
+      this.items.set(key, stored);
+      changed = true;
+    });
+    
+    if (!changed) return;
+    
+    this.evict();
+    this.schedulePersist();
+  }
+  
+  /**
+   * Mark items as just used (e.g. selected) so they outlive unused ones
+   */
+  touch(values) {
+    [].concat(values).forEach(value => {
+      const key = String(value);
+      const item = this.items.get(key);
+      
+      if (item) {
+        this.items.delete(key);
+        this.items.set(key, item);
+      }
+    });
+    
+    this.schedulePersist();
+  }
+  
+  evict() {
+    while (this.items.size > this.options.maxItems) {
+      this.items.delete(this.items.keys().next().value);
+      this.stats.evicted++;
+    }
+  }
+  
+  /**
+   * Items matching a query's filters and a facet selection, most recently
+   * seen first. Free text is left to `rank(items, text)`, which should score
+   * the way the online results are scored, and drop non-matches.
+   * `queryFields` limits which `field:value` tokens filter (see parseQuery).
+   */
+  search(query = '', { facets = null, queryAliases = null, queryFields = null, rank = null, limit = null } = {}) {
+    this.stats.searches++;
+    
+    const structured = parseQuery(query, { aliases: queryAliases, fields: queryFields || undefined });
+    let results = [...this.items.values()]
+      .reverse()
+      .filter(item => matchesQuery(item, structured) && matchesFacets(item, facets));
+    
+    if (rank) {
+      results = rank(results, structured.text);
+    }
+    
+    return limit ? results.slice(0, limit) : results;
+  }
+  
+  clear() {
+    this.items.clear();
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    
+    try {
+      window.localStorage.removeItem(this.options.storageKey);
+    } catch (error) {
+      console.warn('[OfflineCorpus] Failed to clear:', error);
+    }
+  }
+  
+  load() {
+    try {
+      const saved = typeof window !== 'undefined' && window.localStorage?.getItem(this.options.storageKey);
+      if (!saved) return;
+      
+      // Stored least recently seen first
+      JSON.parse(saved).forEach(item => {
+        this.items.set(String(item[this.options.valueField]), item);
+      });
+      this.evict();
+    } catch (error) {
+      console.warn('[OfflineCorpus] Failed to load:', error);
+    }
+  }
+  
+  schedulePersist() {
+    if (this.persistTimer) return;
+    
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist();
+    }, this.options.persistDelay);
+  }
+  
+  /**
+   * Write the corpus now. On a quota error the older half is dropped and
+   * the write retried once.
+   */
+  persist() {
+    if (typeof window === 'undefined' || !window.localStorage) return;
+    
+    const write = () => window.localStorage.setItem(this.options.storageKey, JSON.stringify([...this.items.values()]));
+    
+    try {
+      write();
+    } catch (error) {
+      if (error.name !== 'QuotaExceededError') {
+        console.warn('[OfflineCorpus] Failed to save:', error);
+        return;
+      }
+      
+      const keep = [...this.items].slice(Math.floor(this.items.size / 2));
+      this.stats.evicted += this.items.size - keep.length;
+      this.items = new Map(keep);
+      
+      try {
+        write();
+      } catch (retryError) {
+        console.warn('[OfflineCorpus] Storage quota exceeded, corpus not saved:', retryError);
+      }
+    }
+  }
+  
+  /**
+   * Write pending changes and stop the timer
+   */
+  flush() {
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+      this.persist();
+    }
+  }
+  
+  getStats() {
+    return {
+      ...this.stats,
+      size: this.items.size,
+      maxItems: this.options.maxItems
+    };
+  }
+}
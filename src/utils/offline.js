@@ -2,6 +2,13 @@
  * Offline Support for Tom-Select Remote Data
  * Provides network detection, fallback data, and sync capabilities
  */
+import { parseQuery, matchesQuery } from './query-parser.js';
+import { OutboxStore } from './outbox-store.js';
+import { getRetryAfter } from './rate-limiter.js';
+
+// Outbox entries being replayed by any manager on this page
+const replayingEntries = new Set();
+
 export class OfflineManager {
   constructor(options = {}) {
     // Configuration
@@ -10,10 +17,22 @@ export class OfflineManager {
     this.cacheKey = options.cacheKey || 'offline_fallback_data';
     this.notifyUser = options.notifyUser !== false;
     
+    // Outbox replay
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryBaseDelay = options.retryBaseDelay || 1000;
+    this.retryMaxDelay = options.retryMaxDelay || 5 * 60 * 1000;
+    this.outbox = new OutboxStore({ dbName: options.outboxName || 'tom-select-outbox' });
+    
     // State
     this.isOnline = navigator.onLine;
     this.fallbackData = null;
     this.pendingRequests = [];
+    this.deadLetters = [];
+    this.replayHandlers = new Map();
+    this.replayCallbacks = new Map(); // Entry id -> onSuccess (legacy, this session only)
+    this.writes = new Map(); // Entry id -> pending outbox write
+    this.replaying = null;
+    this.replayTimer = null;
     this.listeners = new Map();
     
     // Initialize
@@ -27,6 +46,9 @@ export class OfflineManager {
     // Load fallback data
     this.loadFallbackData();
     
+    // Restore requests queued in earlier sessions
+    this.ready = this.restoreOutbox();
+    
     // Setup network status listeners
     this.setupNetworkListeners();
     
@@ -142,7 +164,8 @@ export class OfflineManager {
   }
 
   /**
-   * Get fallback data for offline queries
+   * Get fallback data for offline queries. The query may use the query
+   * language (`lang:rust stars:>10000 -deprecated`), same as online searches.
    */
   getFallbackData(query = '', options = {}) {
     if (!this.fallbackData) {
@@ -153,16 +176,36 @@ export class OfflineManager {
       ? this.fallbackData 
       : this.fallbackData.items || [];
     
-    // Filter by query if provided
-    if (query) {
-      const searchTerm = query.toLowerCase();
-      data = data.filter(item => {
-        const searchFields = options.searchFields || ['name', 'title', 'text', 'value'];
-        
-        return searchFields.some(field => {
-          const value = item[field];
-          return value && String(value).toLowerCase().includes(searchTerm);
-        });
+    const searchFields = options.searchFields || ['name', 'title', 'text', 'value'];
+    const structured = parseQuery(query, {
+      aliases: options.queryAliases,
+      fields: options.queryFields || searchFields
+    });
+    
+    // Apply field filters, phrases and exclusions
+    data = data.filter(item => matchesQuery(item, structured));
+    
+    // Filter by free text if provided
+    if (structured.text) {
+      const searchTerm = structured.text.toLowerCase();
+      data = data.filter(item => searchFields.some(field => {
+        const value = item[field];
+        return value && String(value).toLowerCase().includes(searchTerm);
+      }));
+    }
+    
+    // Sort results (a typed `sort:field` directive wins), before paginating
+    const sortField = structured.sort ? structured.sort.field : options.sortField;
+    const sortDirection = structured.sort ? structured.sort.order : options.sortDirection;
+    
+    if (sortField) {
+      data = [...data].sort((a, b) => {
+        const aVal = a[sortField] ?? '';
+        const bVal = b[sortField] ?? '';
+        const comparison = typeof aVal === 'number' && typeof bVal === 'number'
+          ? aVal - bVal
+          : String(aVal).localeCompare(String(bVal));
+        return sortDirection === 'desc' ? -comparison : comparison;
       });
     }
     
@@ -172,17 +215,6 @@ export class OfflineManager {
       data = data.slice(offset, offset + options.limit);
     }
     
-    // Sort results
-    if (options.sortField) {
-      data.sort((a, b) => {
-        const aVal = a[options.sortField] || '';
-        const bVal = b[options.sortField] || '';
-        return options.sortDirection === 'desc' 
-          ? bVal.localeCompare(aVal)
-          : aVal.localeCompare(bVal);
-      });
-    }
-    
     return data;
   }
 
@@ -200,69 +232,324 @@ export class OfflineManager {
   }
 
   /**
-   * Queue request for when connection is restored
+   * Register how entries queued under `name` are replayed. Register handlers
+   * at startup: queued entries wait (across reloads) until their handler
+   * exists. A handler is a function or an object with:
+   *   request(payload, entry)      -> { url, options } (null drops the entry)
+   *   onSuccess(data, entry)       after the server accepted the request
+   *   onConflict(response, entry)  on 409/412; truthy resolves the entry,
+   *                                otherwise it is dead-lettered
+   */
+  registerReplayHandler(name, handler) {
+    this.replayHandlers.set(name, typeof handler === 'function' ? { request: handler } : handler);
+    
+    if (this.pendingRequests.some(entry => entry.handler === name)) {
+      this.scheduleReplay();
+    }
+  }
+
+  unregisterReplayHandler(name) {
+    this.replayHandlers.delete(name);
+  }
+
+  /**
+   * Queue a mutation for a named replay handler. It is sent right away when
+   * online and kept in the outbox until the server accepts it. Every replay
+   * of the entry carries the same Idempotency-Key header.
+   */
+  enqueue(handler, payload, options = {}) {
+    return this.addEntry({
+      handler,
+      payload,
+      idempotencyKey: options.idempotencyKey
+    });
+  }
+
+  /**
+   * Queue request for when connection is restored. `{ url, options }` is
+   * replayed verbatim; `onSuccess` only survives until a reload, so prefer
+   * `enqueue` with a registered handler.
    */
   queueRequest(request) {
-    this.pendingRequests.push({
-      ...request,
-      timestamp: Date.now(),
-      id: this.generateRequestId()
+    if (request.handler) {
+      return this.enqueue(request.handler, request.payload, request);
+    }
+    
+    const entry = this.addEntry({
+      url: request.url,
+      options: toStorableOptions(request.options),
+      idempotencyKey: request.idempotencyKey
     });
     
-    console.log(`Queued request for sync: ${request.url}`);
+    if (request.onSuccess) {
+      this.replayCallbacks.set(entry.id, request.onSuccess);
+    }
     
-    // Save to localStorage
-    this.savePendingRequests();
+    return entry;
+  }
+
+  addEntry(fields) {
+    const entry = {
+      handler: null,
+      payload: null,
+      url: null,
+      options: null,
+      ...fields,
+      id: this.generateRequestId(),
+      idempotencyKey: fields.idempotencyKey || this.generateIdempotencyKey(),
+      attempts: 0,
+      nextAttemptAt: 0,
+      status: 'pending',
+      lastError: null,
+      timestamp: Date.now()
+    };
+    
+    this.pendingRequests.push(entry);
+    this.persistEntry(entry);
+    
+    console.log(`Queued request for sync: ${entry.handler || entry.url}`);
+    this.notifyListeners('queued', { entry });
+    
+    if (this.isOnline) {
+      this.scheduleReplay();
+    }
+    
+    return entry;
   }
 
   /**
-   * Process pending requests when back online
+   * Replay due outbox entries in the order they were queued. Failed entries
+   * back off exponentially (or for the server's Retry-After) and are
+   * dead-lettered after `maxAttempts`.
    */
-  async processPendingRequests() {
-    if (this.pendingRequests.length === 0) return;
+  processPendingRequests() {
+    if (!this.replaying) {
+      this.replaying = this.replayDueEntries().finally(() => {
+        this.replaying = null;
+        this.scheduleReplay();
+      });
+    }
+    
+    return this.replaying;
+  }
+
+  async replayDueEntries() {
+    await this.ready;
     
-    console.log(`Processing ${this.pendingRequests.length} pending requests`);
+    const now = Date.now();
+    const due = this.pendingRequests.filter(entry => entry.nextAttemptAt <= now && this.canReplay(entry));
+    if (due.length === 0) return;
     
-    const processed = [];
-    const failed = [];
+    console.log(`Processing ${due.length} pending requests`);
     
-    for (const request of this.pendingRequests) {
-      try {
-        // Execute the request
-        const response = await fetch(request.url, request.options);
-        
-        if (response.ok) {
-          processed.push(request);
-          
-          // Call success callback if provided
-          if (request.onSuccess) {
-            const data = await response.json();
-            request.onSuccess(data);
-          }
-        } else {
-          failed.push(request);
-        }
-      } catch (error) {
-        console.error(`Failed to process pending request:`, error);
-        failed.push(request);
+    let replayed = 0;
+    
+    for (const entry of due) {
+      if (!this.isOnline) break;
+      
+      if (await this.replayEntry(entry)) {
+        replayed++;
       }
     }
     
-    // Update pending requests
-    this.pendingRequests = failed;
-    this.savePendingRequests();
-    
     // Notify user
-    if (this.notifyUser && processed.length > 0) {
+    if (this.notifyUser && replayed > 0) {
       this.showNotification(
-        `Synced ${processed.length} pending ${processed.length === 1 ? 'request' : 'requests'}`,
+        `Synced ${replayed} pending ${replayed === 1 ? 'request' : 'requests'}`,
         'success'
       );
     }
+  }
+
+  /**
+   * Whether an entry's handler is known (legacy entries need none)
+   */
+  canReplay(entry) {
+    return entry.handler ? this.replayHandlers.has(entry.handler) : Boolean(entry.url);
+  }
+
+  /**
+   * Send one entry. Resolves true when it left the outbox successfully.
+   */
+  async replayEntry(entry) {
+    if (replayingEntries.has(entry.id)) return false;
+    replayingEntries.add(entry.id);
+    
+    try {
+      // Another manager (or tab) may have replayed it already
+      await this.writes.get(entry.id);
+      if (!(await this.outbox.get(entry.id))) {
+        this.forgetEntry(entry);
+        return false;
+      }
+      
+      const handler = entry.handler ? this.replayHandlers.get(entry.handler) : null;
+      const request = handler
+        ? await handler.request(entry.payload, entry)
+        : { url: entry.url, options: entry.options };
+      
+      if (!request) {
+        await this.removeEntry(entry);
+        this.notifyListeners('replayed', { entry, data: null, skipped: true });
+        return true;
+      }
+      
+      entry.attempts++;
+      
+      let response;
+      try {
+        response = await fetch(request.url, withIdempotencyKey(request.options, entry.idempotencyKey));
+      } catch (error) {
+        await this.handleReplayFailure(entry, error, { retryable: true });
+        return false;
+      }
+      
+      if (response.ok) {
+        const data = await readResponseData(response);
+        await this.removeEntry(entry);
+        
+        // The server accepted it: a failing callback must not retry the entry
+        try {
+          await handler?.onSuccess?.(data, entry);
+          this.replayCallbacks.get(entry.id)?.(data);
+        } catch (error) {
+          console.error(`Success callback for request ${entry.id} failed:`, error);
+        }
+        this.replayCallbacks.delete(entry.id);
+        
+        this.notifyListeners('replayed', { entry, data });
+        return true;
+      }
+      
+      const error = new Error(`Replay failed: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      
+      if (response.status === 409 || response.status === 412) {
+        const resolution = handler?.onConflict ? await handler.onConflict(response, entry) : null;
+        
+        if (resolution) {
+          await this.removeEntry(entry);
+          this.notifyListeners('replayed', { entry, data: resolution === true ? null : resolution, conflict: true });
+          return true;
+        }
+        
+        await this.handleReplayFailure(entry, error, { retryable: false });
+        return false;
+      }
+      
+      await this.handleReplayFailure(entry, error, {
+        retryable: response.status >= 500 || response.status === 408 || response.status === 429,
+        retryAfter: getRetryAfter(response.headers)
+      });
+      return false;
+      
+    } catch (error) {
+      console.error('Failed to process pending request:', error);
+      await this.handleReplayFailure(entry, error, { retryable: true });
+      return false;
+    } finally {
+      replayingEntries.delete(entry.id);
+    }
+  }
+
+  /**
+   * Back off a failed entry, or dead-letter it once it can't succeed
+   */
+  async handleReplayFailure(entry, error, { retryable, retryAfter = null }) {
+    entry.lastError = error.message;
     
-    if (failed.length > 0) {
-      console.warn(`Failed to sync ${failed.length} requests`);
+    if (!retryable || entry.attempts >= this.maxAttempts) {
+      entry.status = 'dead';
+      entry.deadLetteredAt = Date.now();
+      
+      this.pendingRequests = this.pendingRequests.filter(other => other.id !== entry.id);
+      this.deadLetters.push(entry);
+      await this.persistEntry(entry);
+      
+      console.warn(`Dead-lettered request ${entry.id} after ${entry.attempts} attempts: ${error.message}`);
+      this.notifyListeners('failed', { entry, error, deadLettered: true });
+      return;
     }
+    
+    const retryIn = this.getReplayDelay(entry.attempts, retryAfter);
+    entry.nextAttemptAt = Date.now() + retryIn;
+    await this.persistEntry(entry);
+    
+    console.warn(`Request ${entry.id} failed (attempt ${entry.attempts}/${this.maxAttempts}), retrying in ${Math.round(retryIn / 1000)}s`);
+    this.notifyListeners('failed', { entry, error, deadLettered: false, retryIn });
+  }
+
+  /**
+   * Exponential backoff with jitter; a server Retry-After takes precedence
+   */
+  getReplayDelay(attempts, retryAfter = null) {
+    if (retryAfter !== null) return retryAfter;
+    
+    const delay = Math.min(this.retryBaseDelay * Math.pow(2, attempts - 1), this.retryMaxDelay);
+    return delay + Math.random() * this.retryBaseDelay;
+  }
+
+  /**
+   * Replay again when the next entry is due (while online)
+   */
+  scheduleReplay() {
+    clearTimeout(this.replayTimer);
+    this.replayTimer = null;
+    
+    if (!this.isOnline || !this.syncOnReconnect) return;
+    
+    const due = this.pendingRequests
+      .filter(entry => this.canReplay(entry))
+      .map(entry => entry.nextAttemptAt);
+    
+    if (due.length === 0) return;
+    
+    this.replayTimer = setTimeout(() => {
+      this.replayTimer = null;
+      this.processPendingRequests();
+    }, Math.max(0, Math.min(...due) - Date.now()));
+  }
+
+  /**
+   * Put a dead-lettered entry back in the queue with fresh attempts
+   */
+  async retryDeadLetter(id) {
+    const entry = this.deadLetters.find(other => other.id === id);
+    if (!entry) return false;
+    
+    this.deadLetters = this.deadLetters.filter(other => other !== entry);
+    Object.assign(entry, { status: 'pending', attempts: 0, nextAttemptAt: 0, deadLetteredAt: undefined });
+    
+    this.pendingRequests.push(entry);
+    await this.persistEntry(entry);
+    this.scheduleReplay();
+    
+    return true;
+  }
+
+  async discardDeadLetter(id) {
+    const entry = this.deadLetters.find(other => other.id === id);
+    if (!entry) return false;
+    
+    await this.removeEntry(entry);
+    return true;
+  }
+
+  getDeadLetters() {
+    return [...this.deadLetters];
+  }
+
+  /**
+   * Drop every queued and dead-lettered entry
+   */
+  async clearOutbox() {
+    this.pendingRequests = [];
+    this.deadLetters = [];
+    this.replayCallbacks.clear();
+    clearTimeout(this.replayTimer);
+    
+    await this.ready;
+    await this.outbox.clear();
   }
 
   /**
@@ -412,36 +699,101 @@ export class OfflineManager {
     return null;
   }
 
+  // Outbox persistence
+
   /**
-   * Save pending requests to localStorage
+   * Load the outbox, moving over requests queued in localStorage by
+   * earlier versions
    */
-  savePendingRequests() {
+  async restoreOutbox() {
     try {
-      if (typeof window !== 'undefined' && window.localStorage) {
-        window.localStorage.setItem(
-          'offline_pending_requests',
-          JSON.stringify(this.pendingRequests)
-        );
+      await this.outbox.open();
+      
+      const legacy = this.loadPendingRequests();
+      for (const request of legacy) {
+        await this.outbox.put({
+          handler: null,
+          payload: null,
+          url: request.url,
+          options: toStorableOptions(request.options),
+          id: request.id || this.generateRequestId(),
+          idempotencyKey: this.generateIdempotencyKey(),
+          attempts: 0,
+          nextAttemptAt: 0,
+          status: 'pending',
+          lastError: null,
+          timestamp: request.timestamp || Date.now()
+        });
       }
+      
+      const stored = await this.outbox.getAll();
+      const known = new Set([...this.pendingRequests, ...this.deadLetters].map(entry => entry.id));
+      
+      stored.filter(entry => !known.has(entry.id)).forEach(entry => {
+        (entry.status === 'dead' ? this.deadLetters : this.pendingRequests).push(entry);
+      });
+      this.pendingRequests.sort((a, b) => a.timestamp - b.timestamp);
+      
+      if (stored.length > 0) {
+        console.log(`Restored ${stored.length} outbox entries`);
+      }
+    } catch (error) {
+      console.warn('Failed to restore outbox:', error);
+    }
+    
+    this.scheduleReplay();
+  }
+
+  persistEntry(entry) {
+    const write = (this.writes.get(entry.id) || this.ready).then(async () => {
+      // Dropped while waiting for the store
+      if (!this.pendingRequests.includes(entry) && !this.deadLetters.includes(entry)) return;
+      
+      await this.outbox.put(entry);
+    }).catch(error => {
+      console.warn('Failed to save pending request:', error);
+    });
+    
+    this.writes.set(entry.id, write);
+    write.then(() => {
+      if (this.writes.get(entry.id) === write) this.writes.delete(entry.id);
+    });
+    
+    return write;
+  }
+
+  async removeEntry(entry) {
+    this.forgetEntry(entry);
+    
+    try {
+      await this.writes.get(entry.id);
+      await this.outbox.delete(entry.id);
     } catch (error) {
-      console.warn('Failed to save pending requests:', error);
+      console.warn('Failed to remove pending request:', error);
     }
   }
 
+  forgetEntry(entry) {
+    this.pendingRequests = this.pendingRequests.filter(other => other.id !== entry.id);
+    this.deadLetters = this.deadLetters.filter(other => other.id !== entry.id);
+  }
+
   /**
-   * Load pending requests from localStorage
+   * Read (and clear) requests queued in localStorage by earlier versions
    */
   loadPendingRequests() {
     try {
       if (typeof window !== 'undefined' && window.localStorage) {
         const saved = window.localStorage.getItem('offline_pending_requests');
         if (saved) {
-          this.pendingRequests = JSON.parse(saved);
+          window.localStorage.removeItem('offline_pending_requests');
+          return JSON.parse(saved);
         }
       }
     } catch (error) {
       console.warn('Failed to load pending requests:', error);
     }
+    return [];
   }
 
   /**
@@ -451,6 +803,10 @@ export class OfflineManager {
     return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  generateIdempotencyKey() {
+    return globalThis.crypto?.randomUUID ? globalThis.crypto.randomUUID() : this.generateRequestId();
+  }
+
   /**
    * Get connection status
    */
@@ -458,6 +814,9 @@ export class OfflineManager {
     return {
       isOnline: this.isOnline,
       pendingRequests: this.pendingRequests.length,
+      deadLetters: this.deadLetters.length,
+      replaying: Boolean(this.replaying),
+      persistentOutbox: this.outbox.db !== null,
       hasFallbackData: !!this.fallbackData,
       fallbackDataCount: this.fallbackData ? 
         (Array.isArray(this.fallbackData) ? this.fallbackData.length : 
@@ -478,11 +837,45 @@ export class OfflineManager {
       clearInterval(this.connectionCheckInterval);
     }
     
+    clearTimeout(this.replayTimer);
+    this.outbox.close();
+    
     // Clear listeners
     this.listeners.clear();
   }
 }
 
+/**
+ * Request options that survive a trip through IndexedDB (plain headers, no
+ * signal)
+ */
+function toStorableOptions(options = {}) {
+  const { signal, headers, ...rest } = options || {};
+  
+  return {
+    ...rest,
+    headers: headers && typeof headers.entries === 'function' ? Object.fromEntries(headers.entries()) : { ...headers }
+  };
+}
+
+function withIdempotencyKey(options = {}, key) {
+  return {
+    ...options,
+    headers: { ...options.headers, 'Idempotency-Key': key }
+  };
+}
+
+async function readResponseData(response) {
+  const text = await response.text();
+  if (!text) return null;
+  
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
 // Export singleton instance
 export const offlineManager = new OfflineManager({
   fallbackDataUrl: '/data/fallback.json',
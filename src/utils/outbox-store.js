@@ -0,0 +1,137 @@
+/**
+ * Outbox Store
+ * Durable storage for OfflineManager's queued mutations, so requests made
+ * offline survive a reload. Uses IndexedDB, or localStorage where IndexedDB
+ * is unavailable.
+ */
+import { requestToPromise, transactionDone } from './chunk-store.js';
+
+const DB_VERSION = 1;
+const ENTRIES_STORE = 'entries'; // { id, handler, payload, idempotencyKey, attempts, nextAttemptAt, status, lastError, timestamp }
+
+export class OutboxStore {
+  constructor(options = {}) {
+    this.options = {
+      dbName: 'tom-select-outbox',
+      fallbackKey: 'offline_outbox', // localStorage key without IndexedDB
+      ...options
+    };
+
+    this.db = null;
+  }
+
+  /**
+   * Open (and create) the database. Resolves false when falling back to
+   * localStorage.
+   */
+  async open() {
+    if (this.db) return true;
+    if (typeof indexedDB === 'undefined') return false;
+
+    try {
+      const request = indexedDB.open(this.options.dbName, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+
+        if (!db.objectStoreNames.contains(ENTRIES_STORE)) {
+          db.createObjectStore(ENTRIES_STORE, { keyPath: 'id' });
+        }
+      };
+
+      this.db = await requestToPromise(request);
+      this.db.onversionchange = () => this.close();
+
+      return true;
+    } catch (error) {
+      console.warn('[OutboxStore] IndexedDB unavailable, using localStorage:', error);
+      this.db = null;
+      return false;
+    }
+  }
+
+  /**
+   * Every entry, oldest first
+   */
+  async getAll() {
+    const entries = this.db
+      ? await requestToPromise(this.db.transaction(ENTRIES_STORE).objectStore(ENTRIES_STORE).getAll())
+      : this.readFallback();
+
+    return entries.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  async get(id) {
+    if (!this.db) {
+      return this.readFallback().find(entry => entry.id === id) || null;
+    }
+
+    return (await requestToPromise(this.db.transaction(ENTRIES_STORE).objectStore(ENTRIES_STORE).get(id))) || null;
+  }
+
+  /**
+   * Insert or replace an entry
+   */
+  async put(entry) {
+    if (!this.db) {
+      this.writeFallback([...this.readFallback().filter(other => other.id !== entry.id), entry]);
+      return;
+    }
+
+    const transaction = this.db.transaction(ENTRIES_STORE, 'readwrite');
+    transaction.objectStore(ENTRIES_STORE).put(entry);
+    await transactionDone(transaction);
+  }
+
+  async delete(id) {
+    if (!this.db) {
+      this.writeFallback(this.readFallback().filter(entry => entry.id !== id));
+      return;
+    }
+
+    const transaction = this.db.transaction(ENTRIES_STORE, 'readwrite');
+    transaction.objectStore(ENTRIES_STORE).delete(id);
+    await transactionDone(transaction);
+  }
+
+  async clear() {
+    if (!this.db) {
+      this.writeFallback([]);
+      return;
+    }
+
+    const transaction = this.db.transaction(ENTRIES_STORE, 'readwrite');
+    transaction.objectStore(ENTRIES_STORE).clear();
+    await transactionDone(transaction);
+  }
+
+  readFallback() {
+    try {
+      const saved = typeof localStorage !== 'undefined' ? localStorage.getItem(this.options.fallbackKey) : null;
+      return saved ? JSON.parse(saved) : [];
+    } catch (error) {
+      console.warn('[OutboxStore] Failed to read outbox:', error);
+      return [];
+    }
+  }
+
+  writeFallback(entries) {
+    try {
+      if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(this.options.fallbackKey, JSON.stringify(entries));
+      }
+    } catch (error) {
+      console.warn('[OutboxStore] Failed to save outbox:', error);
+    }
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
@@ -0,0 +1,332 @@
+/**
+ * Query Language Parser
+ * Turns input like `lang:rust stars:>10000 tag:web "user interface" -deprecated`
+ * into a structured query shared by DataProvider, the search worker,
+ * OfflineManager and RemoteSelect
+ */
+
+// Short field names users can type instead of the real item fields
+export const DEFAULT_FIELD_ALIASES = {
+  lang: 'language',
+  tag: 'tags',
+  cat: 'category',
+  level: 'difficulty'
+};
+
+// Filter name reserved for ordering (`sort:stars`, `sort:-stars` for descending)
+const SORT_DIRECTIVE = 'sort';
+
+// [-][field:]("quoted value" | value)
+const TOKEN_PATTERN = /(-)?(?:([A-Za-z_][\w.]*):)?(?:"([^"]*)"?|(\S+))/g;
+const COMPARISON_PATTERN = /^(>=|<=|>|<)(.+)$/;
+const RANGE_PATTERN = /^(.+?)\.\.(.+)$/;
+
+const COMPARISON_OPS = {
+  '>': 'gt',
+  '>=': 'gte',
+  '<': 'lt',
+  '<=': 'lte'
+};
+
+/**
+ * Parse a query string. Options:
+ * - aliases: field alias map (merged over DEFAULT_FIELD_ALIASES)
+ * - fields: if given, only these fields and the alias targets become
+ *   filters; anything else with a colon (`std::vector`, URLs) is kept as
+ *   free text
+ */
+export function parseQuery(input = '', options = {}) {
+  const aliases = { ...DEFAULT_FIELD_ALIASES, ...options.aliases };
+  const allowedFields = options.fields ? new Set([...options.fields, ...Object.values(aliases)]) : null;
+  
+  const query = {
+    raw: input,
+    text: '',
+    terms: [],
+    phrases: [],
+    excludeTerms: [],
+    excludePhrases: [],
+    filters: [],
+    sort: null
+  };
+  
+  TOKEN_PATTERN.lastIndex = 0;
+  let match;
+  
+  while ((match = TOKEN_PATTERN.exec(input)) !== null) {
+    const [token, minus, rawField, quoted, bare] = match;
+    const negate = Boolean(minus);
+    const value = quoted !== undefined ? quoted : bare;
+    
+    if (!token.trim() || value === undefined || value === '') continue;
+    
+    if (rawField) {
+      const field = aliases[rawField.toLowerCase()] || rawField;
+      
+      if (field === SORT_DIRECTIVE && quoted === undefined) {
+        const descending = negate || value.startsWith('-');
+        const sortField = value.replace(/^-/, '');
+        query.sort = { field: aliases[sortField.toLowerCase()] || sortField, order: descending ? 'desc' : 'asc' };
+        continue;
+      }
+      
+      if (!allowedFields || allowedFields.has(field)) {
+        query.filters.push(parseFilter(field, value, quoted !== undefined, negate));
+        continue;
+      }
+      
+      // Not a known field - treat the whole token as text
+      addText(query, quoted !== undefined ? `${rawField}:${quoted}` : `${rawField}:${bare}`, false, negate);
+      continue;
+    }
+    
+    addText(query, value, quoted !== undefined, negate);
+  }
+  
+  query.text = [...query.terms, ...query.phrases].join(' ');
+  
+  return query;
+}
+
+/**
+ * Whether a parsed query carries anything beyond free text
+ */
+export function hasQueryConstraints(query) {
+  return query.filters.length > 0 ||
+         query.phrases.length > 0 ||
+         query.excludeTerms.length > 0 ||
+         query.excludePhrases.length > 0;
+}
+
+/**
+ * Check an item against the filters, phrases and exclusions of a parsed
+ * query. Free-text terms are not checked here - ranking handles them.
+ * Phrases and exclusions look at `options.fields` (dotted paths), or at every
+ * value of the item when no fields are given.
+ */
+export function matchesQuery(item, query, options = {}) {
+  if (!item || !hasQueryConstraints(query)) return true;
+  
+  for (const filter of query.filters) {
+    if (matchesFilter(item, filter) === filter.negate) {
+      return false;
+    }
+  }
+  
+  if (query.phrases.length || query.excludeTerms.length || query.excludePhrases.length) {
+    const text = getSearchableText(item, options.fields);
+    
+    if (!query.phrases.every(phrase => text.includes(normalizeText(phrase)))) {
+      return false;
+    }
+    
+    if (query.excludePhrases.some(phrase => text.includes(normalizeText(phrase)))) {
+      return false;
+    }
+    
+    if (query.excludeTerms.length) {
+      const words = new Set(text.match(/\w+/g) || []);
+      if (query.excludeTerms.some(term => words.has(term.toLowerCase()))) {
+        return false;
+      }
+    }
+  }
+  
+  return true;
+}
+
+/**
+ * Whether every result of `query` is also a result of `broader`: it keeps
+ * all of the broader query's filters, phrases and exclusions, and its free
+ * text extends the broader text ("reac" after "rea"). Assumes the API
+ * matches the text as a substring, like `matchesText`.
+ */
+export function narrowsQuery(query, broader) {
+  const includesAll = (list, required) => required.every(entry => {
+    const key = JSON.stringify(entry);
+    return list.some(other => JSON.stringify(other) === key);
+  });
+  
+  return includesAll(query.filters, broader.filters) &&
+         includesAll(query.phrases, broader.phrases) &&
+         includesAll(query.excludeTerms, broader.excludeTerms) &&
+         includesAll(query.excludePhrases, broader.excludePhrases) &&
+         normalizeText(query.text).startsWith(normalizeText(broader.text));
+}
+
+/**
+ * Check an item against a parsed query's free text (every word,
+ * case-insensitive). With `options.phrase` the whole text must appear in a
+ * single value instead, the way the search API matches it - use that to
+ * narrow a broader API result locally. Looks at `options.fields` or at
+ * every value of the item.
+ */
+export function matchesText(item, query, options = {}) {
+  const text = normalizeText(query.text);
+  if (!text) return true;
+  
+  if (options.phrase) {
+    const values = options.fields
+      ? options.fields.flatMap(field => getPathValues(item, field))
+      : collectValues(item);
+    
+    return values.some(value => normalizeText(value).includes(text));
+  }
+  
+  const searchable = getSearchableText(item, options.fields);
+  return text.split(' ').every(word => searchable.includes(word));
+}
+
+/**
+ * Convert a parsed query into API request params. Equality filters map to
+ * `field=value`; comparisons and ranges to `field_gt`/`field_gte`/`field_lt`/
+ * `field_lte`; negated equality to `field_not`; exclusions to `exclude`.
+ * `paramNames` renames fields for APIs that use different names.
+ */
+export function toRequestParams(query, paramNames = {}) {
+  const params = {};
+  
+  if (query.text) {
+    params.q = query.text;
+  }
+  
+  query.filters.forEach(filter => {
+    const name = paramNames[filter.field] || filter.field;
+    
+    if (filter.op === 'eq') {
+      appendParam(params, filter.negate ? `${name}_not` : name, filter.value);
+    } else if (filter.op === 'range') {
+      appendParam(params, `${name}_gte`, filter.min);
+      appendParam(params, `${name}_lte`, filter.max);
+    } else {
+      appendParam(params, `${name}_${filter.op}`, filter.value);
+    }
+  });
+  
+  const excluded = [...query.excludeTerms, ...query.excludePhrases];
+  if (excluded.length) {
+    params.exclude = excluded.join(',');
+  }
+  
+  if (query.sort) {
+    params.sortBy = paramNames[query.sort.field] || query.sort.field;
+    params.sortOrder = query.sort.order;
+  }
+  
+  return params;
+}
+
+/**
+ * Build a filter from a `field:value` token
+ */
+function parseFilter(field, value, quoted, negate) {
+  if (!quoted) {
+    const comparison = value.match(COMPARISON_PATTERN);
+    if (comparison) {
+      return { field, op: COMPARISON_OPS[comparison[1]], value: comparison[2], negate };
+    }
+    
+    const range = value.match(RANGE_PATTERN);
+    if (range) {
+      return { field, op: 'range', min: range[1], max: range[2], negate };
+    }
+  }
+  
+  return { field, op: 'eq', value, negate };
+}
+
+function addText(query, value, quoted, negate) {
+  if (quoted) {
+    (negate ? query.excludePhrases : query.phrases).push(value);
+  } else {
+    (negate ? query.excludeTerms : query.terms).push(value);
+  }
+}
+
+function appendParam(params, name, value) {
+  params[name] = params[name] === undefined ? value : `${params[name]},${value}`;
+}
+
+/**
+ * Test one filter against every value the item has at the filter's path
+ */
+function matchesFilter(item, filter) {
+  return getPathValues(item, filter.field).some(value => {
+    switch (filter.op) {
+      case 'eq':
+        return compareValues(value, filter.value) === 0;
+      case 'gt':
+        return compareValues(value, filter.value) > 0;
+      case 'gte':
+        return compareValues(value, filter.value) >= 0;
+      case 'lt':
+        return compareValues(value, filter.value) < 0;
+      case 'lte':
+        return compareValues(value, filter.value) <= 0;
+      case 'range':
+        return compareValues(value, filter.min) >= 0 && compareValues(value, filter.max) <= 0;
+      default:
+        return false;
+    }
+  });
+}
+
+/**
+ * Compare numerically when both sides are numbers, otherwise as
+ * case-insensitive strings (ISO dates compare correctly this way)
+ */
+function compareValues(itemValue, filterValue) {
+  const a = Number(itemValue);
+  const b = Number(filterValue);
+  
+  if (itemValue !== '' && filterValue !== '' && !Number.isNaN(a) && !Number.isNaN(b) && typeof itemValue !== 'boolean') {
+    return a - b;
+  }
+  
+  const left = String(itemValue).toLowerCase();
+  const right = String(filterValue).toLowerCase();
+  return left === right ? 0 : (left < right ? -1 : 1);
+}
+
+/**
+ * Resolve a dotted path to a flat list of primitive values
+ */
+function getPathValues(item, path) {
+  let values = [item];
+  
+  path.split('.').forEach(key => {
+    values = values.flatMap(value => {
+      const next = value && typeof value === 'object' ? value[key] : undefined;
+      return Array.isArray(next) ? next : [next];
+    });
+  });
+  
+  return values.filter(value => value !== undefined && value !== null && typeof value !== 'object');
+}
+
+/**
+ * Collect the item's text for phrase and exclusion checks
+ */
+function getSearchableText(item, fields) {
+  const values = fields
+    ? fields.flatMap(field => getPathValues(item, field))
+    : collectValues(item);
+  
+  return normalizeText(values.join(' '));
+}
+
+function collectValues(value, values = []) {
+  if (Array.isArray(value)) {
+    value.forEach(entry => collectValues(entry, values));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(entry => collectValues(entry, values));
+  } else if (value !== undefined && value !== null && typeof value !== 'function') {
+    values.push(value);
+  }
+  
+  return values;
+}
+
+function normalizeText(text) {
+  return String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+}
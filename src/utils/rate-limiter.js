@@ -0,0 +1,167 @@
+/**
+ * Token-bucket rate limiter
+ * Allows bursts of up to `burst` requests, refilling at `rateLimit` requests
+ * per minute. Servers can pause a bucket (Retry-After, X-RateLimit-*), and
+ * buckets are shared per origin so every ApiClient talking to the same API
+ * draws from one budget.
+ */
+import { getHeader } from './response-adapters.js';
+
+const sharedLimiters = new Map(); // origin -> TokenBucket
+
+export class TokenBucket {
+  constructor(options = {}) {
+    this.options = {
+      rateLimit: 100,  // Requests per minute
+      burst: 10,       // Requests allowed back to back
+      origin: null,
+      ...options
+    };
+    
+    this.capacity = Math.max(1, this.options.burst);
+    this.interval = 60000 / Math.max(1, this.options.rateLimit); // ms per token
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    
+    this.stats = {
+      granted: 0,
+      delayed: 0,
+      totalDelay: 0,
+      pauses: 0
+    };
+  }
+  
+  refill(now = Date.now()) {
+    const elapsed = now - this.lastRefill;
+    if (elapsed > 0) {
+      this.tokens = Math.min(this.capacity, this.tokens + elapsed / this.interval);
+      this.lastRefill = now;
+    }
+  }
+  
+  /**
+   * Take a token and return how long (ms) to wait before using it. Tokens
+   * can go negative: later callers queue up behind earlier reservations.
+   */
+  reserve() {
+    const now = Date.now();
+    this.refill(now);
+    
+    this.tokens -= 1;
+    
+    const budgetWait = this.tokens < 0 ? Math.ceil(-this.tokens * this.interval) : 0;
+    const pauseWait = Math.max(0, this.pausedUntil - now);
+    const wait = Math.max(budgetWait, pauseWait);
+    
+    this.stats.granted++;
+    if (wait > 0) {
+      this.stats.delayed++;
+      this.stats.totalDelay += wait;
+    }
+    
+    return wait;
+  }
+  
+  /**
+   * Stop handing out tokens until `until` (ms timestamp)
+   */
+  pauseUntil(until) {
+    if (until > this.pausedUntil) {
+      this.pausedUntil = until;
+      this.stats.pauses++;
+    }
+  }
+  
+  /**
+   * Follow X-RateLimit-Remaining/-Reset: an exhausted server budget pauses
+   * the bucket until the reset, and the local budget never runs ahead of
+   * the server's
+   */
+  applyRateLimitHeaders(headers) {
+    const remaining = parseHeaderNumber(headers, 'X-RateLimit-Remaining');
+    if (remaining === null) return;
+    
+    this.refill();
+    this.tokens = Math.min(this.tokens, remaining);
+    
+    if (remaining <= 0) {
+      const reset = parseRateLimitReset(headers);
+      if (reset) {
+        this.pauseUntil(reset);
+      }
+    }
+  }
+  
+  getStats() {
+    this.refill();
+    
+    return {
+      ...this.stats,
+      origin: this.options.origin,
+      tokens: Math.floor(Math.max(0, this.tokens)),
+      capacity: this.capacity,
+      pausedFor: Math.max(0, this.pausedUntil - Date.now())
+    };
+  }
+}
+
+/**
+ * The bucket shared by every client of an origin. The first client to ask
+ * for an origin decides its rate and burst.
+ */
+export function getSharedRateLimiter(origin, options = {}) {
+  if (!sharedLimiters.has(origin)) {
+    sharedLimiters.set(origin, new TokenBucket({ ...options, origin }));
+  }
+  
+  return sharedLimiters.get(origin);
+}
+
+function parseHeaderNumber(headers, name) {
+  const value = getHeader(headers, name);
+  if (value === null || value === undefined || value === '') return null;
+  
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * X-RateLimit-Reset as a timestamp (ms). Large values are epoch seconds
+ * (GitHub style), small ones seconds from now.
+ */
+export function parseRateLimitReset(headers, now = Date.now()) {
+  const reset = parseHeaderNumber(headers, 'X-RateLimit-Reset');
+  if (reset === null) return null;
+  
+  return reset > 1e9 ? reset * 1000 : now + reset * 1000;
+}
+
+/**
+ * How long (ms) the server asked us to wait: Retry-After (seconds or an
+ * HTTP date), else X-RateLimit-Reset when the budget is exhausted
+ */
+export function getRetryAfter(headers, now = Date.now()) {
+  const retryAfter = getHeader(headers, 'Retry-After');
+  
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - now);
+    }
+  }
+  
+  if (parseHeaderNumber(headers, 'X-RateLimit-Remaining') === 0) {
+    const reset = parseRateLimitReset(headers, now);
+    if (reset) {
+      return Math.max(0, reset - now);
+    }
+  }
+  
+  return null;
+}
@@ -0,0 +1,327 @@
+/**
+ * Response Adapters
+ * Normalize paginated API responses to `{ items, next, total }`, where `next`
+ * is an opaque token for the following page (null on the last page), and turn
+ * that token back into the next request.
+ *
+ * An adapter is an object with:
+ *   parse(data, { headers, params })                -> { items, next, total }
+ *   nextRequest(next, { endpoint, params, body })   -> { endpoint, params, body }
+ *
+ * Tokens go into the JSON body of POST searches and into the query string
+ * otherwise. Built-in adapters are looked up by name; custom adapter objects
+ * may omit `nextRequest` (URL tokens are requested as-is, anything else is
+ * sent as `cursor`).
+ */
+
+/**
+ * Find the item array in the common response shapes: a bare array,
+ * `items` (GitHub style), `results`, `data`
+ */
+export function extractItems(data) {
+  if (Array.isArray(data)) return data;
+  if (!data || typeof data !== 'object') return [];
+  
+  for (const key of ['items', 'results', 'data']) {
+    if (Array.isArray(data[key])) return data[key];
+  }
+  
+  return [];
+}
+
+/**
+ * Read a dotted path (`meta.next_cursor`) from an object
+ */
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * First defined value among several dotted paths
+ */
+function firstValue(object, paths) {
+  for (const path of paths) {
+    const value = getPath(object, path);
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  
+  return undefined;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parse an RFC 5988 Link header into { rel: url }
+ */
+export function parseLinkHeader(header) {
+  const links = {};
+  if (!header) return links;
+  
+  header.split(/,(?=\s*<)/).forEach(part => {
+    const match = part.match(/<([^>]*)>\s*(.*)/);
+    if (!match) return;
+    
+    const rel = match[2].match(/rel\s*=\s*"?([^";]+)"?/i);
+    if (rel) {
+      rel[1].trim().split(/\s+/).forEach(name => {
+        links[name.toLowerCase()] = match[1];
+      });
+    }
+  });
+  
+  return links;
+}
+
+/**
+ * Read a header from a Headers instance or a plain object (any case)
+ */
+export function getHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : null;
+}
+
+/**
+ * Whether a next token is a URL to request directly
+ */
+function isUrlToken(next) {
+  return typeof next === 'string' && /^(https?:\/\/|\/)/.test(next);
+}
+
+/**
+ * Request a URL token verbatim (it already carries every param)
+ */
+function urlRequest(next, { endpoint, params, body = null }) {
+  return isUrlToken(next) ? { endpoint: next, params: {}, body } : { endpoint, params, body };
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Add a page token next to the request's other arguments: the JSON body of
+ * a POST search, otherwise the query string
+ */
+function withToken({ endpoint, params = {}, body = null }, key, value) {
+  if (isPlainObject(body)) {
+    return { endpoint, params, body: { ...body, [key]: value } };
+  }
+  
+  return { endpoint, params: { ...params, [key]: value }, body };
+}
+
+/**
+ * Page numbers: `pagination.hasNext` (mock API), `has_more`, `next_page`
+ */
+export function createPageAdapter({ pageParam = 'page' } = {}) {
+  return {
+    name: 'page',
+    
+    parse(data, { params = {} } = {}) {
+      const items = extractItems(data);
+      const page = toNumber(firstValue(data, ['pagination.page', 'page'])) || toNumber(params[pageParam]) || 1;
+      
+      let hasNext;
+      if (data?.pagination) {
+        hasNext = Boolean(data.pagination.hasNext);
+      } else {
+        hasNext = Boolean(data?.has_more || data?.next_page);
+      }
+      
+      const nextPage = toNumber(data?.next_page);
+      
+      return {
+        items,
+        next: hasNext ? (nextPage || page + 1) : null,
+        total: toNumber(firstValue(data, ['pagination.total', 'total', 'total_count']))
+      };
+    },
+    
+    nextRequest(next, request) {
+      return withToken(request, pageParam, next);
+    }
+  };
+}
+
+/**
+ * Offset/limit: the next offset follows the items received, until `total`
+ * is reached (or a short page arrives when the total is unknown)
+ */
+export function createOffsetAdapter({ offsetParam = 'offset', limitParam = 'limit' } = {}) {
+  return {
+    name: 'offset',
+    
+    parse(data, { params = {} } = {}) {
+      const items = extractItems(data);
+      const offset = toNumber(firstValue(data, ['offset', 'pagination.offset', 'meta.offset'])) ?? toNumber(params[offsetParam]) ?? 0;
+      const limit = toNumber(firstValue(data, ['limit', 'pagination.limit', 'meta.limit'])) ?? toNumber(params[limitParam]);
+      const total = toNumber(firstValue(data, ['total', 'count', 'pagination.total', 'meta.total']));
+      const end = offset + items.length;
+      
+      const hasNext = total !== null
+        ? end < total
+        : items.length > 0 && (limit === null || items.length >= limit);
+      
+      return { items, next: hasNext ? end : null, total };
+    },
+    
+    nextRequest(next, request) {
+      return withToken(request, offsetParam, next);
+    }
+  };
+}
+
+/**
+ * Opaque cursors: `next_cursor` (or `cursorPath`) is sent back as `cursor`
+ */
+export function createCursorAdapter({ cursorParam = 'cursor', cursorPath = null } = {}) {
+  const paths = cursorPath ? [cursorPath] : ['next_cursor', 'nextCursor', 'meta.next_cursor', 'cursor.next', 'pagination.next_cursor'];
+  
+  return {
+    name: 'cursor',
+    
+    parse(data) {
+      return {
+        items: extractItems(data),
+        next: firstValue(data, paths) ?? null,
+        total: toNumber(firstValue(data, ['total', 'total_count', 'meta.total']))
+      };
+    },
+    
+    nextRequest(next, request) {
+      return withToken(request, cursorParam, next);
+    }
+  };
+}
+
+/**
+ * RFC 5988 `Link: <...?page=2>; rel="next"` headers; the next URL is
+ * requested as-is
+ */
+export function createLinkHeaderAdapter() {
+  return {
+    name: 'link',
+    
+    parse(data, { headers } = {}) {
+      const links = parseLinkHeader(getHeader(headers, 'Link'));
+      
+      return {
+        items: extractItems(data),
+        next: links.next || null,
+        total: toNumber(getHeader(headers, 'X-Total-Count'))
+      };
+    },
+    
+    nextRequest: urlRequest
+  };
+}
+
+/**
+ * JSON:API documents: resources are flattened to `{ id, type, ...attributes }`
+ * and `links.next` is followed
+ */
+export function createJsonApiAdapter() {
+  return {
+    name: 'jsonapi',
+    
+    parse(data) {
+      const resources = Array.isArray(data?.data) ? data.data : [];
+      
+      return {
+        items: resources.map(resource => ({
+          id: resource.id,
+          type: resource.type,
+          ...resource.attributes,
+          ...(resource.relationships ? { relationships: resource.relationships } : {})
+        })),
+        next: data?.links?.next?.href ?? data?.links?.next ?? null,
+        total: toNumber(firstValue(data, ['meta.total', 'meta.count', 'meta.page.total']))
+      };
+    },
+    
+    nextRequest: urlRequest
+  };
+}
+
+/**
+ * GraphQL connections (`edges { node }` + `pageInfo`). The connection is
+ * found at `connectionPath` or as the first object with `edges` under `data`;
+ * `pageInfo.endCursor` is sent back as the `after` variable.
+ */
+export function createGraphQLAdapter({ connectionPath = null, cursorParam = 'after' } = {}) {
+  const findConnection = (data) => {
+    if (connectionPath) return getPath(data, connectionPath);
+    
+    const root = data?.data ?? data;
+    if (root?.edges) return root;
+    
+    return Object.values(root || {}).find(value => value && Array.isArray(value.edges));
+  };
+  
+  return {
+    name: 'graphql',
+    
+    parse(data) {
+      const connection = findConnection(data) || {};
+      const pageInfo = connection.pageInfo || {};
+      
+      return {
+        items: (connection.edges || []).map(edge => edge?.node).filter(Boolean),
+        next: pageInfo.hasNextPage ? (pageInfo.endCursor ?? null) : null,
+        total: toNumber(connection.totalCount)
+      };
+    },
+    
+    nextRequest(next, request) {
+      const { body } = request;
+      
+      if (isPlainObject(body) && typeof body.query === 'string') {
+        return { ...request, body: { ...body, variables: { ...body.variables, [cursorParam]: next } } };
+      }
+      
+      return withToken(request, cursorParam, next);
+    }
+  };
+}
+
+export const RESPONSE_ADAPTERS = {
+  page: createPageAdapter,
+  offset: createOffsetAdapter,
+  cursor: createCursorAdapter,
+  link: createLinkHeaderAdapter,
+  jsonapi: createJsonApiAdapter,
+  graphql: createGraphQLAdapter
+};
+
+/**
+ * Turn an adapter name or object into a complete adapter
+ */
+export function resolveResponseAdapter(adapter = 'page', options = {}) {
+  if (typeof adapter === 'string') {
+    const factory = RESPONSE_ADAPTERS[adapter];
+    if (!factory) {
+      throw new Error(`Unknown response adapter "${adapter}" (expected one of: ${Object.keys(RESPONSE_ADAPTERS).join(', ')})`);
+    }
+    return factory(options);
+  }
+  
+  if (!adapter || typeof adapter.parse !== 'function') {
+    throw new Error('A response adapter needs a parse(data, context) method');
+  }
+  
+  return {
+    name: 'custom',
+    nextRequest(next, request) {
+      return isUrlToken(next) ? urlRequest(next, request) : withToken(request, 'cursor', next);
+    },
+    ...adapter
+  };
+}
@@ -4,6 +4,20 @@
  * for high-performance virtual scrolling in Tom-Select
  */
 
+// Minimum time between two infinite-load triggers
+export const INFINITE_LOAD_COOLDOWN = 1000;
+
+/**
+ * Whether a scroll container is scrolled past `threshold` (0-1) of its
+ * scrollable height - the infinite scroll trigger point
+ */
+export function isPastScrollThreshold(element, threshold) {
+  const scrollable = element.scrollHeight - element.clientHeight;
+  if (scrollable <= 0) return false;
+  
+  return element.scrollTop / scrollable >= threshold;
+}
+
 /**
  * Manages scroll behavior, infinite loading, and performance optimization
  * for virtual scrolling implementations
@@ -325,18 +339,11 @@ export class ScrollManager {
       return;
     }
     
-    const scrollTop = dropdown.scrollTop;
-    const scrollHeight = dropdown.scrollHeight;
-    const clientHeight = dropdown.clientHeight;
-    
-    // Calculate scroll percentage
-    const scrollPercentage = scrollTop / (scrollHeight - clientHeight);
-    
     // Trigger loading if past threshold and scrolling down
-    if (scrollPercentage >= this.options.infiniteThreshold && this.scrollDirection === 'down') {
+    if (isPastScrollThreshold(dropdown, this.options.infiniteThreshold) && this.scrollDirection === 'down') {
       // Prevent multiple triggers
       const now = performance.now();
-      if (now - this.lastLoadTrigger > 1000) { // 1 second cooldown
+      if (now - this.lastLoadTrigger > INFINITE_LOAD_COOLDOWN) {
         this.triggerInfiniteLoad();
         this.lastLoadTrigger = now;
       }
@@ -419,8 +426,8 @@ export class ScrollManager {
     const scrollTop = dropdown.scrollTop;
     const averageHeight = this.virtualCore.averageItemHeight;
     
-    // Find nearest item boundary
-    const itemIndex = Math.round(scrollTop / averageHeight);
+    // Find nearest row boundary (first item of the row in a grid)
+    const itemIndex = Math.round(scrollTop / averageHeight) * this.virtualCore.columnCount;
     const targetOffset = this.virtualCore.getItemOffset(itemIndex);
     
     // Smooth scroll to target
@@ -0,0 +1,405 @@
+/**
+ * Search Schema for Virtual Scrolling
+ * Declarative field weights, tokenizers, match modes and boosts shared by
+ * DataProvider and the search worker so ranking is identical on both sides
+ */
+
+/**
+ * Default schema matching the fields and weights the virtual select has
+ * always searched: text (100 exact / 50 partial), description, category,
+ * tags and keywords, plus a small boost from the item's `weight`
+ */
+export const DEFAULT_SEARCH_SCHEMA = {
+  fields: [
+    { name: 'text', weight: 50, tokenizer: 'words', mode: 'fuzzy' },
+    { name: 'description', weight: 20, tokenizer: 'words', mode: 'fuzzy' },
+    { name: 'category', weight: 15, tokenizer: 'words', mode: 'prefix' },
+    { name: 'tags', weight: 10, tokenizer: 'words', mode: 'prefix' },
+    { name: 'searchKeywords', weight: 10, tokenizer: 'words', mode: 'fuzzy' }
+  ],
+  boosts: [
+    { field: 'weight', factor: 0.1 }
+  ],
+  maxEdits: 2
+};
+
+// Score multipliers per kind of token match
+const MATCH_WEIGHTS = {
+  exact: 1,
+  prefix: 0.75,
+  fuzzy: 0.5
+};
+
+// Which match kinds each field mode accepts
+const MODE_KINDS = {
+  exact: ['exact'],
+  prefix: ['exact', 'prefix'],
+  fuzzy: ['exact', 'prefix', 'fuzzy']
+};
+
+// Built-in tokenizers, returning tokens with their character offsets
+const TOKENIZERS = {
+  words: value => matchTokens(value, /\w+/g),
+  whitespace: value => matchTokens(value, /\S+/g),
+  keyword: value => {
+    const trimmed = value.trim();
+    if (!trimmed) return [];
+    
+    const start = value.indexOf(trimmed);
+    return [{ token: trimmed.toLowerCase(), start, end: start + trimmed.length }];
+  }
+};
+
+// Numeric transforms available to declarative boosts
+const BOOST_TRANSFORMS = {
+  linear: value => value,
+  log: value => Math.log1p(Math.max(0, value)),
+  sqrt: value => Math.sqrt(Math.max(0, value))
+};
+
+function matchTokens(value, pattern) {
+  const tokens = [];
+  const lowered = value.toLowerCase();
+  let match;
+  
+  while ((match = pattern.exec(lowered)) !== null) {
+    tokens.push({ token: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  
+  return tokens;
+}
+
+/**
+ * Bounded Damerau-Levenshtein (optimal string alignment) distance.
+ * Returns maxEdits + 1 as soon as the distance is known to exceed the bound.
+ */
+export function editDistance(a, b, maxEdits) {
+  if (Math.abs(a.length - b.length) > maxEdits) {
+    return maxEdits + 1;
+  }
+  
+  const cols = b.length + 1;
+  let previousPrevious = null;
+  let previous = Array.from({ length: cols }, (_, j) => j);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = new Array(cols);
+    current[0] = i;
+    let rowMin = current[0];
+    
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      
+      current[j] = Math.min(
+        previous[j] + 1,        // Deletion
+        current[j - 1] + 1,     // Insertion
+        previous[j - 1] + cost  // Substitution
+      );
+      
+      // Transposition of adjacent characters ("jvaa" -> "java")
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+      }
+      
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    
+    if (rowMin > maxEdits) {
+      return maxEdits + 1;
+    }
+    
+    previousPrevious = previous;
+    previous = current;
+  }
+  
+  return previous[cols - 1];
+}
+
+/**
+ * Compiled search schema. Field definitions accept either a field name or
+ * { name, weight, tokenizer, mode }; `name` may be a dotted path
+ * (e.g. "metrics.revenue"). Boosts are either { field, factor, transform }
+ * (adds factor * transform(value)), { field, multiplier } (multiplies when
+ * the field is truthy), or a function (item, score) => score.
+ */
+export class SearchSchema {
+  constructor(schema = DEFAULT_SEARCH_SCHEMA) {
+    const definition = schema instanceof SearchSchema ? schema.toJSON() : (schema || DEFAULT_SEARCH_SCHEMA);
+    
+    this.fields = (definition.fields || DEFAULT_SEARCH_SCHEMA.fields).map(field => this.normalizeField(field));
+    this.boosts = definition.boosts || [];
+    this.maxEdits = Number.isInteger(definition.maxEdits) ? definition.maxEdits : DEFAULT_SEARCH_SCHEMA.maxEdits;
+    
+    // Custom function boosts/tokenizers cannot be structured-cloned
+    this.boostsSerializable = this.boosts.every(boost => typeof boost !== 'function');
+  }
+  
+  /**
+   * Fill in defaults for a field definition
+   */
+  normalizeField(field) {
+    const definition = typeof field === 'string' ? { name: field } : { ...field };
+    
+    if (!definition.name) {
+      throw new Error('Search schema fields require a name');
+    }
+    
+    definition.weight = typeof definition.weight === 'number' ? definition.weight : 10;
+    definition.tokenizer = definition.tokenizer || 'words';
+    definition.mode = MODE_KINDS[definition.mode] ? definition.mode : 'prefix';
+    
+    if (typeof definition.tokenizer !== 'function' && !TOKENIZERS[definition.tokenizer]) {
+      throw new Error(`Unknown search tokenizer: ${definition.tokenizer}`);
+    }
+    
+    return definition;
+  }
+  
+  /**
+   * Whether the schema can be posted to the search worker
+   */
+  isSerializable() {
+    return this.boostsSerializable && this.fields.every(field => typeof field.tokenizer === 'string');
+  }
+  
+  /**
+   * Field names a query may filter on: the searched fields and the boosts'
+   */
+  getQueryFields() {
+    const boostFields = this.boosts.filter(boost => typeof boost?.field === 'string').map(boost => boost.field);
+    return [...new Set([...this.fields.map(field => field.name), ...boostFields])];
+  }
+  
+  /**
+   * Plain representation for posting to the worker
+   */
+  toJSON() {
+    return {
+      fields: this.fields.map(field => ({ ...field })),
+      boosts: this.boosts.filter(boost => typeof boost !== 'function').map(boost => ({ ...boost })),
+      maxEdits: this.maxEdits
+    };
+  }
+  
+  /**
+   * Get the string values of a field, with array positions for array fields
+   */
+  getFieldValues(item, path) {
+    const value = path.split('.').reduce((current, key) => current == null ? undefined : current[key], item);
+    
+    if (Array.isArray(value)) {
+      return value
+        .map((entry, position) => ({ value: entry, position }))
+        .filter(({ value }) => value !== null && value !== undefined)
+        .map(({ value, position }) => ({ value: String(value), position }));
+    }
+    
+    if (typeof value === 'string' || typeof value === 'number') {
+      return [{ value: String(value) }];
+    }
+    
+    return [];
+  }
+  
+  /**
+   * Tokenize a value with the given tokenizer
+   */
+  tokenize(value, tokenizer = 'words') {
+    if (!value) return [];
+    
+    const tokenize = typeof tokenizer === 'function' ? tokenizer : TOKENIZERS[tokenizer];
+    return tokenize(String(value));
+  }
+  
+  /**
+   * Collect every token an item contributes to an inverted index
+   */
+  extractTokens(item) {
+    const tokens = new Set();
+    
+    this.fields.forEach(field => {
+      this.getFieldValues(item, field.name).forEach(({ value }) => {
+        this.tokenize(value, field.tokenizer).forEach(({ token }) => tokens.add(token));
+      });
+    });
+    
+    return tokens;
+  }
+  
+  /**
+   * Pre-process a query once so it can be scored against many items.
+   * Options: fuzzySearch (default true), exactMatch, maxEdits
+   */
+  prepareQuery(query, options = {}) {
+    const text = String(query || '').trim().toLowerCase();
+    
+    return {
+      text,
+      terms: Array.from(new Set(this.tokenize(text, 'words').map(({ token }) => token))),
+      maxEdits: Number.isInteger(options.maxEdits) ? Math.max(0, options.maxEdits) : this.maxEdits,
+      fuzzy: options.fuzzySearch !== false,
+      exactOnly: options.exactMatch === true
+    };
+  }
+  
+  /**
+   * Scale the edit budget to the term length so short terms stay precise
+   */
+  getAllowedEdits(term, maxEdits = this.maxEdits) {
+    if (term.length <= 3) return 0;
+    if (term.length <= 5) return Math.min(1, maxEdits);
+    return maxEdits;
+  }
+  
+  /**
+   * Compare one indexed token against one query term under a field mode
+   */
+  matchToken(token, term, mode, prepared) {
+    const kinds = prepared.exactOnly ? MODE_KINDS.exact : MODE_KINDS[mode];
+    
+    if (token === term) {
+      return { kind: 'exact', edits: 0, weight: MATCH_WEIGHTS.exact, length: token.length };
+    }
+    
+    if (kinds.includes('prefix') && token.startsWith(term)) {
+      return { kind: 'prefix', edits: 0, weight: MATCH_WEIGHTS.prefix, length: term.length };
+    }
+    
+    if (kinds.includes('fuzzy') && prepared.fuzzy) {
+      const allowed = this.getAllowedEdits(term, prepared.maxEdits);
+      
+      if (allowed > 0) {
+        const edits = editDistance(term, token, allowed);
+        if (edits <= allowed) {
+          return {
+            kind: 'fuzzy',
+            edits,
+            weight: MATCH_WEIGHTS.fuzzy * (1 - edits / (term.length + 1)),
+            length: token.length
+          };
+        }
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Score an item against a prepared query.
+   * Returns { score, matches } where matches lists the field, array position,
+   * character ranges, matched terms and edit count for highlighting.
+   */
+  scoreItem(item, prepared) {
+    if (typeof prepared === 'string') {
+      prepared = this.prepareQuery(prepared);
+    }
+    
+    const result = { score: 0, matches: [], exact: false };
+    if (prepared.terms.length === 0) return result;
+    
+    const coveredTerms = new Set();
+    
+    this.fields.forEach(field => {
+      this.getFieldValues(item, field.name).forEach(({ value, position }) => {
+        const bestPerTerm = new Map();
+        const ranges = [];
+        const terms = new Set();
+        let maxEdits = 0;
+        
+        this.tokenize(value, field.tokenizer).forEach(({ token, start }) => {
+          prepared.terms.forEach(term => {
+            const match = this.matchToken(token, term, field.mode, prepared);
+            if (!match) return;
+            
+            if (!bestPerTerm.has(term) || match.weight > bestPerTerm.get(term)) {
+              bestPerTerm.set(term, match.weight);
+            }
+            
+            ranges.push([start, start + match.length]);
+            terms.add(token);
+            maxEdits = Math.max(maxEdits, match.edits);
+            result.exact = result.exact || match.kind === 'exact';
+          });
+        });
+        
+        if (bestPerTerm.size === 0) return;
+        
+        // Each query term counts once per field value
+        bestPerTerm.forEach((weight, term) => {
+          result.score += field.weight * weight;
+          coveredTerms.add(term);
+        });
+        
+        // Whole-value equality ranks above a single token hit
+        if (value.trim().toLowerCase() === prepared.text) {
+          result.score += field.weight;
+        }
+        
+        const entry = {
+          field: field.name,
+          ranges: this.mergeRanges(ranges),
+          terms: Array.from(terms),
+          edits: maxEdits
+        };
+        if (position !== undefined) {
+          entry.position = position;
+        }
+        result.matches.push(entry);
+      });
+    });
+    
+    if (result.score === 0) return result;
+    
+    // Favour items that matched more of the query terms
+    if (prepared.terms.length > 1) {
+      result.score *= coveredTerms.size / prepared.terms.length;
+    }
+    
+    result.score = this.applyBoosts(item, result.score);
+    
+    return result;
+  }
+  
+  /**
+   * Apply declarative and function boosts to a base score
+   */
+  applyBoosts(item, score) {
+    return this.boosts.reduce((current, boost) => {
+      if (typeof boost === 'function') {
+        const boosted = boost(item, current);
+        return Number.isFinite(boosted) ? boosted : current;
+      }
+      
+      const [{ value } = {}] = this.getFieldValues(item, boost.field);
+      
+      if (typeof boost.multiplier === 'number') {
+        return value && value !== 'false' ? current * boost.multiplier : current;
+      }
+      
+      const numeric = parseFloat(value);
+      if (!Number.isFinite(numeric)) return current;
+      
+      const transform = BOOST_TRANSFORMS[boost.transform] || BOOST_TRANSFORMS.linear;
+      return current + transform(numeric) * (boost.factor ?? 1);
+    }, score);
+  }
+  
+  /**
+   * Sort and merge overlapping [start, end] ranges
+   */
+  mergeRanges(ranges) {
+    const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    
+    sorted.forEach(([start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    });
+    
+    return merged;
+  }
+}
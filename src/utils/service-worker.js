@@ -0,0 +1,261 @@
+/**
+ * Offline Service Worker registration
+ * Optional: registers workers/offline-sw.js, which precaches fallback data
+ * and caches search responses (network-first, cache-first or
+ * stale-while-revalidate), and talks to it over a message channel.
+ * Responses the worker handled carry an `X-SW-Source` header; it also posts
+ * a `response` message for each, re-emitted here as a `response` event.
+ */
+
+export const SW_STRATEGIES = ['network-first', 'cache-first', 'stale-while-revalidate'];
+
+/**
+ * Where a response came from: 'network', 'cache' or 'stale' when the
+ * service worker answered it, null otherwise
+ */
+export function getResponseSource(response) {
+  return response?.headers?.get?.('X-SW-Source') || null;
+}
+
+export class OfflineServiceWorker {
+  constructor(options = {}) {
+    this.options = {
+      // Vite serves the worker from source in development; the build emits it at the root
+      scriptUrl: import.meta.env.DEV ? '/src/workers/offline-sw.js' : '/offline-sw.js',
+      mockScriptUrl: '/src/workers/offline-sw-mock.js', // Development only, never built
+      scope: '/',
+      version: 'v1',                      // Bump to drop old caches
+      strategy: 'network-first',
+      precache: ['/data/fallback.json'],
+      cachePaths: ['/api/search'],
+      apiBase: '/api',
+      mockApi: false,                     // Let the worker answer API calls with the mock API (uses mockScriptUrl)
+      networkTimeout: 3000,
+      maxEntries: 200,
+      messageTimeout: 5000,
+      ...options
+    };
+    
+    if (!SW_STRATEGIES.includes(this.options.strategy)) {
+      throw new Error(`Unknown service worker strategy "${this.options.strategy}" (expected one of: ${SW_STRATEGIES.join(', ')})`);
+    }
+    
+    this.registration = null;
+    this.sources = new Map(); // url -> last { source, strategy, cachedAt, timestamp }
+    this.listeners = new Map();
+    
+    this.handleMessage = this.handleMessage.bind(this);
+  }
+  
+  /**
+   * Whether this browser can run the worker
+   */
+  static isSupported() {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+  }
+  
+  /**
+   * Whether a worker controls this page (and may answer from its cache)
+   */
+  isControlling() {
+    return Boolean(this.registration && navigator.serviceWorker?.controller);
+  }
+  
+  /**
+   * Register the worker and resolve once it controls the page (false when
+   * unsupported or registration fails)
+   */
+  async register() {
+    if (!OfflineServiceWorker.isSupported()) {
+      console.warn('[OfflineServiceWorker] Service workers are not supported');
+      return false;
+    }
+    
+    try {
+      navigator.serviceWorker.addEventListener('message', this.handleMessage);
+      
+      this.registration = await navigator.serviceWorker.register(this.getScriptUrl(), {
+        type: 'module',
+        scope: this.options.scope
+      });
+      
+      await navigator.serviceWorker.ready;
+      
+      // The first visit isn't controlled until the worker claims it
+      if (!navigator.serviceWorker.controller) {
+        await new Promise(resolve => {
+          const timer = setTimeout(resolve, this.options.messageTimeout);
+          navigator.serviceWorker.addEventListener('controllerchange', () => {
+            clearTimeout(timer);
+            resolve();
+          }, { once: true });
+        });
+      }
+      
+      const active = Boolean(navigator.serviceWorker.controller);
+      console.log(`[OfflineServiceWorker] Registered (${this.options.strategy})${active ? '' : ', not controlling this page yet'}`);
+      
+      return active;
+    } catch (error) {
+      console.warn('[OfflineServiceWorker] Registration failed:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Script URL carrying the worker's options
+   */
+  getScriptUrl() {
+    const { scriptUrl, mockScriptUrl, version, strategy, precache, cachePaths, apiBase, mockApi, networkTimeout, maxEntries } = this.options;
+    const params = new URLSearchParams({
+      version,
+      strategy,
+      precache: precache.join(','),
+      cache: cachePaths.join(','),
+      api: apiBase,
+      timeout: String(networkTimeout),
+      maxEntries: String(maxEntries)
+    });
+    
+    return `${mockApi ? mockScriptUrl : scriptUrl}?${params}`;
+  }
+  
+  handleMessage(event) {
+    const message = event.data;
+    if (message?.from !== 'offline-sw') return;
+    
+    if (message.type === 'response') {
+      this.sources.set(message.url, {
+        source: message.source,
+        strategy: message.strategy,
+        cachedAt: message.cachedAt,
+        timestamp: Date.now()
+      });
+      
+      // Keep the last 100 URLs
+      if (this.sources.size > 100) {
+        this.sources.delete(this.sources.keys().next().value);
+      }
+    }
+    
+    this.notifyListeners(message.type, message);
+  }
+  
+  /**
+   * Last reported source of a URL
+   */
+  getSource(url) {
+    return this.sources.get(new URL(url, window.location.origin).href) || null;
+  }
+  
+  /**
+   * Send a message to the active worker and wait for its reply
+   */
+  postMessage(message) {
+    const worker = navigator.serviceWorker?.controller || this.registration?.active;
+    if (!worker) {
+      return Promise.reject(new Error('No active service worker'));
+    }
+    
+    return new Promise((resolve, reject) => {
+      const channel = new MessageChannel();
+      const timer = setTimeout(() => {
+        channel.port1.close();
+        reject(new Error(`Service worker did not answer "${message.type}"`));
+      }, this.options.messageTimeout);
+      
+      channel.port1.onmessage = (event) => {
+        clearTimeout(timer);
+        channel.port1.close();
+        
+        if (event.data?.error) {
+          reject(new Error(event.data.error));
+        } else {
+          resolve(event.data);
+        }
+      };
+      
+      worker.postMessage(message, [channel.port2]);
+    });
+  }
+  
+  /**
+   * Worker config, per-source response counts and cached entry count
+   */
+  getStatus() {
+    return this.postMessage({ type: 'status' });
+  }
+  
+  /**
+   * Switch the caching strategy until the worker restarts
+   */
+  setStrategy(strategy) {
+    if (!SW_STRATEGIES.includes(strategy)) {
+      return Promise.reject(new Error(`Unknown service worker strategy "${strategy}"`));
+    }
+    
+    this.options.strategy = strategy;
+    return this.postMessage({ type: 'configure', strategy });
+  }
+  
+  /**
+   * Make the worker's network fail, to try offline mode against the mock API
+   */
+  simulateOffline(offline = true) {
+    return this.postMessage({ type: 'configure', offline });
+  }
+  
+  /**
+   * Drop cached API responses (the precache stays)
+   */
+  clearCache() {
+    return this.postMessage({ type: 'clear' });
+  }
+  
+  async unregister() {
+    navigator.serviceWorker?.removeEventListener('message', this.handleMessage);
+    
+    const unregistered = this.registration ? await this.registration.unregister() : false;
+    this.registration = null;
+    
+    return unregistered;
+  }
+  
+  /**
+   * Register event listener
+   */
+  addEventListener(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+  
+  /**
+   * Remove event listener
+   */
+  removeEventListener(event, callback) {
+    if (this.listeners.has(event)) {
+      const callbacks = this.listeners.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+  
+  /**
+   * Notify all listeners of an event
+   */
+  notifyListeners(event, data = {}) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).forEach(callback => {
+        try {
+          callback({ type: event, ...data });
+        } catch (error) {
+          console.error(`Error in ${event} listener:`, error);
+        }
+      });
+    }
+  }
+}
@@ -0,0 +1,286 @@
+/**
+ * Storage Adapters for OptionStorage
+ * Async key-value backends with one interface:
+ *   getItem(key) -> string | null, setItem(key, value), removeItem(key)
+ * Built in: 'local' (localStorage, sessionStorage when it is unavailable),
+ * 'session', 'indexeddb', 'memory' and 'rest'. Any object with those three
+ * methods works as a custom adapter.
+ */
+import { requestToPromise, transactionDone } from './chunk-store.js';
+
+function isWebStorageAvailable(type) {
+  try {
+    const storage = window[type];
+    const test = '__storage_test__';
+    storage.setItem(test, test);
+    storage.removeItem(test);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * localStorage or sessionStorage, optionally falling back to the other
+ */
+export class WebStorageAdapter {
+  constructor(options = {}) {
+    this.options = {
+      type: 'localStorage',
+      fallback: null,        // e.g. 'sessionStorage'
+      ...options
+    };
+    
+    this.name = this.options.type === 'sessionStorage' ? 'session' : 'local';
+    this.warned = false;
+  }
+  
+  /**
+   * The storage to use now, or null when neither is available
+   */
+  getStorage() {
+    if (isWebStorageAvailable(this.options.type)) {
+      return window[this.options.type];
+    }
+    
+    if (this.options.fallback && isWebStorageAvailable(this.options.fallback)) {
+      if (!this.warned) {
+        console.warn(`[StorageAdapter] ${this.options.type} unavailable, using ${this.options.fallback} - data will not persist between sessions`);
+        this.warned = true;
+      }
+      return window[this.options.fallback];
+    }
+    
+    return null;
+  }
+  
+  async getItem(key) {
+    return this.getStorage()?.getItem(key) ?? null;
+  }
+  
+  async setItem(key, value) {
+    const storage = this.getStorage();
+    if (!storage) {
+      throw new Error('No storage available');
+    }
+    
+    storage.setItem(key, value);
+  }
+  
+  /**
+   * Removes the key from the fallback storage too
+   */
+  async removeItem(key) {
+    [this.options.type, this.options.fallback]
+      .filter(type => type && isWebStorageAvailable(type))
+      .forEach(type => window[type].removeItem(key));
+  }
+}
+
+/**
+ * Kept in memory only: lost on reload, handy for tests and private modes
+ */
+export class MemoryStorageAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.items = new Map();
+  }
+  
+  async getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+  
+  async setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+  
+  async removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+/**
+ * IndexedDB, for more data than localStorage's quota allows. Falls back to
+ * localStorage where IndexedDB can't be opened.
+ */
+export class IndexedDBStorageAdapter {
+  constructor(options = {}) {
+    this.options = {
+      dbName: 'tom-select-options',
+      storeName: 'items',
+      ...options
+    };
+    
+    this.name = 'indexeddb';
+    this.db = null;
+    this.fallback = null;
+    this.opening = null;
+  }
+  
+  /**
+   * Open (and create) the database once. Resolves false when using the
+   * localStorage fallback.
+   */
+  open() {
+    if (!this.opening) {
+      this.opening = this.openDatabase();
+    }
+    return this.opening;
+  }
+  
+  async openDatabase() {
+    try {
+      if (typeof indexedDB === 'undefined') {
+        throw new Error('IndexedDB is not supported');
+      }
+      
+      const request = indexedDB.open(this.options.dbName, 1);
+      
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(this.options.storeName)) {
+          request.result.createObjectStore(this.options.storeName);
+        }
+      };
+      
+      this.db = await requestToPromise(request);
+      this.db.onversionchange = () => this.close();
+      
+      return true;
+    } catch (error) {
+      console.warn('[StorageAdapter] IndexedDB unavailable, using localStorage:', error);
+      this.fallback = new WebStorageAdapter({ fallback: 'sessionStorage' });
+      return false;
+    }
+  }
+  
+  async getItem(key) {
+    if (!(await this.open())) return this.fallback.getItem(key);
+    
+    const store = this.db.transaction(this.options.storeName).objectStore(this.options.storeName);
+    const value = await requestToPromise(store.get(key));
+    
+    return value ?? null;
+  }
+  
+  async setItem(key, value) {
+    if (!(await this.open())) return this.fallback.setItem(key, value);
+    
+    const transaction = this.db.transaction(this.options.storeName, 'readwrite');
+    transaction.objectStore(this.options.storeName).put(String(value), key);
+    await transactionDone(transaction);
+  }
+  
+  async removeItem(key) {
+    if (!(await this.open())) return this.fallback.removeItem(key);
+    
+    const transaction = this.db.transaction(this.options.storeName, 'readwrite');
+    transaction.objectStore(this.options.storeName).delete(key);
+    await transactionDone(transaction);
+  }
+  
+  /**
+   * Close the database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.opening = null;
+    }
+  }
+}
+
+/**
+ * A REST endpoint holding one document per key:
+ *   GET    {endpoint}/{key} -> { value } (404 when missing)
+ *   PUT    {endpoint}/{key}    { value }
+ *   DELETE {endpoint}/{key}
+ */
+export class RestStorageAdapter {
+  constructor(options = {}) {
+    this.options = {
+      endpoint: '/api/storage',
+      headers: {},
+      timeout: 10000,
+      ...options
+    };
+    
+    this.name = 'rest';
+  }
+  
+  getUrl(key) {
+    return `${this.options.endpoint.replace(/\/$/, '')}/${encodeURIComponent(key)}`;
+  }
+  
+  async request(key, method, body) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.options.timeout);
+    
+    try {
+      const response = await fetch(this.getUrl(key), {
+        method,
+        headers: {
+          Accept: 'application/json',
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          ...this.options.headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+      
+      // A missing key is fine to read or delete
+      const missing = response.status === 404 && method !== 'PUT';
+      if (!response.ok && !missing) {
+        throw new Error(`Storage request failed: ${method} ${response.status} ${response.statusText}`);
+      }
+      
+      return response;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+  
+  async getItem(key) {
+    const response = await this.request(key, 'GET');
+    if (response.status === 404) return null;
+    
+    const data = await response.json();
+    return data?.value ?? null;
+  }
+  
+  async setItem(key, value) {
+    await this.request(key, 'PUT', { value: String(value) });
+  }
+  
+  async removeItem(key) {
+    await this.request(key, 'DELETE');
+  }
+}
+
+export const STORAGE_ADAPTERS = {
+  local: (options) => new WebStorageAdapter({ fallback: 'sessionStorage', ...options }),
+  session: (options) => new WebStorageAdapter({ type: 'sessionStorage', ...options }),
+  indexeddb: (options) => new IndexedDBStorageAdapter(options),
+  memory: () => new MemoryStorageAdapter(),
+  rest: (options) => new RestStorageAdapter(options)
+};
+
+/**
+ * Turn an adapter name or object into an adapter
+ */
+export function resolveStorageAdapter(adapter = 'local', options = {}) {
+  if (typeof adapter === 'string') {
+    const factory = STORAGE_ADAPTERS[adapter];
+    if (!factory) {
+      throw new Error(`Unknown storage adapter "${adapter}" (expected one of: ${Object.keys(STORAGE_ADAPTERS).join(', ')})`);
+    }
+    return factory(options);
+  }
+  
+  const missing = ['getItem', 'setItem', 'removeItem'].filter(method => typeof adapter?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`A storage adapter needs ${missing.join(', ')} method${missing.length > 1 ? 's' : ''}`);
+  }
+  
+  return adapter;
+}
@@ -1,147 +1,283 @@
 /**
  * Storage utility for Tom-Select dynamic creation
- * Handles persistence, cleanup, and import/export of created options
+ * Handles persistence, cleanup, and import/export of created options.
+ * Every write stamps `updatedAt`, which `mergeOption` compares so changes
+ * arriving from other tabs resolve last-writer-wins. Changes are only
+ * written over data that was read successfully: when the read fails they
+ * resolve false (or reject) and leave storage untouched.
+ * The backend is a storage adapter (see storage-adapters.js), so every
+ * method is async; operations run one at a time, in call order. Data is
+ * saved as { version, options }, optionally LZ-compressed, and migrated
+ * to the current schema version when loaded.
  */
+import { resolveStorageAdapter } from './storage-adapters.js';
+import { compressToUTF16, decompressFromUTF16 } from './compression.js';
+
+const COMPRESSED_PREFIX = 'lz:'; // Stored JSON never starts with this
+
+/**
+ * Built-in migrations, keyed by the schema version they produce. Each gets
+ * the options array of the previous version. Data saved before versioning
+ * (a bare array) is version 0.
+ */
+const MIGRATIONS = {
+  // Every option gets a `value` and an `updatedAt`
+  1: (options) => options.map(opt => ({
+    ...opt,
+    value: opt.value || opt.id,
+    updatedAt: opt.updatedAt || opt.timestamp
+  }))
+};
+
+export const STORAGE_SCHEMA_VERSION = 1;
+
 export class OptionStorage {
   constructor(key = 'tomselect_created', options = {}) {
     this.key = key;
     this.maxItems = options.maxItems || 100;
     this.maxAge = options.maxAge || (30 * 24 * 60 * 60 * 1000); // 30 days
     this.compressionEnabled = options.compression || false;
+    
+    // 'local' (default), 'session', 'indexeddb', 'memory', 'rest' or an adapter object
+    this.adapter = resolveStorageAdapter(options.adapter || 'local', options.adapterOptions);
+    
+    // Extra migrations ({ 2: options => options }) move the schema version up
+    this.migrations = { ...MIGRATIONS, ...options.migrations };
+    this.schemaVersion = options.schemaVersion
+      || Math.max(STORAGE_SCHEMA_VERSION, ...Object.keys(this.migrations).map(Number));
+    
+    this.pending = Promise.resolve();
   }
   
   /**
-   * Save options to storage with fallback strategy
+   * Run an operation once the ones before it finished, so read-modify-write
+   * sequences never interleave
+   */
+  run(operation) {
+    const result = this.pending.then(operation);
+    this.pending = result.catch(() => {});
+    return result;
+  }
+  
+  /**
+   * Save options to storage
    * @param {array} options - Array of option objects to save
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
   save(options) {
-    try {
-      const data = this.compressionEnabled 
-        ? this.compress(JSON.stringify(options))
-        : JSON.stringify(options);
-      
-      // Try localStorage first
-      if (this.isStorageAvailable('localStorage')) {
-        localStorage.setItem(this.key, data);
-        return true;
-      }
-      
-      // Fallback to sessionStorage
-      if (this.isStorageAvailable('sessionStorage')) {
-        sessionStorage.setItem(this.key, data);
-        console.warn('Using sessionStorage fallback - data will not persist between sessions');
-        return true;
-      }
-      
-      console.error('No storage available');
-      return false;
-    } catch (e) {
-      console.error('Storage failed:', e);
-      return false;
-    }
+    return this.run(() => this.write(options));
   }
   
   /**
-   * Load options from storage
-   * @returns {array} Array of saved options
+   * Load options from storage. Unreadable data loads as an empty list.
+   * @returns {Promise<array>} Array of saved options
    */
   load() {
-    try {
-      let data = null;
-      
-      // Try localStorage first
-      if (this.isStorageAvailable('localStorage')) {
-        data = localStorage.getItem(this.key);
+    return this.run(async () => {
+      try {
+        return await this.read();
+      } catch (e) {
+        console.error('Load failed:', e);
+        return [];
       }
-      
-      // Fallback to sessionStorage
-      if (!data && this.isStorageAvailable('sessionStorage')) {
-        data = sessionStorage.getItem(this.key);
+    });
+  }
+  
+  /**
+   * Run a read-modify-write change on the stored options. Resolves false
+   * without writing when they can't be read, so a failed read never
+   * replaces the stored set.
+   */
+  modify(change) {
+    return this.run(async () => {
+      let existing;
+      try {
+        existing = await this.read();
+      } catch (e) {
+        console.error('Load failed, change not saved:', e);
+        return false;
       }
       
-      if (!data) return [];
-      
-      const parsed = this.compressionEnabled 
-        ? JSON.parse(this.decompress(data))
-        : JSON.parse(data);
+      return change(existing);
+    });
+  }
+  
+  async write(options) {
+    try {
+      const json = JSON.stringify({ version: this.schemaVersion, options });
       
-      return Array.isArray(parsed) ? parsed : [];
+      await this.adapter.setItem(this.key, this.compressionEnabled ? this.compress(json) : json);
+      return true;
     } catch (e) {
-      console.error('Load failed:', e);
-      return [];
+      console.error('Storage failed:', e);
+      return false;
     }
   }
   
   /**
-   * Cleanup old entries and maintain size limits
-   * @returns {array} Cleaned array of options
+   * Read and migrate the stored options. Throws when the adapter fails or
+   * the data can't be parsed.
    */
-  cleanup() {
-    const options = this.load();
-    const now = Date.now();
-    const cutoff = now - this.maxAge;
+  async read() {
+    const data = await this.adapter.getItem(this.key);
+    if (!data) return [];
     
-    // Remove old entries
-    const filtered = options.filter(opt => 
-      opt.timestamp && opt.timestamp > cutoff
-    );
+    const { options, migrated } = this.migrate(JSON.parse(this.decompress(data)));
     
-    // Sort by timestamp (newest first) and keep only maxItems
-    const sorted = filtered.sort((a, b) => b.timestamp - a.timestamp);
-    const recent = sorted.slice(0, this.maxItems);
+    if (migrated) {
+      await this.write(options);
+    }
     
-    // Save cleaned data
-    this.save(recent);
-    return recent;
+    return options;
   }
   
   /**
-   * Add a new option to storage
-   * @param {object} option - Option object to add
-   * @returns {boolean} Success status
+   * Bring parsed data up to the current schema version
+   * @param {array|object} data - A bare array (version 0) or { version, options }
+   * @returns {object} { options, migrated }
    */
-  addOption(option) {
-    const existing = this.load();
-    const newOption = {
-      ...option,
-      timestamp: Date.now(),
-      id: this.generateId()
-    };
+  migrate(data) {
+    const options = Array.isArray(data) ? data : data?.options;
+    let version = Array.isArray(data) ? 0 : Number(data?.version) || 0;
     
-    // Check for duplicates by text (case-insensitive)
-    const isDuplicate = existing.some(opt => 
-      opt.text.toLowerCase() === option.text.toLowerCase()
-    );
+    if (!Array.isArray(options)) {
+      return { options: [], migrated: false };
+    }
     
-    if (isDuplicate) {
-      return false;
+    if (version > this.schemaVersion) {
+      console.warn(`Stored options use schema version ${version}, newer than ${this.schemaVersion} - loading as is`);
+      return { options, migrated: false };
+    }
+    
+    const from = version;
+    let migrated = options;
+    
+    while (version < this.schemaVersion) {
+      version++;
+      migrated = this.migrations[version] ? this.migrations[version](migrated) : migrated;
     }
     
-    existing.push(newOption);
-    return this.save(existing);
+    return { options: migrated, migrated: version !== from };
+  }
+  
+  /**
+   * Cleanup old entries and maintain size limits. Rejects when the stored
+   * options can't be read.
+   * @returns {Promise<array>} Cleaned array of options
+   */
+  cleanup() {
+    return this.run(async () => {
+      const options = await this.read();
+      const now = Date.now();
+      const cutoff = now - this.maxAge;
+      
+      // Remove old entries
+      const filtered = options.filter(opt =>
+        opt.timestamp && opt.timestamp > cutoff
+      );
+      
+      // Sort by timestamp (newest first) and keep only maxItems
+      const sorted = filtered.sort((a, b) => b.timestamp - a.timestamp);
+      const recent = sorted.slice(0, this.maxItems);
+      
+      // Save cleaned data
+      await this.write(recent);
+      return recent;
+    });
+  }
+  
+  /**
+   * Add a new option to storage
+   * @param {object} option - Option object to add
+   * @returns {Promise<boolean>} Success status
+   */
+  addOption(option) {
+    return this.modify(async (existing) => {
+      const newOption = {
+        updatedAt: Date.now(),
+        ...option,
+        timestamp: Date.now(),
+        id: this.generateId()
+      };
+      
+      // Check for duplicates by text (case-insensitive)
+      const isDuplicate = existing.some(opt =>
+        opt.text.toLowerCase() === option.text.toLowerCase()
+      );
+      
+      if (isDuplicate) {
+        return false;
+      }
+      
+      existing.push(newOption);
+      return this.write(existing);
+    });
   }
   
   /**
    * Remove option from storage
    * @param {string} valueOrId - Value or ID of option to remove
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
   removeOption(valueOrId) {
-    const existing = this.load();
-    const filtered = existing.filter(opt => 
-      opt.value !== valueOrId && opt.id !== valueOrId
-    );
-    
-    return this.save(filtered);
+    return this.modify(async (existing) => {
+      const filtered = existing.filter(opt =>
+        opt.value !== valueOrId && opt.id !== valueOrId
+      );
+      
+      return this.write(filtered);
+    });
+  }
+  
+  /**
+   * Merge changes into a stored option
+   * @param {string} valueOrId - Value or ID of option to update
+   * @param {object} changes - Fields to overwrite
+   * @returns {Promise<boolean>} Success status
+   */
+  updateOption(valueOrId, changes) {
+    return this.modify(async (existing) => {
+      const index = existing.findIndex(opt =>
+        opt.value === valueOrId || opt.id === valueOrId
+      );
+      
+      if (index === -1) {
+        return false;
+      }
+      
+      existing[index] = { ...existing[index], updatedAt: Date.now(), ...changes };
+      return this.write(existing);
+    });
+  }
+  
+  /**
+   * Insert or replace an option as is, unless the stored copy was updated
+   * later (e.g. a change relayed from another tab)
+   * @param {object} option - Option object with `value` and `updatedAt`
+   * @returns {Promise<boolean>} Whether the option was applied
+   */
+  mergeOption(option) {
+    return this.modify(async (existing) => {
+      const index = existing.findIndex(opt => (opt.value || opt.id) === (option.value || option.id));
+      
+      if (index === -1) {
+        existing.push(option);
+      } else if (getUpdatedAt(existing[index]) > getUpdatedAt(option)) {
+        return false;
+      } else {
+        existing[index] = option;
+      }
+      
+      return this.write(existing);
+    });
   }
   
   /**
    * Export options to downloadable JSON file
    * @param {string} filename - Optional filename for export
    */
-  export(filename) {
-    const options = this.load();
+  async export(filename) {
+    const options = await this.load();
     const exportData = {
       version: '1.0',
       timestamp: Date.now(),
@@ -169,79 +305,74 @@ export class OptionStorage {
   /**
    * Import options from file
    * @param {File} file - File object to import
-   * @returns {Promise} Promise resolving to import result
+   * @returns {Promise} Import result: { success, total, added, skipped, options, addedOptions }
    */
   async import(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
+    const data = JSON.parse(await this.readFile(file));
+    
+    // Validate import data structure
+    if (!this.validateImportData(data)) {
+      throw new Error('Invalid file format');
+    }
+    
+    const importedOptions = data.options || data; // Support both formats
+    
+    // Validate each option
+    const validOptions = importedOptions.filter(this.validateOptionStructure);
+    
+    if (validOptions.length === 0) {
+      throw new Error('No valid options found in file');
+    }
+    
+    // A failed read rejects rather than importing over an empty list
+    return this.run(async () => {
+      // Merge with existing options
+      const existing = await this.read();
+      const merged = [...existing];
+      const addedOptions = [];
       
-      reader.onload = (e) => {
-        try {
-          const data = JSON.parse(e.target.result);
+      validOptions.forEach(option => {
+        // Check for duplicates
+        const isDuplicate = merged.some(existing =>
+          existing.text.toLowerCase() === option.text.toLowerCase()
+        );
+        
+        if (!isDuplicate) {
+          const added = {
+            ...option,
+            timestamp: Date.now(),
+            updatedAt: Date.now(),
+            id: this.generateId(),
+            imported: true
+          };
           
-          // Validate import data structure
-          if (!this.validateImportData(data)) {
-            throw new Error('Invalid file format');
-          }
-          
-          const importedOptions = data.options || data; // Support both formats
-          
-          // Validate each option
-          const validOptions = importedOptions.filter(this.validateOptionStructure);
-          
-          if (validOptions.length === 0) {
-            throw new Error('No valid options found in file');
-          }
-          
-          // Merge with existing options
-          const existing = this.load();
-          const merged = [...existing];
-          let addedCount = 0;
-          
-          validOptions.forEach(option => {
-            // Check for duplicates
-            const isDuplicate = merged.some(existing => 
-              existing.text.toLowerCase() === option.text.toLowerCase()
-            );
-            
-            if (!isDuplicate) {
-              merged.push({
-                ...option,
-                timestamp: Date.now(),
-                id: this.generateId(),
-                imported: true
-              });
-              addedCount++;
-            }
-          });
-          
-          // Save merged data
-          this.save(merged);
-          
-          resolve({
-            success: true,
-            total: validOptions.length,
-            added: addedCount,
-            skipped: validOptions.length - addedCount,
-            options: merged
-          });
-          
-        } catch (error) {
-          reject(error);
+          merged.push(added);
+          addedOptions.push(added);
         }
-      };
+      });
       
-      reader.onerror = () => reject(new Error('Failed to read file'));
-      reader.readAsText(file);
+      // Save merged data
+      if (!(await this.write(merged))) {
+        throw new Error('Imported options could not be saved');
+      }
+      
+      return {
+        success: true,
+        total: validOptions.length,
+        added: addedOptions.length,
+        skipped: validOptions.length - addedOptions.length,
+        options: merged,
+        addedOptions
+      };
     });
   }
   
   /**
    * Get storage statistics
-   * @returns {object} Storage usage statistics
+   * @returns {Promise<object>} Storage usage statistics
    */
-  getStats() {
-    const options = this.load();
+  async getStats() {
+    const options = await this.load();
     const now = Date.now();
     
     const stats = {
@@ -250,8 +381,11 @@ export class OptionStorage {
       imported: options.filter(opt => opt.imported).length,
       oldest: options.length > 0 ? Math.min(...options.map(opt => opt.timestamp)) : null,
       newest: options.length > 0 ? Math.max(...options.map(opt => opt.timestamp)) : null,
-      storageUsed: this.getStorageSize(),
-      maxItems: this.maxItems
+      storageUsed: await this.getStorageSize(),
+      maxItems: this.maxItems,
+      adapter: this.adapter.name || 'custom',
+      compressed: this.compressionEnabled,
+      schemaVersion: this.schemaVersion
     };
     
     if (stats.oldest) {
@@ -263,48 +397,47 @@ export class OptionStorage {
   
   /**
    * Clear all stored options
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
   clear() {
-    try {
-      if (this.isStorageAvailable('localStorage')) {
-        localStorage.removeItem(this.key);
-      }
-      if (this.isStorageAvailable('sessionStorage')) {
-        sessionStorage.removeItem(this.key);
+    return this.run(async () => {
+      try {
+        await this.adapter.removeItem(this.key);
+        return true;
+      } catch (e) {
+        console.error('Clear failed:', e);
+        return false;
       }
-      return true;
-    } catch (e) {
-      console.error('Clear failed:', e);
-      return false;
-    }
+    });
   }
   
   // Private helper methods
   
-  isStorageAvailable(type) {
-    try {
-      const storage = window[type];
-      const test = '__storage_test__';
-      storage.setItem(test, test);
-      storage.removeItem(test);
-      return true;
-    } catch (e) {
-      return false;
-    }
-  }
-  
   generateId() {
     return 'created_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
   }
   
+  /**
+   * Bytes taken by the stored (possibly compressed) data
+   */
   getStorageSize() {
-    try {
-      const data = localStorage.getItem(this.key) || sessionStorage.getItem(this.key) || '';
-      return new Blob([data]).size;
-    } catch (e) {
-      return 0;
-    }
+    return this.run(async () => {
+      try {
+        const data = await this.adapter.getItem(this.key) || '';
+        return new Blob([data]).size;
+      } catch (e) {
+        return 0;
+      }
+    });
+  }
+  
+  readFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = () => reject(new Error('Failed to read file'));
+      reader.readAsText(file);
+    });
   }
   
   validateImportData(data) {
@@ -314,21 +447,28 @@ export class OptionStorage {
   }
   
   validateOptionStructure(option) {
-    return option && 
-           typeof option.text === 'string' && 
+    return option &&
+           typeof option.text === 'string' &&
            option.text.length > 0 &&
            (option.value === undefined || typeof option.value === 'string');
   }
   
-  // Simple compression helpers (if needed for large datasets)
+  // LZ compression (compression.js); uncompressed data is still read
   compress(str) {
-    // Simple compression could be implemented here if needed
-    // For now, just return the string as-is
-    return str;
+    return COMPRESSED_PREFIX + compressToUTF16(str);
   }
   
   decompress(str) {
-    // Decompression counterpart
-    return str;
+    if (!str.startsWith(COMPRESSED_PREFIX)) return str;
+    
+    const decompressed = decompressFromUTF16(str.slice(COMPRESSED_PREFIX.length));
+    if (decompressed === null) {
+      throw new Error('Stored options are corrupt (failed to decompress)');
+    }
+    return decompressed;
   }
-}
\ No newline at end of file
+}
+
+function getUpdatedAt(option) {
+  return option.updatedAt || option.timestamp || 0;
+}
@@ -0,0 +1,247 @@
+/**
+ * Cross-tab Sync
+ * Relays changes (created options, cache invalidations, selections) to the
+ * other tabs of the same origin over a BroadcastChannel, or through
+ * localStorage `storage` events where BroadcastChannel is unavailable.
+ * Conflicting changes resolve last-writer-wins: every message carries a
+ * timestamp, and `accept()` drops anything older than the last change seen
+ * for the same key (ties go to the higher tab id).
+ */
+
+const sharedChannels = new Map(); // channel name -> { tabSync, references }
+
+export class TabSync {
+  constructor(options = {}) {
+    this.options = {
+      channel: 'tom-select-sync',
+      storageKey: null,      // localStorage key for the fallback (defaults to `${channel}_message`)
+      ...options
+    };
+    
+    this.tabId = `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 9)}`;
+    this.transport = null;   // 'broadcast' | 'storage' | null
+    this.channel = null;
+    this.lastTimestamp = 0;
+    this.versions = new Map(); // key -> { timestamp, tabId } of the latest change seen
+    this.listeners = new Map();
+    
+    this.stats = {
+      sent: 0,
+      received: 0,
+      ignored: 0
+    };
+    
+    this.handleStorage = this.handleStorage.bind(this);
+    this.connect();
+  }
+  
+  get storageKey() {
+    return this.options.storageKey || `${this.options.channel}_message`;
+  }
+  
+  connect() {
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(this.options.channel);
+      this.channel.onmessage = (event) => this.receive(event.data);
+      this.transport = 'broadcast';
+    } else if (typeof window !== 'undefined' && window.localStorage) {
+      window.addEventListener('storage', this.handleStorage);
+      this.transport = 'storage';
+    } else {
+      console.warn('[TabSync] No cross-tab transport available');
+    }
+  }
+  
+  /**
+   * A timestamp later than any this tab has used, so two changes made in
+   * the same millisecond still order correctly
+   */
+  now() {
+    this.lastTimestamp = Math.max(Date.now(), this.lastTimestamp + 1);
+    return this.lastTimestamp;
+  }
+  
+  /**
+   * Send a change to the other tabs. With a `key`, the change is recorded
+   * as the latest for that key, so older remote changes to it are ignored.
+   */
+  publish(type, payload = {}, { key = null, timestamp = this.now() } = {}) {
+    const message = {
+      type,
+      key,
+      payload,
+      timestamp,
+      tabId: this.tabId
+    };
+    
+    if (key !== null) {
+      this.accept(key, timestamp, this.tabId);
+    }
+    
+    try {
+      if (this.transport === 'broadcast') {
+        this.channel.postMessage(message);
+      } else if (this.transport === 'storage') {
+        // The nonce makes repeated messages fire a `storage` event too
+        window.localStorage.setItem(this.storageKey, JSON.stringify({ ...message, nonce: Math.random() }));
+        window.localStorage.removeItem(this.storageKey);
+      }
+      this.stats.sent++;
+    } catch (error) {
+      console.warn('[TabSync] Failed to send message:', error);
+    }
+    
+    return message;
+  }
+  
+  /**
+   * Whether a change (at `timestamp`, by `tabId`) to `key` is newer than
+   * the last one seen; if so it becomes the latest
+   */
+  accept(key, timestamp, tabId) {
+    const latest = this.versions.get(key);
+    
+    if (latest && (latest.timestamp > timestamp || (latest.timestamp === timestamp && latest.tabId >= tabId))) {
+      return false;
+    }
+    
+    this.versions.set(key, { timestamp, tabId });
+    this.lastTimestamp = Math.max(this.lastTimestamp, timestamp);
+    return true;
+  }
+  
+  handleStorage(event) {
+    if (event.key !== this.storageKey || !event.newValue) return;
+    
+    try {
+      this.receive(JSON.parse(event.newValue));
+    } catch (error) {
+      console.warn('[TabSync] Ignoring malformed message:', error);
+    }
+  }
+  
+  receive(message) {
+    if (!message?.type || message.tabId === this.tabId) return;
+    
+    if (message.key !== null && message.key !== undefined && !this.accept(message.key, message.timestamp, message.tabId)) {
+      this.stats.ignored++;
+      return;
+    }
+    
+    this.stats.received++;
+    this.notifyListeners(message.type, message);
+  }
+  
+  getStats() {
+    return {
+      ...this.stats,
+      tabId: this.tabId,
+      transport: this.transport,
+      channel: this.options.channel
+    };
+  }
+  
+  /**
+   * Stop sending and receiving. Shared instances (from getTabSync) are only
+   * closed by releaseTabSync, once no component uses them.
+   */
+  close() {
+    if (findShared(this)) {
+      console.warn('[TabSync] Not closing a shared instance - call releaseTabSync() instead');
+      return;
+    }
+    
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+    
+    if (this.transport === 'storage') {
+      window.removeEventListener('storage', this.handleStorage);
+    }
+    
+    this.transport = null;
+    this.listeners.clear();
+  }
+  
+  /**
+   * Register event listener
+   */
+  addEventListener(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+  
+  /**
+   * Remove event listener
+   */
+  removeEventListener(event, callback) {
+    if (this.listeners.has(event)) {
+      const callbacks = this.listeners.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+  
+  /**
+   * Notify all listeners of an event
+   */
+  notifyListeners(event, data = {}) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).forEach(callback => {
+        try {
+          callback({ ...data, type: event });
+        } catch (error) {
+          console.error(`Error in ${event} listener:`, error);
+        }
+      });
+    }
+  }
+}
+
+/**
+ * The TabSync shared by every component of this tab on a channel. `true`
+ * selects the default channel; a TabSync instance is returned as is. Each
+ * call takes a reference to a shared instance: give it back with
+ * releaseTabSync.
+ */
+export function getTabSync(channel = 'tom-select-sync') {
+  if (channel instanceof TabSync) {
+    const shared = findShared(channel);
+    if (shared) {
+      shared.references++;
+    }
+    return channel;
+  }
+  
+  const name = typeof channel === 'string' ? channel : 'tom-select-sync';
+  
+  if (!sharedChannels.has(name)) {
+    sharedChannels.set(name, { tabSync: new TabSync({ channel: name }), references: 0 });
+  }
+  
+  const shared = sharedChannels.get(name);
+  shared.references++;
+  return shared.tabSync;
+}
+
+/**
+ * Give back a reference taken by getTabSync; the shared instance closes
+ * when the last one is released. Other instances are left alone.
+ */
+export function releaseTabSync(tabSync) {
+  const shared = findShared(tabSync);
+  if (!shared || --shared.references > 0) return;
+  
+  sharedChannels.delete(tabSync.options.channel);
+  tabSync.close();
+}
+
+function findShared(tabSync) {
+  const shared = sharedChannels.get(tabSync?.options?.channel);
+  return shared?.tabSync === tabSync ? shared : null;
+}
@@ -4,6 +4,124 @@
  * for high-performance virtual scrolling in Tom-Select
  */
 
+// Tolerance for float drift between prefix sums and offset searches, so an
+// item's own offset always resolves to that item
+const OFFSET_EPSILON = 1e-6;
+
+/**
+ * Fenwick (binary indexed) tree over measured item heights. Each node keeps
+ * the sum and count of measured heights in its range, so unmeasured items can
+ * be priced at the current average at query time: prefix offsets, offset ->
+ * index search and height updates are all O(log n), and a change of average
+ * height never requires a rebuild.
+ */
+class HeightIndex {
+  constructor(size = 0) {
+    this.rebuild(size);
+  }
+  
+  /**
+   * Resize and rebuild in O(n) from a Map of index -> measured height
+   */
+  rebuild(size, measurements = new Map()) {
+    this.size = size;
+    this.sums = new Float64Array(size + 1);
+    this.counts = new Int32Array(size + 1);
+    this.values = new Float64Array(size);
+    this.measured = new Uint8Array(size);
+    
+    measurements.forEach((height, index) => {
+      if (index >= 0 && index < size) {
+        this.values[index] = height;
+        this.measured[index] = 1;
+        this.sums[index + 1] = height;
+        this.counts[index + 1] = 1;
+      }
+    });
+    
+    // Linear-time construction: push each node into its parent
+    for (let i = 1; i <= size; i++) {
+      const parent = i + (i & -i);
+      if (parent <= size) {
+        this.sums[parent] += this.sums[i];
+        this.counts[parent] += this.counts[i];
+      }
+    }
+    
+    // Highest power of two <= size, the starting step for searches
+    this.topStep = size > 0 ? 2 ** Math.floor(Math.log2(size)) : 0;
+  }
+  
+  /**
+   * Record a measured height
+   */
+  set(index, height) {
+    if (index < 0 || index >= this.size) return;
+    
+    const heightDelta = height - this.values[index];
+    const countDelta = this.measured[index] ? 0 : 1;
+    
+    this.values[index] = height;
+    this.measured[index] = 1;
+    this.propagate(index, heightDelta, countDelta);
+  }
+  
+  /**
+   * Forget a measured height (the item falls back to the average)
+   */
+  unset(index) {
+    if (index < 0 || index >= this.size || !this.measured[index]) return;
+    
+    this.propagate(index, -this.values[index], -1);
+    this.values[index] = 0;
+    this.measured[index] = 0;
+  }
+  
+  propagate(index, heightDelta, countDelta) {
+    for (let i = index + 1; i <= this.size; i += i & -i) {
+      this.sums[i] += heightDelta;
+      this.counts[i] += countDelta;
+    }
+  }
+  
+  /**
+   * Total height of items [0, index), pricing unmeasured items at estimate
+   */
+  prefix(index, estimate) {
+    let sum = 0;
+    let count = 0;
+    
+    for (let i = Math.min(index, this.size); i > 0; i -= i & -i) {
+      sum += this.sums[i];
+      count += this.counts[i];
+    }
+    
+    return sum + (Math.min(index, this.size) - count) * estimate;
+  }
+  
+  /**
+   * Index of the item containing the offset (may equal size past the end)
+   */
+  search(offset, estimate) {
+    let position = 0;
+    let remaining = offset + OFFSET_EPSILON;
+    
+    for (let step = this.topStep; step > 0; step >>= 1) {
+      const next = position + step;
+      if (next > this.size) continue;
+      
+      // Node `next` covers exactly `step` items
+      const span = this.sums[next] + (step - this.counts[next]) * estimate;
+      if (span <= remaining) {
+        position = next;
+        remaining -= span;
+      }
+    }
+    
+    return position;
+  }
+}
+
 /**
  * Core virtual scrolling engine that manages viewport calculations
  * and item positioning for massive datasets
@@ -16,6 +134,10 @@ export class VirtualScrollCore {
       bufferSize: 10,          // Items to render outside viewport
       preloadSize: 100,        // Items to preload ahead
       maxMeasurements: 1000,   // Maximum height measurements to cache
+      scrollAnchoring: true,   // Keep the first visible item in place when heights above it change
+      layout: 'list',          // 'list' (one item per row) or 'grid' (row-based virtualization)
+      columns: 'auto',         // Grid column count, or 'auto' to fit minColumnWidth
+      minColumnWidth: 64,      // Narrowest grid cell when columns is 'auto'
       ...options
     };
     
@@ -27,11 +149,24 @@ export class VirtualScrollCore {
       clientHeight: 300
     };
     
-    // Item measurements and calculations
+    // Item measurements and calculations. Heights are measured per row; in
+    // the list layout every row holds exactly one item.
+    this.columnCount = this.options.layout === 'grid' && typeof this.options.columns === 'number'
+      ? Math.max(1, this.options.columns)
+      : 1;
     this.itemHeights = new Map();
+    this.heightIndex = new HeightIndex(0);  // O(log n) offset <-> row lookups
+    this.measuredHeightSum = 0;
     this.averageItemHeight = this.options.itemHeight;
     this.totalHeight = 0;
-    this.totalItems = 0;
+    this.totalItems = 0;            // Items left after exclusions (the virtual index space)
+    this.sourceItemCount = 0;       // Items as passed to setTotalItems
+    
+    // Excluded source ranges (collapsed groups), sorted and merged
+    this.excludedRanges = [];
+    this.excludedStarts = [];
+    this.excludedVirtualStarts = [];
+    this.excludedThrough = [];
     
     // Visible range tracking
     this.visibleRange = { start: 0, end: 50 };
@@ -42,7 +177,8 @@ export class VirtualScrollCore {
       measurements: 0,
       calculations: 0,
       renders: 0,
-      scrollEvents: 0
+      scrollEvents: 0,
+      anchorAdjustments: 0
     };
     
     // Intersection observer for efficient viewport detection
@@ -89,7 +225,7 @@ export class VirtualScrollCore {
    * Calculate current viewport dimensions and scroll position
    */
   calculateViewport() {
-    const dropdown = this.tomSelect.dropdown;
+    const dropdown = this.getScrollElement();
     if (!dropdown) {
       console.warn('[VirtualCore] No dropdown element found');
       return;
@@ -106,6 +242,9 @@ export class VirtualScrollCore {
       clientHeight: dropdown.clientHeight
     };
     
+    // Responsive grids re-wrap when the dropdown width changes
+    this.updateColumnCount(dropdown.clientWidth);
+    
     // Calculate which items should be visible
     this.calculateVisibleRange();
     
@@ -119,13 +258,13 @@ export class VirtualScrollCore {
     const { top, height } = this.viewport;
     const buffer = this.options.bufferSize;
     
-    // Calculate start and end indices using cumulative heights
-    let startIndex = this.findItemAtOffset(top) - buffer;
-    let endIndex = this.findItemAtOffset(top + height) + buffer;
+    // Calculate start and end rows using cumulative heights
+    const startRow = this.findRowAtOffset(top) - buffer;
+    const endRow = this.findRowAtOffset(top + height) + buffer;
     
-    // Clamp to dataset bounds
-    startIndex = Math.max(0, startIndex);
-    endIndex = Math.min(this.totalItems - 1, endIndex);
+    // Expand rows to item indices and clamp to dataset bounds
+    const startIndex = Math.max(0, startRow * this.columnCount);
+    const endIndex = Math.min(this.totalItems - 1, (endRow + 1) * this.columnCount - 1);
     
     // Update visible range
     const oldRange = this.visibleRange;
@@ -140,29 +279,103 @@ export class VirtualScrollCore {
   }
   
   /**
-   * Find which item is at a given scroll offset
+   * Get the element that scrolls (the virtual container when one is attached)
    */
-  findItemAtOffset(offset) {
-    if (offset <= 0) return 0;
-    if (this.itemHeights.size === 0) {
-      // No measurements yet, use average
-      return Math.floor(offset / this.averageItemHeight);
+  getScrollElement() {
+    return this.dropdown || this.tomSelect?.dropdown || null;
+  }
+  
+  /**
+   * Whether items are laid out in a multi-column grid
+   */
+  isGrid() {
+    return this.options.layout === 'grid';
+  }
+  
+  /**
+   * Number of rows the items wrap into
+   */
+  getRowCount() {
+    return Math.ceil(this.totalItems / this.columnCount);
+  }
+  
+  /**
+   * Grid coordinates of an item
+   */
+  getItemPosition(index) {
+    return {
+      row: Math.floor(index / this.columnCount),
+      column: index % this.columnCount
+    };
+  }
+  
+  /**
+   * Item index at grid coordinates
+   */
+  getItemIndex(row, column) {
+    return row * this.columnCount + Math.min(Math.max(0, column), this.columnCount - 1);
+  }
+  
+  /**
+   * Recompute the column count for a responsive grid. Row heights were
+   * measured for the old wrapping, so they are dropped and the first visible
+   * item is kept in view.
+   */
+  updateColumnCount(width) {
+    if (!this.isGrid()) return false;
+    
+    const { columns, minColumnWidth } = this.options;
+    let count;
+    
+    if (typeof columns === 'number') {
+      count = Math.max(1, columns);
+    } else if (width > 0) {
+      count = Math.max(1, Math.floor(width / minColumnWidth));
+    } else {
+      return false;
     }
     
-    let currentOffset = 0;
-    let itemIndex = 0;
+    if (count === this.columnCount) return false;
     
-    // Walk through measured items
-    for (let i = 0; i < this.totalItems; i++) {
-      const itemHeight = this.itemHeights.get(i) || this.averageItemHeight;
-      if (currentOffset + itemHeight > offset) {
-        return i;
-      }
-      currentOffset += itemHeight;
-      itemIndex = i;
+    const anchorIndex = this.findItemAtOffset(this.viewport.scrollTop);
+    
+    this.columnCount = count;
+    this.itemHeights.clear();
+    this.measuredHeightSum = 0;
+    this.heightIndex.rebuild(this.getRowCount());
+    
+    const scrollElement = this.getScrollElement();
+    if (scrollElement && this.viewport.scrollTop > 0) {
+      const scrollTop = this.getItemOffset(anchorIndex);
+      scrollElement.scrollTop = scrollTop;
+      this.viewport.scrollTop = scrollTop;
+      this.viewport.top = scrollTop;
     }
     
-    return itemIndex;
+    console.log(`[VirtualCore] Grid columns set to ${count}`);
+    return true;
+  }
+  
+  /**
+   * Find which row is at a given scroll offset
+   */
+  findRowAtOffset(offset) {
+    if (offset <= 0) return 0;
+    if (this.itemHeights.size === 0) {
+      // No measurements yet, use average
+      return Math.floor((offset + OFFSET_EPSILON) / this.averageItemHeight);
+    }
+    
+    // Descend the height index; clamp to the last row like a full walk would
+    const row = this.heightIndex.search(offset, this.averageItemHeight);
+    return Math.min(row, Math.max(0, this.getRowCount() - 1));
+  }
+  
+  /**
+   * Find which item is at a given scroll offset (first item of its row)
+   */
+  findItemAtOffset(offset) {
+    return this.findRowAtOffset(offset) * this.columnCount;
   }
   
   /**
@@ -174,43 +387,80 @@ export class VirtualScrollCore {
       return;
     }
     
-    const oldHeight = this.itemHeights.get(index) || this.averageItemHeight;
-    this.itemHeights.set(index, height);
-    
-    // Update total height
-    this.totalHeight += (height - oldHeight);
+    // Cells in a grid row share the row's height
+    const row = Math.floor(index / this.columnCount);
+    const oldHeight = this.itemHeights.get(row) || this.averageItemHeight;
     
-    // Update average height (weighted average to smooth out outliers)
-    const totalMeasured = this.itemHeights.size;
-    if (totalMeasured > 10) {
-      const sum = Array.from(this.itemHeights.values()).reduce((a, b) => a + b, 0);
-      const newAverage = sum / totalMeasured;
+    this.preserveScrollAnchor(() => {
+      this.measuredHeightSum += height - (this.itemHeights.get(row) || 0);
+      this.itemHeights.set(row, height);
+      this.heightIndex.set(row, height);
       
-      // Smooth transition to new average (avoid sudden jumps)
-      this.averageItemHeight = (this.averageItemHeight * 0.8) + (newAverage * 0.2);
-    }
-    
-    // Cleanup old measurements if we exceed the limit
-    if (this.itemHeights.size > this.options.maxMeasurements) {
-      this.cleanupOldMeasurements();
-    }
+      // Update total height
+      this.totalHeight += (height - oldHeight);
+      
+      // Update average height (weighted average to smooth out outliers)
+      const totalMeasured = this.itemHeights.size;
+      if (totalMeasured > 10) {
+        const newAverage = this.measuredHeightSum / totalMeasured;
+        
+        // Smooth transition to new average (avoid sudden jumps)
+        this.averageItemHeight = (this.averageItemHeight * 0.8) + (newAverage * 0.2);
+      }
+      
+      // Cleanup old measurements if we exceed the limit
+      if (this.itemHeights.size > this.options.maxMeasurements) {
+        this.cleanupOldMeasurements();
+      }
+    });
     
     this.stats.measurements++;
     
     console.log(`[VirtualCore] Updated item ${index} height: ${height}px (avg: ${this.averageItemHeight.toFixed(1)}px)`);
   }
   
+  /**
+   * Run a change that may move items, then restore the scroll position so
+   * the first visible item stays where it was on screen
+   */
+  preserveScrollAnchor(mutate) {
+    const scrollElement = this.getScrollElement();
+    const scrollTop = this.viewport.scrollTop;
+    
+    if (!this.options.scrollAnchoring || !scrollElement || scrollTop <= 0) {
+      mutate();
+      return;
+    }
+    
+    const anchorRow = this.findRowAtOffset(scrollTop);
+    const offsetWithinAnchor = scrollTop - this.getRowOffset(anchorRow);
+    
+    mutate();
+    
+    const anchoredScrollTop = this.getRowOffset(anchorRow) + offsetWithinAnchor;
+    
+    if (Math.abs(anchoredScrollTop - scrollTop) >= 1) {
+      scrollElement.scrollTop = anchoredScrollTop;
+      this.viewport.scrollTop = anchoredScrollTop;
+      this.viewport.top = anchoredScrollTop;
+      this.stats.anchorAdjustments++;
+    }
+  }
+  
   /**
    * Clean up old height measurements to prevent memory bloat
    */
   cleanupOldMeasurements() {
-    const { start, end } = this.visibleRange;
+    const start = Math.floor(this.visibleRange.start / this.columnCount);
+    const end = Math.floor(this.visibleRange.end / this.columnCount);
     const keepBuffer = this.options.bufferSize * 5; // Keep 5x buffer worth of measurements
     
     // Remove measurements outside the extended range
-    for (const [index] of this.itemHeights) {
-      if (index < start - keepBuffer || index > end + keepBuffer) {
-        this.itemHeights.delete(index);
+    for (const [row, height] of this.itemHeights) {
+      if (row < start - keepBuffer || row > end + keepBuffer) {
+        this.itemHeights.delete(row);
+        this.heightIndex.unset(row);
+        this.measuredHeightSum -= height;
       }
     }
     
@@ -222,15 +472,31 @@ export class VirtualScrollCore {
    */
   getItemOffset(index) {
     if (index <= 0) return 0;
+    return this.getRowOffset(Math.floor(index / this.columnCount));
+  }
+  
+  /**
+   * Get the vertical offset for a specific row
+   */
+  getRowOffset(row) {
+    if (row <= 0) return 0;
     
-    let offset = 0;
-    
-    // Sum heights of all items before this one
-    for (let i = 0; i < index && i < this.totalItems; i++) {
-      offset += this.itemHeights.get(i) || this.averageItemHeight;
-    }
-    
-    return offset;
+    // Sum heights of all rows before this one (measured + estimated)
+    return this.heightIndex.prefix(Math.min(row, this.getRowCount()), this.averageItemHeight);
+  }
+  
+  /**
+   * Get the measured (or estimated) height of a row
+   */
+  getRowHeight(row) {
+    return this.itemHeights.get(row) || this.averageItemHeight;
+  }
+  
+  /**
+   * Whether the row holding an item has been measured
+   */
+  hasItemHeight(index) {
+    return this.itemHeights.has(Math.floor(index / this.columnCount));
   }
   
   /**
@@ -238,15 +504,11 @@ export class VirtualScrollCore {
    */
   getTotalHeight() {
     if (this.itemHeights.size === 0) {
-      return this.totalItems * this.averageItemHeight;
+      return this.getRowCount() * this.averageItemHeight;
     }
     
-    // Calculate based on measured + estimated items
-    const measuredHeight = Array.from(this.itemHeights.values()).reduce((a, b) => a + b, 0);
-    const unmeasuredItems = this.totalItems - this.itemHeights.size;
-    const estimatedHeight = unmeasuredItems * this.averageItemHeight;
-    
-    return measuredHeight + estimatedHeight;
+    // Calculate based on measured + estimated rows
+    return this.heightIndex.prefix(this.getRowCount(), this.averageItemHeight);
   }
   
   /**
@@ -259,7 +521,7 @@ export class VirtualScrollCore {
     }
     
     const itemOffset = this.getItemOffset(index);
-    const itemHeight = this.itemHeights.get(index) || this.averageItemHeight;
+    const itemHeight = this.getRowHeight(Math.floor(index / this.columnCount));
     const viewportHeight = this.viewport.height;
     
     let scrollTop;
@@ -281,7 +543,7 @@ export class VirtualScrollCore {
     scrollTop = Math.max(0, Math.min(scrollTop, this.getTotalHeight() - viewportHeight));
     
     // Apply scroll
-    const dropdown = this.tomSelect.dropdown;
+    const dropdown = this.getScrollElement();
     if (dropdown) {
       if (smooth && 'scrollTo' in dropdown) {
         dropdown.scrollTo({
@@ -300,13 +562,167 @@ export class VirtualScrollCore {
   }
   
   /**
-   * Set total number of items in the dataset
+   * Set total number of items in the dataset. Pass excludedRanges to swap
+   * exclusions along with the data (no scroll anchoring - the items changed).
    */
-  setTotalItems(count) {
-    this.totalItems = count;
+  setTotalItems(count, excludedRanges = this.excludedRanges) {
+    this.sourceItemCount = count;
+    this.applyExcludedRanges(excludedRanges);
+    
     console.log(`[VirtualCore] Total items set to ${count}`);
   }
   
+  /**
+   * Exclude source index ranges ([start, end], inclusive) from the virtual
+   * list - e.g. the items of collapsed groups. Excluded items take no space
+   * and are never rendered; the first visible item stays in place.
+   */
+  setExcludedRanges(ranges) {
+    const scrollTop = this.viewport.scrollTop;
+    const anchorVirtual = this.findItemAtOffset(scrollTop);
+    const offsetWithinAnchor = scrollTop - this.getItemOffset(anchorVirtual);
+    const anchorSource = this.toSourceIndex(anchorVirtual);
+    
+    // Carry row measurements over by source index (rows re-wrap in a grid)
+    const measurements = this.isGrid() ? [] : Array.from(this.itemHeights, ([row, height]) => [this.toSourceIndex(row), height]);
+    
+    this.applyExcludedRanges(ranges);
+    
+    this.itemHeights.clear();
+    this.measuredHeightSum = 0;
+    measurements.forEach(([source, height]) => {
+      const row = this.toVirtualIndex(source);
+      if (row !== -1) {
+        this.itemHeights.set(row, height);
+        this.measuredHeightSum += height;
+      }
+    });
+    this.heightIndex.rebuild(this.getRowCount(), this.itemHeights);
+    
+    // Keep the anchor item in view, or the item just before its hidden range
+    let anchor = this.toVirtualIndex(anchorSource);
+    let within = offsetWithinAnchor;
+    if (anchor === -1) {
+      const range = this.excludedRanges.find(([start, end]) => anchorSource >= start && anchorSource <= end);
+      anchor = Math.max(0, this.toVirtualIndex(range[0] - 1));
+      within = 0;
+    }
+    
+    const scrollElement = this.getScrollElement();
+    if (scrollElement && scrollTop > 0) {
+      const anchoredScrollTop = this.getItemOffset(anchor) + within;
+      scrollElement.scrollTop = anchoredScrollTop;
+      this.viewport.scrollTop = anchoredScrollTop;
+      this.viewport.top = anchoredScrollTop;
+    }
+    
+    this.calculateVisibleRange();
+    
+    console.log(`[VirtualCore] Excluded ${this.sourceItemCount - this.totalItems} items in ${this.excludedRanges.length} ranges`);
+  }
+  
+  /**
+   * Exclude one source range
+   */
+  excludeRange(start, end) {
+    this.setExcludedRanges([...this.excludedRanges, [start, end]]);
+  }
+  
+  /**
+   * Bring a source range back into the virtual list
+   */
+  includeRange(start, end) {
+    const ranges = [];
+    
+    this.excludedRanges.forEach(([rangeStart, rangeEnd]) => {
+      if (rangeEnd < start || rangeStart > end) {
+        ranges.push([rangeStart, rangeEnd]);
+        return;
+      }
+      if (rangeStart < start) ranges.push([rangeStart, start - 1]);
+      if (rangeEnd > end) ranges.push([end + 1, rangeEnd]);
+    });
+    
+    this.setExcludedRanges(ranges);
+  }
+  
+  /**
+   * Normalize excluded ranges against the source count and derive the
+   * virtual item count
+   */
+  applyExcludedRanges(ranges) {
+    const sorted = ranges
+      .map(([start, end]) => [Math.max(0, start), Math.min(this.sourceItemCount - 1, end)])
+      .filter(([start, end]) => start <= end)
+      .sort((a, b) => a[0] - b[0]);
+    
+    // Merge overlapping and adjacent ranges
+    this.excludedRanges = [];
+    sorted.forEach(range => {
+      const last = this.excludedRanges[this.excludedRanges.length - 1];
+      if (last && range[0] <= last[1] + 1) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        this.excludedRanges.push([...range]);
+      }
+    });
+    
+    // Per range: where it would start in virtual space and how many items
+    // are excluded up to and including it, for O(log k) index mapping
+    let excluded = 0;
+    this.excludedStarts = this.excludedRanges.map(range => range[0]);
+    this.excludedVirtualStarts = [];
+    this.excludedThrough = [];
+    this.excludedRanges.forEach(([start, end]) => {
+      this.excludedVirtualStarts.push(start - excluded);
+      excluded += end - start + 1;
+      this.excludedThrough.push(excluded);
+    });
+    
+    this.totalItems = this.sourceItemCount - excluded;
+    
+    if (this.getRowCount() !== this.heightIndex.size) {
+      this.heightIndex.rebuild(this.getRowCount(), this.itemHeights);
+    }
+  }
+  
+  /**
+   * Map a virtual index to its source index
+   */
+  toSourceIndex(virtualIndex) {
+    const i = this.findLastRangeAtOrBefore(this.excludedVirtualStarts, virtualIndex);
+    return i === -1 ? virtualIndex : virtualIndex + this.excludedThrough[i];
+  }
+  
+  /**
+   * Map a source index to its virtual index (-1 when excluded)
+   */
+  toVirtualIndex(sourceIndex) {
+    const i = this.findLastRangeAtOrBefore(this.excludedStarts, sourceIndex);
+    
+    if (i === -1) return sourceIndex;
+    if (sourceIndex <= this.excludedRanges[i][1]) return -1;
+    return sourceIndex - this.excludedThrough[i];
+  }
+  
+  findLastRangeAtOrBefore(starts, value) {
+    let low = 0;
+    let high = starts.length - 1;
+    let found = -1;
+    
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (starts[mid] <= value) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    
+    return found;
+  }
+  
   /**
    * Get visible range for rendering
    */
@@ -321,12 +737,26 @@ export class VirtualScrollCore {
     const { start, end } = this.visibleRange;
     const items = [];
     
+    // One index lookup for the first row, then accumulate row by row
+    let row = Math.floor(Math.max(0, start) / this.columnCount);
+    let offset = this.getRowOffset(row);
+    
     for (let i = start; i <= end; i++) {
       if (i >= 0 && i < this.totalItems) {
+        const position = this.getItemPosition(i);
+        
+        while (row < position.row) {
+          offset += this.getRowHeight(row);
+          row++;
+        }
+        
         items.push({
           index: i,
-          offset: this.getItemOffset(i),
-          height: this.itemHeights.get(i) || this.averageItemHeight
+          sourceIndex: this.toSourceIndex(i),
+          offset,
+          height: this.getRowHeight(row),
+          row: position.row,
+          column: position.column
         });
       }
     }
@@ -404,6 +834,9 @@ export class VirtualScrollCore {
     return {
       ...this.stats,
       totalItems: this.totalItems,
+      excludedItems: this.sourceItemCount - this.totalItems,
+      layout: this.options.layout,
+      columns: this.columnCount,
       measuredItems: this.itemHeights.size,
       averageHeight: this.averageItemHeight,
       totalHeight: this.getTotalHeight(),
@@ -417,6 +850,8 @@ export class VirtualScrollCore {
    */
   reset() {
     this.itemHeights.clear();
+    this.heightIndex.rebuild(this.getRowCount());
+    this.measuredHeightSum = 0;
     this.renderedItems.clear();
     this.averageItemHeight = this.options.itemHeight;
     this.totalHeight = 0;
@@ -425,7 +860,8 @@ export class VirtualScrollCore {
       measurements: 0,
       calculations: 0,
       renders: 0,
-      scrollEvents: 0
+      scrollEvents: 0,
+      anchorAdjustments: 0
     };
     
     console.log('[VirtualCore] Reset completed');
@@ -446,6 +882,7 @@ export class VirtualScrollCore {
     }
     
     this.itemHeights.clear();
+    this.heightIndex.rebuild(0);
     this.renderedItems.clear();
     
     console.log('[VirtualCore] Destroyed and cleaned up');
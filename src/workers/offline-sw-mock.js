@@ -0,0 +1,10 @@
+/**
+ * Offline Service Worker with the mock API (local testing)
+ * Runs offline-sw.js with API calls answered by the mock API. A separate
+ * entry so the mock API and its data stay out of the production worker.
+ */
+
+import { handleMockApiRequest } from '../utils/mock-api.js';
+import { setApiHandler } from './offline-sw.js';
+
+setApiHandler(handleMockApiRequest);
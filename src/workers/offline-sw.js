@@ -0,0 +1,282 @@
+/**
+ * Offline Service Worker for Remote Selects
+ * Precaches fallback data and caches search API responses with a
+ * configurable strategy. Every cached-path response is tagged with an
+ * `X-SW-Source` header (network, cache or stale) and reported to the page
+ * as a `response` message. Registered by OfflineServiceWorker
+ * (utils/service-worker.js), which passes the options in the script URL.
+ * The mock API is not part of this worker: offline-sw-mock.js wraps it for
+ * local testing (service workers can't load modules with import()).
+ */
+
+const STRATEGIES = ['network-first', 'cache-first', 'stale-while-revalidate'];
+
+const params = new URL(self.location.href).searchParams;
+const list = (value, fallback) => (value ?? fallback).split(',').map(entry => entry.trim()).filter(Boolean);
+
+const config = {
+  version: params.get('version') || 'v1',
+  strategy: STRATEGIES.includes(params.get('strategy')) ? params.get('strategy') : 'network-first',
+  precache: list(params.get('precache'), '/data/fallback.json'),
+  cachePaths: list(params.get('cache'), '/api/search'),
+  apiBase: params.get('api') || '/api',
+  networkTimeout: Number(params.get('timeout')) || 3000,
+  maxEntries: Number(params.get('maxEntries')) || 200,
+  offline: false                          // Simulated outage, set via the `configure` message
+};
+
+// Answers API calls instead of the network when set (see setApiHandler)
+let apiHandler = null;
+
+/**
+ * Answer API calls with `handler(url, init, apiBase)` instead of the
+ * network, e.g. the mock API. Call it while the worker script evaluates.
+ */
+export function setApiHandler(handler) {
+  apiHandler = handler;
+}
+
+const PRECACHE = `tom-select-precache-${config.version}`;
+const RUNTIME = `tom-select-api-${config.version}`;
+
+const stats = {
+  network: 0,
+  cache: 0,
+  stale: 0,
+  revalidated: 0,
+  failed: 0
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(PRECACHE);
+    
+    // One missing file shouldn't keep the worker from installing
+    await Promise.all(config.precache.map(url => cache.add(url).catch(error => {
+      console.warn(`[OfflineSW] Failed to precache ${url}:`, error);
+    })));
+    
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [PRECACHE, RUNTIME];
+    const names = await caches.keys();
+    
+    await Promise.all(names
+      .filter(name => name.startsWith('tom-select-') && !keep.includes(name))
+      .map(name => caches.delete(name)));
+    
+    await self.clients.claim();
+    console.log(`[OfflineSW] Active (${config.strategy}${apiHandler ? ', mock API' : ''})`);
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (url.origin !== self.location.origin) return;
+  
+  if (event.request.method === 'GET' && config.cachePaths.some(path => url.pathname.startsWith(path))) {
+    event.respondWith(handleCachedRequest(event));
+  } else if (config.precache.includes(url.pathname)) {
+    event.respondWith(handlePrecachedRequest(event.request));
+  } else if (apiHandler && url.pathname.startsWith(`${config.apiBase}/`)) {
+    event.respondWith(fetchFromNetwork(event.request));
+  }
+});
+
+/**
+ * Requests and replies over a MessageChannel (`event.ports[0]`):
+ *   { type: 'status' }                     -> { config, stats, entries }
+ *   { type: 'configure', strategy, offline } -> { config }
+ *   { type: 'clear' }                      -> { cleared }
+ */
+self.addEventListener('message', (event) => {
+  const reply = (data) => event.ports[0]?.postMessage(data);
+  const message = event.data || {};
+  
+  event.waitUntil((async () => {
+    switch (message.type) {
+      case 'status': {
+        const cache = await caches.open(RUNTIME);
+        reply({ config, stats, entries: (await cache.keys()).length });
+        break;
+      }
+      
+      case 'configure':
+        if (STRATEGIES.includes(message.strategy)) {
+          config.strategy = message.strategy;
+        }
+        if (typeof message.offline === 'boolean') {
+          config.offline = message.offline;
+        }
+        reply({ config });
+        break;
+      
+      case 'clear':
+        reply({ cleared: await caches.delete(RUNTIME) });
+        break;
+      
+      default:
+        reply({ error: `Unknown message type "${message.type}"` });
+    }
+  })());
+});
+
+/**
+ * Answer a cached-path request with the configured strategy
+ */
+async function handleCachedRequest(event) {
+  const { request } = event;
+  const cache = await caches.open(RUNTIME);
+  
+  const fromCache = async (source) => {
+    const cached = await cache.match(request, { ignoreVary: true });
+    return cached ? tagResponse(cached, source) : null;
+  };
+  
+  const fromNetwork = async () => {
+    const response = await fetchFromNetwork(request);
+    
+    // 304s and errors leave the cached copy alone
+    if (response.status === 200) {
+      await cache.put(request, await stampResponse(response.clone()));
+      await trimCache(cache);
+    }
+    
+    return tagResponse(response, 'network');
+  };
+  
+  let response = null;
+  
+  try {
+    if (config.strategy === 'cache-first') {
+      response = await fromCache('cache') || await fromNetwork();
+    
+    } else if (config.strategy === 'stale-while-revalidate') {
+      response = await fromCache('stale');
+      
+      if (response) {
+        event.waitUntil(fromNetwork().then(() => {
+          stats.revalidated++;
+          notifyClient(event.clientId, { type: 'revalidated', url: request.url });
+        }).catch(() => {}));
+      } else {
+        response = await fromNetwork();
+      }
+    
+    } else {
+      try {
+        response = await fromNetwork();
+      } catch (error) {
+        response = await fromCache('cache');
+        if (!response) throw error;
+      }
+    }
+  } catch (error) {
+    stats.failed++;
+    notifyClient(event.clientId, { type: 'response', url: request.url, source: 'failed', strategy: config.strategy });
+    
+    return new Response(JSON.stringify({
+      error: { message: 'Offline and not cached', type: 'offline', timestamp: new Date().toISOString() }
+    }), {
+      status: 503,
+      statusText: 'Service Unavailable',
+      headers: { 'Content-Type': 'application/json', 'X-SW-Source': 'failed' }
+    });
+  }
+  
+  const source = response.headers.get('X-SW-Source');
+  stats[source]++;
+  
+  notifyClient(event.clientId, {
+    type: 'response',
+    url: request.url,
+    source,
+    strategy: config.strategy,
+    cachedAt: Number(response.headers.get('X-SW-Cached-At')) || null
+  });
+  
+  return response;
+}
+
+/**
+ * Fallback data: network first (it may change), precache when offline
+ */
+async function handlePrecachedRequest(request) {
+  try {
+    return await fetchFromNetwork(request);
+  } catch (error) {
+    const cached = await caches.match(request, { cacheName: PRECACHE });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * The network, or the mock API when testing locally. Gives up after
+ * `networkTimeout` so network-first falls back to the cache quickly.
+ */
+async function fetchFromNetwork(request) {
+  if (config.offline) {
+    throw new TypeError('Simulated offline');
+  }
+  
+  if (apiHandler && new URL(request.url).pathname.startsWith(`${config.apiBase}/`)) {
+    return apiHandler(request.url, {
+      method: request.method,
+      headers: Object.fromEntries(request.headers),
+      body: request.method === 'GET' || request.method === 'HEAD' ? undefined : await request.clone().text()
+    }, config.apiBase);
+  }
+  
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), config.networkTimeout);
+  
+  try {
+    return await fetch(request, { signal: controller.signal });
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Copy of a response with extra headers
+ */
+async function withHeaders(response, headers) {
+  const merged = new Headers(response.headers);
+  Object.entries(headers).forEach(([name, value]) => merged.set(name, value));
+  
+  return new Response(response.status === 304 ? null : await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: merged
+  });
+}
+
+function stampResponse(response) {
+  return withHeaders(response, { 'X-SW-Cached-At': String(Date.now()) });
+}
+
+function tagResponse(response, source) {
+  return withHeaders(response, { 'X-SW-Source': source });
+}
+
+/**
+ * Keep the runtime cache under `maxEntries` (oldest entries go first)
+ */
+async function trimCache(cache) {
+  const keys = await cache.keys();
+  const excess = keys.length - config.maxEntries;
+  
+  for (let i = 0; i < excess; i++) {
+    await cache.delete(keys[i]);
+  }
+}
+
+async function notifyClient(clientId, message) {
+  const client = clientId ? await self.clients.get(clientId) : null;
+  client?.postMessage({ from: 'offline-sw', ...message });
+}
@@ -4,11 +4,27 @@
  * Prevents main thread blocking during intensive search operations
  */
 
+import { SearchSchema, editDistance } from '../utils/search-schema.js';
+import { decodeColumnar } from '../utils/columnar-dataset.js';
+import { parseQuery, matchesQuery } from '../utils/query-parser.js';
+import { FacetCounter, matchesFacets, hasFacetSelection } from '../utils/facets.js';
+
+// Padding character marking word boundaries in trigrams
+const TRIGRAM_BOUNDARY = '$';
+
 // Worker-specific search utilities and algorithms
 class SearchProcessor {
   constructor() {
-    this.searchIndex = new Map();
-    this.dataset = [];
+    this.searchIndex = new Map();   // term -> Set of item indices
+    this.trigramIndex = new Map();  // trigram -> Set of terms
+    this.vocabulary = [];           // Sorted terms for prefix lookups
+    this.schema = new SearchSchema();
+    this.dataset = [];              // Removed items leave a null slot so indices stay stable
+    this.itemTerms = [];            // item index -> terms it was indexed under
+    this.keyIndex = new Map();      // item key -> item index
+    this.keyField = 'value';
+    this.itemCount = 0;
+    this.expectedItems = 0;         // Announced size of a streamed initialization
     this.initialized = false;
   }
   
@@ -17,12 +33,54 @@ class SearchProcessor {
    */
   initialize(data) {
     this.dataset = Array.isArray(data) ? data : (data.items || []);
+    this.schema = new SearchSchema(Array.isArray(data) ? undefined : data.schema);
+    this.keyField = (!Array.isArray(data) && data.keyField) || 'value';
     this.buildSearchIndex();
     this.initialized = true;
     
     return {
       success: true,
-      totalItems: this.dataset.length,
+      totalItems: this.itemCount,
+      indexSize: this.searchIndex.size
+    };
+  }
+  
+  /**
+   * Start a streamed initialization; items then arrive as columnar chunks
+   */
+  beginStream(data) {
+    this.clear();
+    this.schema = new SearchSchema(data.schema);
+    this.keyField = data.keyField || 'value';
+    this.expectedItems = data.totalItems || 0;
+    
+    console.log(`[SearchWorker] Streaming ${this.expectedItems} items...`);
+    
+    return { success: true };
+  }
+  
+  /**
+   * Decode and index one transferred columnar chunk
+   */
+  appendChunk(encoded) {
+    decodeColumnar(encoded).forEach(item => this.insertItem(item, false));
+    
+    return {
+      loaded: this.itemCount,
+      total: this.expectedItems
+    };
+  }
+  
+  /**
+   * Finish a streamed initialization and open the index for searches
+   */
+  completeStream() {
+    this.finalizeIndex();
+    this.initialized = true;
+    
+    return {
+      success: true,
+      totalItems: this.itemCount,
       indexSize: this.searchIndex.size
     };
   }
@@ -32,129 +90,302 @@ class SearchProcessor {
    */
   buildSearchIndex() {
     console.log('[SearchWorker] Building search index...');
+    const items = this.dataset;
+    
+    this.resetIndex();
+    items.forEach(item => this.insertItem(item, false));
+    this.finalizeIndex();
+  }
+  
+  /**
+   * Drop all indexed items and terms
+   */
+  resetIndex() {
+    this.dataset = [];
     this.searchIndex.clear();
+    this.trigramIndex.clear();
+    this.vocabulary = [];
+    this.itemTerms = [];
+    this.keyIndex.clear();
+    this.itemCount = 0;
+  }
+  
+  /**
+   * Sort the vocabulary once after bulk indexing
+   */
+  finalizeIndex() {
+    this.vocabulary = Array.from(this.searchIndex.keys()).sort();
     
-    this.dataset.forEach((item, index) => {
-      // Extract all searchable terms
-      const terms = this.extractSearchTerms(item);
+    console.log(`[SearchWorker] Index built with ${this.searchIndex.size} terms, ${this.trigramIndex.size} trigrams`);
+  }
+  
+  /**
+   * Resolve the identity of an item (keyField, then id, then its position)
+   */
+  getItemKey(item, index) {
+    return item[this.keyField] ?? item.id ?? index;
+  }
+  
+  /**
+   * Add items whose keys are not indexed yet; duplicates are skipped
+   */
+  add(items) {
+    this.assertInitialized();
+    let added = 0;
+    
+    const slots = this.toItemArray(items).map(item => {
+      if (this.keyIndex.has(this.getItemKey(item, this.dataset.length))) {
+        return -1;
+      }
       
-      // Add to inverted index
-      terms.forEach(term => {
-        if (!this.searchIndex.has(term)) {
-          this.searchIndex.set(term, []);
-        }
-        this.searchIndex.get(term).push({
-          index,
-          item,
-          relevance: this.getTermRelevance(term, item)
-        });
-      });
+      added++;
+      return this.insertItem(item);
     });
     
-    console.log(`[SearchWorker] Index built with ${this.searchIndex.size} terms`);
+    return this.getMutationResult({ added }, slots);
   }
   
   /**
-   * Extract searchable terms from an item
+   * Replace items that are already indexed, matched by key
    */
-  extractSearchTerms(item) {
-    const terms = new Set();
-    
-    // Process text fields
-    const textFields = ['text', 'description', 'category'];
-    textFields.forEach(field => {
-      if (item[field] && typeof item[field] === 'string') {
-        const fieldTerms = this.tokenize(item[field]);
-        fieldTerms.forEach(term => terms.add(term));
+  update(items) {
+    this.assertInitialized();
+    let updated = 0;
+    
+    const slots = this.toItemArray(items).map(item => {
+      const index = this.keyIndex.get(this.getItemKey(item));
+      if (index === undefined) {
+        return -1;
       }
+      
+      this.replaceItem(index, item);
+      updated++;
+      return index;
     });
     
-    // Process array fields (tags, keywords)
-    const arrayFields = ['tags', 'searchKeywords'];
-    arrayFields.forEach(field => {
-      if (item[field] && Array.isArray(item[field])) {
-        item[field].forEach(value => {
-          const tokens = this.tokenize(String(value));
-          tokens.forEach(term => terms.add(term));
-        });
+    return this.getMutationResult({ updated }, slots);
+  }
+  
+  /**
+   * Remove items by key
+   */
+  remove(keys) {
+    this.assertInitialized();
+    let removed = 0;
+    
+    const slots = (Array.isArray(keys) ? keys : [keys]).map(key => {
+      const index = this.keyIndex.get(key);
+      if (index === undefined) {
+        return -1;
       }
+      
+      this.unindexItem(index);
+      this.dataset[index] = null;
+      this.keyIndex.delete(key);
+      this.itemCount--;
+      removed++;
+      return index;
     });
     
-    // Process nested object fields
-    if (item.metrics && typeof item.metrics === 'object') {
-      Object.values(item.metrics).forEach(value => {
-        if (typeof value === 'string') {
-          const tokens = this.tokenize(value);
-          tokens.forEach(term => terms.add(term));
-        }
-      });
-    }
-    
-    return Array.from(terms);
+    return this.getMutationResult({ removed }, slots);
   }
   
   /**
-   * Tokenize text into searchable terms
+   * Update items that exist and add the rest in a single pass
    */
-  tokenize(text) {
-    if (!text || typeof text !== 'string') return [];
+  bulkUpsert(items) {
+    this.assertInitialized();
+    let added = 0;
+    let updated = 0;
+    
+    const slots = this.toItemArray(items).map(item => {
+      const index = this.keyIndex.get(this.getItemKey(item, this.dataset.length));
+      if (index !== undefined) {
+        this.replaceItem(index, item);
+        updated++;
+        return index;
+      }
+      
+      added++;
+      return this.insertItem(item);
+    });
     
-    return text
-      .toLowerCase()
-      .replace(/[^\w\s]/g, ' ')  // Replace non-word chars with spaces
-      .split(/\s+/)              // Split on whitespace
-      .filter(term => term.length > 1)  // Remove single chars
-      .map(term => term.trim())  // Trim whitespace
-      .filter(term => term.length > 0); // Remove empty terms
+    return this.getMutationResult({ added, updated }, slots);
   }
   
   /**
-   * Get relevance score for a term in an item
+   * Append an item to the dataset and index it, returning its slot. Bulk
+   * loads skip vocabulary upkeep and sort once in finalizeIndex().
    */
-  getTermRelevance(term, item) {
-    let relevance = 0;
+  insertItem(item, keepSorted = true) {
+    const index = this.dataset.length;
+    this.dataset.push(item);
+    this.keyIndex.set(this.getItemKey(item, index), index);
+    this.itemCount++;
+    this.indexItem(index, keepSorted);
+    
+    return index;
+  }
+  
+  /**
+   * Swap an item in place, re-indexing only the terms that changed
+   */
+  replaceItem(index, item) {
+    this.unindexItem(index);
+    this.dataset[index] = item;
+    this.indexItem(index);
+  }
+  
+  /**
+   * Add a single item's terms to the inverted, trigram and prefix indexes
+   */
+  indexItem(index, keepSorted = true) {
+    // Extract all searchable terms using the schema's fields and tokenizers
+    const terms = Array.from(this.schema.extractTokens(this.dataset[index]));
+    this.itemTerms[index] = terms;
     
-    // Text field relevance (highest priority)
-    if (item.text && item.text.toLowerCase().includes(term)) {
-      relevance += item.text.toLowerCase() === term ? 100 : 50;
-    }
+    terms.forEach(term => {
+      let indices = this.searchIndex.get(term);
+      
+      if (!indices) {
+        indices = new Set();
+        this.searchIndex.set(term, indices);
+        this.indexTermTrigrams(term);
+        
+        if (keepSorted) {
+          this.vocabulary.splice(this.findVocabularyPosition(term), 0, term);
+        }
+      }
+      
+      indices.add(index);
+    });
+  }
+  
+  /**
+   * Remove a single item's terms, dropping terms no other item uses
+   */
+  unindexItem(index) {
+    (this.itemTerms[index] || []).forEach(term => {
+      const indices = this.searchIndex.get(term);
+      if (!indices) return;
+      
+      indices.delete(index);
+      
+      if (indices.size === 0) {
+        this.searchIndex.delete(term);
+        this.unindexTermTrigrams(term);
+        this.vocabulary.splice(this.findVocabularyPosition(term), 1);
+      }
+    });
     
-    // Description relevance
-    if (item.description && item.description.toLowerCase().includes(term)) {
-      relevance += 20;
+    this.itemTerms[index] = null;
+  }
+  
+  /**
+   * Remove a vocabulary term from the trigram index
+   */
+  unindexTermTrigrams(term) {
+    this.getTrigrams(term).forEach(trigram => {
+      const terms = this.trigramIndex.get(trigram);
+      if (!terms) return;
+      
+      terms.delete(term);
+      if (terms.size === 0) {
+        this.trigramIndex.delete(trigram);
+      }
+    });
+  }
+  
+  /**
+   * First position in the sorted vocabulary whose term is >= the given term
+   */
+  findVocabularyPosition(term) {
+    let low = 0;
+    let high = this.vocabulary.length;
+    
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.vocabulary[mid] < term) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
     }
     
-    // Category relevance
-    if (item.category && item.category.toLowerCase().includes(term)) {
-      relevance += 15;
+    return low;
+  }
+  
+  /**
+   * Normalize a mutation payload to an array of items
+   */
+  toItemArray(data) {
+    if (Array.isArray(data)) return data;
+    if (data && Array.isArray(data.items)) return data.items;
+    return data ? [data] : [];
+  }
+  
+  /**
+   * Summarize the index after an incremental update. Slots give the dataset
+   * position of each input (-1 when skipped) so callers can map index results.
+   */
+  getMutationResult(counts, slots) {
+    return {
+      success: true,
+      added: 0,
+      updated: 0,
+      removed: 0,
+      ...counts,
+      slots,
+      totalItems: this.itemCount,
+      indexSize: this.searchIndex.size
+    };
+  }
+  
+  /**
+   * Guard operations that need a built index
+   */
+  assertInitialized() {
+    if (!this.initialized) {
+      throw new Error('Search processor not initialized');
     }
+  }
+  
+  /**
+   * Add a vocabulary term to the trigram index
+   */
+  indexTermTrigrams(term) {
+    this.getTrigrams(term).forEach(trigram => {
+      if (!this.trigramIndex.has(trigram)) {
+        this.trigramIndex.set(trigram, new Set());
+      }
+      this.trigramIndex.get(trigram).add(term);
+    });
+  }
+  
+  /**
+   * Split a term into boundary-padded trigrams ("rust" -> $ru, rus, ust, st$)
+   */
+  getTrigrams(term) {
+    const padded = `${TRIGRAM_BOUNDARY}${term}${TRIGRAM_BOUNDARY}`;
+    const trigrams = new Set();
     
-    // Tags relevance
-    if (item.tags && Array.isArray(item.tags)) {
-      const tagMatches = item.tags.filter(tag => 
-        tag.toLowerCase().includes(term)
-      ).length;
-      relevance += tagMatches * 10;
+    for (let i = 0; i <= padded.length - 3; i++) {
+      trigrams.add(padded.slice(i, i + 3));
     }
     
-    // Weight boost
-    relevance += (item.weight || 0) * 0.1;
-    
-    return relevance;
+    return Array.from(trigrams);
   }
   
   /**
    * Perform search with ranking and filtering
    */
   search(query, options = {}) {
-    if (!this.initialized) {
-      throw new Error('Search processor not initialized');
-    }
+    this.assertInitialized();
     
     const startTime = performance.now();
     
-    // Parse query and options
-    const searchQuery = query.trim().toLowerCase();
+    // Parse query-language input: free text is ranked, the rest filters
+    const structured = this.parseQuery(query, options);
     const searchOptions = {
       limit: options.limit || 50,
       offset: options.offset || 0,
@@ -166,19 +397,16 @@ class SearchProcessor {
       ...options
     };
     
-    let results = [];
+    if (structured.sort) {
+      searchOptions.sortBy = structured.sort.field;
+      searchOptions.sortOrder = structured.sort.order;
+    }
     
-    if (!searchQuery) {
-      // No query - return all items
-      results = this.dataset.map((item, index) => ({
-        item,
-        index,
-        relevance: item.weight || 0,
-        matches: []
-      }));
-    } else {
-      // Perform search
-      results = this.performSearch(searchQuery, searchOptions);
+    let results = this.matchItems(structured, searchOptions);
+    
+    // Facet selections narrow the matches
+    if (hasFacetSelection(searchOptions.facets)) {
+      results = results.filter(result => matchesFacets(result.item, searchOptions.facets));
     }
     
     // Sort results
@@ -193,13 +421,8 @@ class SearchProcessor {
     
     const searchTime = performance.now() - startTime;
     
-    return {
+    const response = {
       query: query,
-      results: paginatedResults.map(r => ({
-        ...r.item,
-        _relevance: r.relevance,
-        _matches: r.matches
-      })),
       pagination: {
         offset: searchOptions.offset,
         limit: searchOptions.limit,
@@ -209,136 +432,209 @@ class SearchProcessor {
       performance: {
         searchTime: Math.round(searchTime),
         indexHits: this.lastIndexHits || 0,
-        totalItems: this.dataset.length
+        totalItems: this.itemCount
       }
     };
+    
+    if (searchOptions.resultFormat === 'indices') {
+      // Dataset positions instead of cloned items; the buffers are transferred
+      response.indices = Uint32Array.from(paginatedResults, r => r.index);
+      response.relevance = Float64Array.from(paginatedResults, r => r.relevance);
+      response.matches = paginatedResults.map(r => r.matches);
+    } else {
+      response.results = paginatedResults.map(r => ({
+        ...r.item,
+        _relevance: r.relevance,
+        _matches: r.matches
+      }));
+    }
+    
+    return response;
+  }
+  
+  /**
+   * Items matching a parsed query: every item passing the filters when
+   * there is no free text, otherwise the ranked text matches
+   */
+  matchItems(structured, options) {
+    const searchQuery = structured.text.trim().toLowerCase();
+    
+    if (searchQuery) {
+      return this.performSearch(searchQuery, options, structured);
+    }
+    
+    const fields = this.getFieldNames();
+    const results = [];
+    
+    this.dataset.forEach((item, index) => {
+      if (!item || !matchesQuery(item, structured, { fields })) return;
+      results.push({
+        item,
+        index,
+        relevance: item.weight || 0,
+        matches: []
+      });
+    });
+    
+    return results;
+  }
+  
+  /**
+   * Count facet values over the items matching a query. Each field is
+   * counted as if its own selection were not applied.
+   */
+  facets(query, options = {}) {
+    this.assertInitialized();
+    
+    const startTime = performance.now();
+    const structured = this.parseQuery(query || '', options);
+    const counter = new FacetCounter(options.fields || [], options.selection || {});
+    
+    this.matchItems(structured, { ...options, fuzzySearch: options.fuzzySearch !== false })
+      .forEach(result => counter.add(result.item));
+    
+    return {
+      facets: counter.result(),
+      performance: { searchTime: Math.round(performance.now() - startTime) }
+    };
   }
   
   /**
-   * Perform the actual search operation
+   * Perform the actual search operation. The index only narrows candidates;
+   * scoring goes through the shared schema so ranking matches DataProvider.
    */
-  performSearch(query, options) {
-    const queryTerms = this.tokenize(query);
-    const candidateSet = new Map(); // item index -> {item, relevance, matches}
+  performSearch(query, options, structured = null) {
+    const prepared = this.schema.prepareQuery(query, options);
+    const fields = this.getFieldNames();
+    const candidateIndices = new Set();
     
     this.lastIndexHits = 0;
     
     // Find candidates using search index
-    queryTerms.forEach(term => {
-      const indexEntries = this.searchIndex.get(term) || [];
-      this.lastIndexHits += indexEntries.length;
-      
-      indexEntries.forEach(entry => {
-        const { index, item, relevance } = entry;
-        
-        if (candidateSet.has(index)) {
-          // Boost existing candidate
-          const candidate = candidateSet.get(index);
-          candidate.relevance += relevance;
-          candidate.matches.push(term);
-        } else {
-          // New candidate
-          candidateSet.set(index, {
-            item,
-            index,
-            relevance,
-            matches: [term]
-          });
-        }
+    prepared.terms.forEach(queryTerm => {
+      this.resolveTerm(queryTerm, prepared).forEach(term => {
+        const indices = this.searchIndex.get(term) || [];
+        this.lastIndexHits += indices.size || 0;
+        indices.forEach(index => candidateIndices.add(index));
       });
     });
     
-    // Convert to array and apply fuzzy search if needed
-    let candidates = Array.from(candidateSet.values());
+    let candidates = [];
     
-    // Apply fuzzy search for partial matches
-    if (options.fuzzySearch && candidates.length < options.limit) {
-      const fuzzyResults = this.performFuzzySearch(query, queryTerms, candidates);
-      candidates = [...candidates, ...fuzzyResults];
-    }
+    candidateIndices.forEach(index => {
+      const item = this.dataset[index];
+      if (structured && !matchesQuery(item, structured, { fields })) return;
+      
+      const { score, matches } = this.schema.scoreItem(item, prepared);
+      
+      if (score > 0) {
+        candidates.push({ item, index, relevance: score, matches });
+      }
+    });
     
     // Filter by minimum relevance
     if (options.minRelevance > 0) {
       candidates = candidates.filter(c => c.relevance >= options.minRelevance);
     }
     
-    // Apply exact match filter if requested
-    if (options.exactMatch) {
-      candidates = candidates.filter(c => 
-        c.matches.some(match => match === query.toLowerCase())
-      );
-    }
-    
     return candidates;
   }
   
   /**
-   * Perform fuzzy search for partial matches
+   * Parse query-language input; only the fields DataProvider allows (or
+   * the schema's) become filters
    */
-  performFuzzySearch(originalQuery, queryTerms, existingCandidates) {
-    const fuzzyResults = [];
-    const existingIndices = new Set(existingCandidates.map(c => c.index));
+  parseQuery(query, options) {
+    return parseQuery(query, {
+      aliases: options.queryAliases,
+      fields: options.queryFields || this.schema.getQueryFields()
+    });
+  }
+  
+  /**
+   * Schema field paths, used for phrase and exclusion checks
+   */
+  getFieldNames() {
+    return this.schema.fields.map(field => field.name);
+  }
+  
+  /**
+   * Find vocabulary terms matching a query term exactly, by prefix, or within
+   * the allowed edit distance
+   */
+  resolveTerm(queryTerm, prepared) {
+    const terms = new Set();
     
-    // Search for partial matches
-    this.dataset.forEach((item, index) => {
-      if (existingIndices.has(index)) return;
-      
-      const fuzzyScore = this.calculateFuzzyScore(item, originalQuery, queryTerms);
+    if (this.searchIndex.has(queryTerm)) {
+      terms.add(queryTerm);
+    }
+    
+    if (prepared.exactOnly) {
+      return terms;
+    }
+    
+    // Prefix matches support type-ahead ("reac" -> "react")
+    this.findPrefixTerms(queryTerm).forEach(term => terms.add(term));
+    
+    if (prepared.fuzzy) {
+      const maxEdits = this.schema.getAllowedEdits(queryTerm, prepared.maxEdits);
       
-      if (fuzzyScore > 0) {
-        fuzzyResults.push({
-          item,
-          index,
-          relevance: fuzzyScore,
-          matches: queryTerms.filter(term => 
-            JSON.stringify(item).toLowerCase().includes(term)
-          )
-        });
+      if (maxEdits > 0) {
+        this.findFuzzyTerms(queryTerm, maxEdits).forEach(({ term }) => terms.add(term));
       }
-    });
+    }
     
-    return fuzzyResults;
+    return terms;
   }
   
   /**
-   * Calculate fuzzy matching score
+   * Find vocabulary terms starting with the given prefix (binary search)
    */
-  calculateFuzzyScore(item, query, queryTerms) {
-    let score = 0;
-    const itemText = JSON.stringify(item).toLowerCase();
-    
-    // Partial string matching
-    if (itemText.includes(query.toLowerCase())) {
-      score += 25;
-    }
+  findPrefixTerms(prefix) {
+    const terms = [];
+    const low = this.findVocabularyPosition(prefix);
     
-    // Term matching with edit distance
-    queryTerms.forEach(term => {
-      if (itemText.includes(term)) {
-        score += 10;
-      } else {
-        // Simple character-based similarity
-        const similarity = this.calculateSimilarity(term, itemText);
-        if (similarity > 0.6) {
-          score += similarity * 5;
-        }
+    for (let i = low; i < this.vocabulary.length && this.vocabulary[i].startsWith(prefix); i++) {
+      if (this.vocabulary[i] !== prefix) {
+        terms.push(this.vocabulary[i]);
       }
-    });
+    }
     
-    return Math.round(score);
+    return terms;
   }
   
   /**
-   * Calculate string similarity (Jaccard index)
+   * Find vocabulary terms within maxEdits of the query term, using the trigram
+   * index to narrow candidates before computing edit distance
    */
-  calculateSimilarity(str1, str2) {
-    const set1 = new Set(str1.split(''));
-    const set2 = new Set(str2.split(''));
+  findFuzzyTerms(queryTerm, maxEdits) {
+    const queryTrigrams = this.getTrigrams(queryTerm);
+    const sharedCounts = new Map();
+    
+    queryTrigrams.forEach(trigram => {
+      const terms = this.trigramIndex.get(trigram);
+      if (!terms) return;
+      
+      terms.forEach(term => {
+        sharedCounts.set(term, (sharedCounts.get(term) || 0) + 1);
+      });
+    });
     
-    const intersection = new Set([...set1].filter(x => set2.has(x)));
-    const union = new Set([...set1, ...set2]);
+    // Each edit (including a transposition) can destroy at most four trigrams
+    const minShared = Math.max(1, queryTrigrams.length - maxEdits * 4);
+    const matches = [];
     
-    return intersection.size / union.size;
+    sharedCounts.forEach((shared, term) => {
+      if (shared < minShared || term === queryTerm) return;
+      if (Math.abs(term.length - queryTerm.length) > maxEdits) return;
+      
+      const edits = editDistance(queryTerm, term, maxEdits);
+      if (edits <= maxEdits) {
+        matches.push({ term, edits });
+      }
+    });
+    
+    return matches;
   }
   
   /**
@@ -354,6 +650,11 @@ class SearchProcessor {
         case 'relevance':
           aVal = a.relevance || 0;
           bVal = b.relevance || 0;
+          
+          // Equally relevant items keep the weight order
+          if (aVal === bVal) {
+            return (b.item.weight || 0) - (a.item.weight || 0);
+          }
           break;
         case 'text':
           aVal = a.item.text || '';
@@ -385,8 +686,9 @@ class SearchProcessor {
   getStats() {
     return {
       initialized: this.initialized,
-      totalItems: this.dataset.length,
+      totalItems: this.itemCount,
       indexSize: this.searchIndex.size,
+      trigramCount: this.trigramIndex.size,
       memoryUsage: this.estimateMemoryUsage()
     };
   }
@@ -396,7 +698,7 @@ class SearchProcessor {
    */
   estimateMemoryUsage() {
     // Rough estimate: dataset + index
-    const datasetSize = this.dataset.length * 1024; // ~1KB per item
+    const datasetSize = this.itemCount * 1024; // ~1KB per item
     const indexSize = this.searchIndex.size * 512;  // ~512B per index entry
     
     return Math.round((datasetSize + indexSize) / 1024 / 1024 * 100) / 100; // MB
@@ -406,21 +708,139 @@ class SearchProcessor {
    * Clear all data and reset
    */
   clear() {
-    this.dataset = [];
-    this.searchIndex.clear();
+    this.resetIndex();
+    this.expectedItems = 0;
     this.initialized = false;
     
     return { success: true };
   }
 }
 
+/**
+ * Collect the buffers of top-level typed arrays in a response
+ */
+function getTransferables(result) {
+  if (!result || typeof result !== 'object') return [];
+  
+  return Object.values(result)
+    .filter(value => ArrayBuffer.isView(value))
+    .map(value => value.buffer);
+}
+
 // Create search processor instance
 const searchProcessor = new SearchProcessor();
 
-// Worker message handler
-self.addEventListener('message', async (event) => {
-  const { id, type, data } = event.data;
+// Priority lanes: interactive requests always run before background prefetches
+const PRIORITY_LANES = ['interactive', 'background'];
+
+/**
+ * Request scheduler. Messages are queued and run one per task, so a "cancel"
+ * (or a newer latest-wins search) arriving in between can drop requests that
+ * have not started yet. A request that is already running completes, but its
+ * caller can ignore the result.
+ */
+class RequestScheduler {
+  constructor(processRequest) {
+    this.processRequest = processRequest;
+    this.lanes = new Map(PRIORITY_LANES.map(lane => [lane, []]));
+    this.scheduled = false;
+    
+    // MessageChannel yields a full task between requests without timer clamping
+    this.channel = new MessageChannel();
+    this.channel.port1.onmessage = () => this.runNext();
+  }
+  
+  /**
+   * Queue a request in its lane
+   */
+  enqueue(request) {
+    // Latest-wins: a new request in a group replaces queued ones in that group
+    if (request.latestWins && request.group) {
+      this.dropWhere(queued => queued.group === request.group, 'superseded');
+    }
+    
+    const lane = this.lanes.has(request.priority) ? request.priority : 'interactive';
+    this.lanes.get(lane).push(request);
+    this.schedule();
+  }
+  
+  /**
+   * Drop queued requests by id
+   */
+  cancel(ids) {
+    const targets = new Set(ids);
+    return { cancelled: this.dropWhere(queued => targets.has(queued.id), 'cancelled') };
+  }
+  
+  /**
+   * Remove matching queued requests, telling their callers why
+   */
+  dropWhere(predicate, reason) {
+    let dropped = 0;
+    
+    this.lanes.forEach(queue => {
+      for (let i = queue.length - 1; i >= 0; i--) {
+        if (predicate(queue[i])) {
+          const [request] = queue.splice(i, 1);
+          self.postMessage({ id: request.id, type: 'cancelled', data: { reason } });
+          dropped++;
+        }
+      }
+    });
+    
+    return dropped;
+  }
+  
+  /**
+   * Request a task to run the next queued request
+   */
+  schedule() {
+    if (this.scheduled) return;
+    this.scheduled = true;
+    this.channel.port2.postMessage(null);
+  }
+  
+  /**
+   * Run the highest-priority queued request
+   */
+  runNext() {
+    this.scheduled = false;
+    
+    for (const queue of this.lanes.values()) {
+      if (queue.length > 0) {
+        this.processRequest(queue.shift());
+        break;
+      }
+    }
+    
+    if (this.getQueuedCount() > 0) {
+      this.schedule();
+    }
+  }
   
+  /**
+   * Count requests waiting across all lanes
+   */
+  getQueuedCount() {
+    let count = 0;
+    this.lanes.forEach(queue => { count += queue.length; });
+    return count;
+  }
+  
+  /**
+   * Get queue lengths per lane
+   */
+  getStats() {
+    return Object.fromEntries(Array.from(this.lanes, ([lane, queue]) => [lane, queue.length]));
+  }
+}
+
+const scheduler = new RequestScheduler(processRequest);
+
+/**
+ * Run a single request and post its response
+ */
+function processRequest({ id, type, data }) {
   try {
     let result;
     
@@ -429,12 +849,44 @@ self.addEventListener('message', async (event) => {
         result = searchProcessor.initialize(data);
         break;
         
+      case 'initStream':
+        result = searchProcessor.beginStream(data);
+        break;
+        
+      case 'initChunk':
+        result = searchProcessor.appendChunk(data);
+        break;
+        
+      case 'initComplete':
+        result = searchProcessor.completeStream();
+        break;
+        
       case 'search':
         result = searchProcessor.search(data.query, data.options);
         break;
         
+      case 'facets':
+        result = searchProcessor.facets(data.query, data.options);
+        break;
+        
+      case 'add':
+        result = searchProcessor.add(data);
+        break;
+        
+      case 'update':
+        result = searchProcessor.update(data);
+        break;
+        
+      case 'remove':
+        result = searchProcessor.remove(data.keys ?? data);
+        break;
+        
+      case 'bulkUpsert':
+        result = searchProcessor.bulkUpsert(data);
+        break;
+        
       case 'getStats':
-        result = searchProcessor.getStats();
+        result = { ...searchProcessor.getStats(), queued: scheduler.getStats() };
         break;
         
       case 'clear':
@@ -445,12 +897,12 @@ self.addEventListener('message', async (event) => {
         throw new Error(`Unknown message type: ${type}`);
     }
     
-    // Send success response
+    // Send success response, handing typed-array buffers over zero-copy
     self.postMessage({
       id,
       type: 'success',
       data: result
-    });
+    }, getTransferables(result));
     
   } catch (error) {
     // Send error response
@@ -463,6 +915,31 @@ self.addEventListener('message', async (event) => {
       }
     });
   }
+}
+
+// Worker message handler
+self.addEventListener('message', (event) => {
+  const { id, type, data, priority, group, latestWins } = event.data;
+  
+  // Cancellation bypasses the queue so it takes effect before queued work runs
+  if (type === 'cancel') {
+    const result = scheduler.cancel(data.ids ?? [data.id]);
+    
+    if (id !== undefined) {
+      self.postMessage({ id, type: 'success', data: result });
+    }
+    return;
+  }
+  
+  // Only searches may be deprioritized; everything else keeps arrival order
+  scheduler.enqueue({
+    id,
+    type,
+    data,
+    priority: type === 'search' ? priority : 'interactive',
+    group: group ?? (latestWins ? type : null),
+    latestWins: Boolean(latestWins)
+  });
 });
 
 // Handle worker termination
@@ -475,6 +952,6 @@ self.postMessage({
   type: 'ready',
   data: { 
     timestamp: Date.now(),
-    capabilities: ['search', 'fuzzy-search', 'indexing', 'ranking']
+    capabilities: ['search', 'fuzzy-search', 'indexing', 'ranking', 'highlighting', 'incremental-updates', 'columnar-init', 'index-results', 'cancellation', 'priority-lanes']
   }
 });
\ No newline at end of file
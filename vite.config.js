@@ -5,7 +5,11 @@ export default defineConfig({
   root: '.',
   server: {
     port: 5173,
-    open: true
+    open: true,
+    headers: {
+      // Lets the offline service worker, served from /src/workers, control the whole site
+      'Service-Worker-Allowed': '/'
+    }
   },
   build: {
     outDir: 'dist',
@@ -13,7 +17,12 @@ export default defineConfig({
     sourcemap: true,
     rollupOptions: {
       input: {
-        main: './index.html'
+        main: './index.html',
+        'offline-sw': './src/workers/offline-sw.js'
+      },
+      output: {
+        // The service worker keeps a fixed name at the root so its scope covers the site
+        entryFileNames: (chunk) => chunk.name === 'offline-sw' ? 'offline-sw.js' : 'assets/[name]-[hash].js'
       }
     }
   }